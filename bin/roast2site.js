@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// roast2site CLI
+// Runs the same checks as the server without starting it, so deploy
+// pipelines can gate on a minimum score:
+//   roast2site example.com --min-score 70 --format junit > roast.xml
+require('dotenv').config();
+const fs = require('fs');
+const { fetchWebsite, evaluateRules, reportPayload, generateRoast, statusMessage, TONES, resolveFeedbackOptions } = require('../lib');
+
+const FORMATS = ['markdown', 'json', 'junit'];
+
+const USAGE = `Usage: roast2site [options] <url...>
+
+Options:
+  --format <markdown|json|junit>  Output format (default: markdown)
+  --mode <tone>                   Feedback tone: ${Object.keys(TONES).join(', ')}
+                                  (default: professional)
+  --locale <code>                 Feedback language, such as en, es, fr or de (default: en)
+  --min-score <0-100>             Exit with code 1 if any site scores below this
+  --file <path>                   Read URLs from a file, one per line (# for comments)
+  -h, --help                      Show this help
+
+Exit codes: 0 all sites passed, 1 a site failed to load or scored below
+--min-score, 2 invalid arguments.`;
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+function parseArgs(argv) {
+  const options = { format: 'markdown', mode: 'professional', locale: 'en', minScore: null, urls: [] };
+  const value = (flag, i) => {
+    if (argv[i + 1] === undefined) throw usageError(`${flag} needs a value`);
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--format') {
+      options.format = value(arg, i++);
+    } else if (arg === '--mode') {
+      options.mode = value(arg, i++);
+    } else if (arg === '--locale') {
+      options.locale = value(arg, i++);
+    } else if (arg === '--min-score') {
+      options.minScore = Number(value(arg, i++));
+    } else if (arg === '--file') {
+      options.urls.push(...readUrlFile(value(arg, i++)));
+    } else if (arg.startsWith('-')) {
+      throw usageError(`Unknown option ${arg}`);
+    } else {
+      options.urls.push(arg);
+    }
+  }
+
+  if (!FORMATS.includes(options.format)) throw usageError(`--format must be one of ${FORMATS.join(', ')}`);
+  try {
+    const feedback = resolveFeedbackOptions({ tone: options.mode, locale: options.locale });
+    options.voice = feedback.tone.voice;
+    options.catalog = feedback.locale;
+  } catch (error) {
+    throw usageError(error.fields.tone ? `--mode: ${error.message}` : `--locale: ${error.message}`);
+  }
+  if (options.minScore !== null && !(options.minScore >= 0 && options.minScore <= 100)) {
+    throw usageError('--min-score must be a number from 0 to 100');
+  }
+  return options;
+}
+
+function readUrlFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw usageError(`Can't read ${file}: ${error.message}`);
+  }
+  return text.split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+// One audit per URL, sequentially so a long list doesn't hammer the network
+async function audit(url, options) {
+  const result = await fetchWebsite(url);
+  if (!result.success) {
+    return { url, success: false, error: result.error, code: result.code, passed: false };
+  }
+  const report = evaluateRules(result.analysis);
+  return {
+    url: result.analysis.url,
+    success: true,
+    passed: options.minScore === null || report.score >= options.minScore,
+    report,
+    feedback: generateRoast(result.analysis, options.mode, report, options.locale)
+  };
+}
+
+function toMarkdown(results, options) {
+  return results.map(r => {
+    if (!r.success) return `# ${r.url}\n\n❌ ${r.error} (${r.code})`;
+    const verdict = options.minScore === null ? '' : r.passed ? ' ✅' : ` ❌ below ${options.minScore}`;
+    return `# ${r.url} - ${r.report.score}/100 (${r.report.grade})${verdict}\n\n${r.feedback}`;
+  }).join('\n\n---\n\n') + '\n';
+}
+
+function toJson(results, options) {
+  return JSON.stringify({
+    minScore: options.minScore,
+    passed: results.every(r => r.passed),
+    results: results.map(r => (r.success
+      ? { url: r.url, success: true, passed: r.passed, ...reportPayload(r.report), feedback: r.feedback }
+      : { url: r.url, success: false, passed: false, error: r.error, code: r.code }))
+  }, null, 2) + '\n';
+}
+
+function xml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One testsuite per site, one testcase per check. Failing checks are
+// failures, warnings pass with their message in system-out, and checks that
+// don't apply are skipped. --min-score adds its own testcase.
+function toJunit(results, options) {
+  const suites = results.map(r => {
+    if (!r.success) {
+      return `  <testsuite name="${xml(r.url)}" tests="1" failures="0" errors="1" skipped="0">
+    <testcase classname="${xml(r.url)}" name="fetch">
+      <error type="${xml(r.code)}" message="${xml(r.error)}"/>
+    </testcase>
+  </testsuite>`;
+    }
+
+    const cases = r.report.findings.map(f => {
+      const message = statusMessage(f, options.voice, options.catalog) || f.evidence || f.title;
+      const open = `    <testcase classname="${xml(r.url)}.${xml(f.category)}" name="${xml(f.title)}">`;
+      if (f.status === 'fail') {
+        const detail = [f.evidence]
+          .concat((f.elements || []).map(e => e.detail ? `${e.selector} - ${e.detail}` : e.selector))
+          .concat(f.wcag ? `WCAG ${f.wcag.criterion} ${f.wcag.name} (${f.wcag.level}): ${f.wcag.url}` : [])
+          .filter(Boolean)
+          .join('\n');
+        return `${open}\n      <failure type="${f.severity}" message="${xml(message)}">${xml(detail)}</failure>\n    </testcase>`;
+      }
+      if (f.status === 'na') return `${open}\n      <skipped/>\n    </testcase>`;
+      if (f.status === 'warn') return `${open}\n      <system-out>${xml(message)}</system-out>\n    </testcase>`;
+      return `${open}</testcase>`;
+    });
+    if (options.minScore !== null) {
+      const open = `    <testcase classname="${xml(r.url)}" name="min-score ${options.minScore}">`;
+      cases.push(r.passed
+        ? `${open}</testcase>`
+        : `${open}\n      <failure type="min-score" message="Scored ${r.report.score}, below ${options.minScore}"/>\n    </testcase>`);
+    }
+
+    const failures = r.report.findings.filter(f => f.status === 'fail').length + (r.passed ? 0 : 1);
+    const skipped = r.report.findings.filter(f => f.status === 'na').length;
+    return `  <testsuite name="${xml(r.url)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}">
+${cases.join('\n')}
+  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="roast2site">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+const FORMATTERS = { markdown: toMarkdown, json: toJson, junit: toJunit };
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (!options.help && !options.urls.length) throw usageError('At least one URL is required');
+  } catch (error) {
+    if (error.code !== 'USAGE') throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const results = [];
+  for (const url of options.urls) {
+    results.push(await audit(url, options));
+  }
+  process.stdout.write(FORMATTERS[options.format](results, options));
+  return results.every(r => r.passed) ? 0 : 1;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('roast2site error:', error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,489 @@
+const { escapeCss } = require('./html');
+
+// Accessibility audit
+// Extracts what the accessibility rules check: document language, heading
+// order, form labels, accessible names, duplicate ids, tabindex, autoplaying
+// media and text contrast. Every offending element is reported with a CSS
+// selector so it can be found in devtools. Contrast runs a small cascade
+// over <style> blocks, linked stylesheets and style="" attributes; text on
+// gradients, images or colors it can't parse is skipped, not guessed.
+const WCAG = {
+  '1.1.1': { name: 'Non-text Content', level: 'A', slug: 'non-text-content' },
+  '1.3.1': { name: 'Info and Relationships', level: 'A', slug: 'info-and-relationships' },
+  '1.4.2': { name: 'Audio Control', level: 'A', slug: 'audio-control' },
+  '1.4.3': { name: 'Contrast (Minimum)', level: 'AA', slug: 'contrast-minimum' },
+  '2.4.3': { name: 'Focus Order', level: 'A', slug: 'focus-order' },
+  '2.4.4': { name: 'Link Purpose (In Context)', level: 'A', slug: 'link-purpose-in-context' },
+  '3.1.1': { name: 'Language of Page', level: 'A', slug: 'language-of-page' },
+  '4.1.1': { name: 'Parsing', level: 'A', slug: 'parsing' },
+  '4.1.2': { name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' }
+};
+
+// How many offending elements each check keeps; counts are always exact
+const ELEMENT_LIMIT = 20;
+const CONTRAST_LIMITS = { elements: 400, rules: 3000 };
+
+function wcagReference(criterion) {
+  const { name, level, slug } = WCAG[criterion];
+  return { criterion, name, level, url: `https://www.w3.org/WAI/WCAG21/Understanding/${slug}` };
+}
+
+// The parser gives <script> and <style> their own node types
+const isElement = node => Boolean(node) && ['tag', 'script', 'style'].includes(node.type);
+
+// Elements by id, compared as strings: ids come from the page and may hold
+// quotes or anything else a selector can't
+function byId($, id) {
+  return $('[id]').filter((i, node) => node.attribs.id === id);
+}
+
+// Short selector for an element: the nearest unique id, then tag, classes
+// and position for up to five levels
+function selectorFor($, el) {
+  const parts = [];
+  let node = el;
+  while (isElement(node) && parts.length < 5) {
+    const id = node.attribs.id;
+    if (id && /^[A-Za-z][\w-]*$/.test(id) && byId($, id).length === 1) {
+      parts.unshift(`#${id}`);
+      break;
+    }
+    let part = node.name;
+    const classes = (node.attribs.class || '').trim().split(/\s+/).filter(c => /^-?[A-Za-z_][\w-]*$/.test(c));
+    if (classes.length) part += '.' + classes.slice(0, 2).join('.');
+    const parent = node.parent && node.parent.type === 'tag' ? node.parent : null;
+    if (parent) {
+      const siblings = parent.children.filter(c => isElement(c) && c.name === node.name);
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+    }
+    parts.unshift(part);
+    if (node.name === 'body' || !parent) break;
+    node = parent;
+  }
+  return parts.join(' > ');
+}
+
+function collect($, elements, detail, total) {
+  return {
+    count: elements.length,
+    total,
+    elements: elements.slice(0, ELEMENT_LIMIT).map(el => ({ selector: selectorFor($, el), detail: detail ? detail(el) : null }))
+  };
+}
+
+function snippet(text, length = 40) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? clean.slice(0, length) + '…' : clean;
+}
+
+// Text an assistive technology would announce for a button, link or input
+function accessibleName($, el) {
+  const $el = $(el);
+  const labelledBy = ($el.attr('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => byId($, id).text()).join(' ').trim();
+  if (labelledBy) return labelledBy;
+  const label = ($el.attr('aria-label') || '').trim();
+  if (label) return label;
+  if (el.name === 'input') return ($el.attr(el.attribs.type === 'image' ? 'alt' : 'value') || $el.attr('title') || '').trim();
+  const content = ($el.text() + ' ' + $el.find('img[alt], [aria-label], svg title')
+    .map((i, child) => $(child).attr('alt') || $(child).attr('aria-label') || $(child).text()).get().join(' ')).trim();
+  return content || ($el.attr('title') || '').trim();
+}
+
+function isLabeled($, el) {
+  const $el = $(el);
+  if (($el.attr('aria-label') || '').trim() || $el.attr('aria-labelledby') || ($el.attr('title') || '').trim()) return true;
+  if ($el.closest('label').length) return true;
+  const id = $el.attr('id');
+  return Boolean(id && $('label[for]').filter((i, label) => label.attribs.for === id && $(label).text().trim()).length);
+}
+
+function headingSkips($) {
+  const skips = [];
+  let previous = null;
+  $('h1, h2, h3, h4, h5, h6').each((i, el) => {
+    const level = Number(el.name[1]);
+    if (previous && level > previous + 1) skips.push({ el, from: previous, to: level });
+    previous = level;
+  });
+  return {
+    count: skips.length,
+    elements: skips.slice(0, ELEMENT_LIMIT).map(s => ({ selector: selectorFor($, s.el), detail: `h${s.from} → h${s.to}: "${snippet($(s.el).text())}"` }))
+  };
+}
+
+function duplicateIds($) {
+  const byId = {};
+  $('[id]').each((i, el) => {
+    const id = el.attribs.id;
+    if (id) (byId[id] = byId[id] || []).push(el);
+  });
+  const duplicated = Object.entries(byId).filter(([, els]) => els.length > 1);
+  return {
+    count: duplicated.length,
+    elements: duplicated.slice(0, ELEMENT_LIMIT).map(([id, els]) => ({ selector: `[id="${escapeCss(id)}"]`, detail: `used ${els.length} times` }))
+  };
+}
+
+// Colors
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+  yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128], gray: [128, 128, 128], grey: [128, 128, 128],
+  silver: [192, 192, 192], navy: [0, 0, 128], teal: [0, 128, 128], maroon: [128, 0, 0], olive: [128, 128, 0],
+  lime: [0, 255, 0], aqua: [0, 255, 255], cyan: [0, 255, 255], fuchsia: [255, 0, 255], magenta: [255, 0, 255],
+  lightgray: [211, 211, 211], lightgrey: [211, 211, 211], darkgray: [169, 169, 169], darkgrey: [169, 169, 169],
+  whitesmoke: [245, 245, 245], gainsboro: [220, 220, 220], dimgray: [105, 105, 105], dimgrey: [105, 105, 105]
+};
+
+function channel(value, max) {
+  return value.endsWith('%') ? parseFloat(value) / 100 * max : parseFloat(value);
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  return [0, 8, 4].map(n => 255 * (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+}
+
+// [r, g, b, alpha] or null for anything we can't resolve (currentColor,
+// color-mix(), system colors)
+function parseColor(value) {
+  const color = String(value || '').trim().toLowerCase();
+  if (color === 'transparent') return [0, 0, 0, 0];
+  if (NAMED_COLORS[color]) return [...NAMED_COLORS[color], 1];
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].split('').map(d => d + d) : hex[1].match(/../g);
+    const [r, g, b, a = 'ff'] = digits;
+    return [parseInt(r, 16), parseInt(g, 16), parseInt(b, 16), parseInt(a, 16) / 255];
+  }
+  const fn = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(color);
+  if (!fn) return null;
+  const args = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (args.length < 3) return null;
+  const alpha = args[3] === undefined ? 1 : channel(args[3], 1);
+  const rgb = fn[1].startsWith('rgb')
+    ? args.slice(0, 3).map(v => channel(v, 255))
+    : hslToRgb(parseFloat(args[0]), channel(args[1], 1), channel(args[2], 1));
+  return rgb.concat(alpha).some(Number.isNaN) ? null : [...rgb, alpha];
+}
+
+// The color a `background` shorthand paints; null when it paints an image or
+// a color we can't compute, transparent when it names no color at all
+function backgroundColor(value) {
+  if (/(gradient|url|image-set|color-mix)\(/i.test(value)) return null;
+  const tokens = value.match(/#[0-9a-f]{3,8}\b|(rgba?|hsla?)\([^)]*\)|[a-z]+/gi) || [];
+  for (const token of tokens) {
+    const color = parseColor(token);
+    if (color) return color;
+  }
+  return [0, 0, 0, 0];
+}
+
+function blend(top, bottom) {
+  const alpha = top[3];
+  return [0, 1, 2].map(i => top[i] * alpha + bottom[i] * (1 - alpha)).concat(1);
+}
+
+function relativeLuminance(rgb) {
+  const [r, g, b] = rgb.slice(0, 3).map(c => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function colorHex(rgb) {
+  return '#' + rgb.slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+// Stylesheets
+// Only top-level style rules are kept; @media, @supports and friends describe
+// conditions we can't evaluate, so the default presentation is what's checked.
+const CONTRAST_PROPERTIES = ['color', 'background', 'background-color', 'font-size', 'font-weight', 'font', 'opacity'];
+const UNMATCHABLE_SELECTOR = /::|:(hover|focus|focus-within|focus-visible|active|visited|target|before|after|placeholder|selection|first-line|first-letter)\b/i;
+
+function blockEnd(css, open) {
+  let depth = 0;
+  for (let i = open; i < css.length; i++) {
+    if (css[i] === '{') depth++;
+    if (css[i] === '}' && --depth === 0) return i;
+  }
+  return css.length;
+}
+
+function parseDeclarations(block) {
+  const declarations = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i <= block.length; i++) {
+    const char = block[i];
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if ((char === ';' && depth <= 0) || i === block.length) {
+      const declaration = block.slice(start, i);
+      start = i + 1;
+      const colon = declaration.indexOf(':');
+      if (colon === -1) continue;
+      const name = declaration.slice(0, colon).trim();
+      const property = name.startsWith('--') ? name : name.toLowerCase();
+      if (!property.startsWith('--') && !CONTRAST_PROPERTIES.includes(property)) continue;
+      const value = declaration.slice(colon + 1).trim();
+      declarations.push({ property, value: value.replace(/\s*!important\s*$/i, ''), important: /!important\s*$/i.test(value) });
+    }
+  }
+  return declarations;
+}
+
+function parseStylesheet(text) {
+  const css = String(text).replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  let i = 0;
+  while (i < css.length) {
+    const open = css.indexOf('{', i);
+    if (open === -1) break;
+    const close = blockEnd(css, open);
+    const prelude = css.slice(i, open).split(';').pop().trim();
+    if (!prelude.startsWith('@')) {
+      const declarations = parseDeclarations(css.slice(open + 1, close));
+      if (declarations.length) rules.push({ selectors: prelude.split(',').map(s => s.trim()).filter(Boolean), declarations });
+    }
+    i = close + 1;
+  }
+  return rules;
+}
+
+function specificity(selector) {
+  const ids = (selector.match(/#[\w-]+/g) || []).length;
+  const classes = (selector.match(/\.[\w-]+|\[[^\]]*\]|:(?!not\b|is\b|where\b)[\w-]+/g) || []).length;
+  const types = (selector.replace(/#[\w-]+|\.[\w-]+|\[[^\]]*\]|:[\w-]+(\([^)]*\))?/g, ' ').match(/[a-z][\w-]*/gi) || []).length;
+  return ids * 10000 + classes * 100 + types;
+}
+
+// The id, class or tag an element must have to match a selector, taken from
+// its last compound; null when the selector doesn't say (*, :root)
+function selectorKey(selector) {
+  let compound = selector.replace(/\[[^\]]*\]/g, '[]');
+  while (/\([^()]*\)/.test(compound)) compound = compound.replace(/\([^()]*\)/g, '');
+  compound = compound.trim().split(/\s*[\s>+~]\s*/).pop();
+  const key = /#[\w-]+/.exec(compound) || /\.[\w-]+/.exec(compound) || /^[a-z][\w-]*/i.exec(compound);
+  return key ? key[0].toLowerCase() : null;
+}
+
+// Declared values for the checked elements and their ancestors (the only
+// ones whose styles can reach the checked text). Every matching rule is
+// sorted so the winner of each property is the last one seen.
+function cascade($, stylesheets, elements) {
+  const relevant = new Set();
+  elements.forEach(el => {
+    for (let node = el; node && node.type === 'tag'; node = node.parent) relevant.add(node);
+  });
+  const byKey = {};
+  const index = (key, el) => (byKey[key] = byKey[key] || []).push(el);
+  relevant.forEach(el => {
+    index(el.name, el);
+    if (el.attribs.id) index('#' + el.attribs.id.toLowerCase(), el);
+    (el.attribs.class || '').split(/\s+/).filter(Boolean).forEach(c => index('.' + c.toLowerCase(), el));
+  });
+
+  const declared = new Map();
+  let order = 0;
+  const add = (el, declaration, weight) => {
+    if (!declared.has(el)) declared.set(el, []);
+    declared.get(el).push({ ...declaration, weight: (declaration.important ? 1e7 : 0) + weight, order: order++ });
+  };
+
+  const rules = stylesheets.flatMap(parseStylesheet).slice(0, CONTRAST_LIMITS.rules);
+  rules.forEach(rule => {
+    rule.selectors.forEach(selector => {
+      if (UNMATCHABLE_SELECTOR.test(selector)) return;
+      const key = selectorKey(selector);
+      const pool = key ? byKey[key] : [...relevant];
+      if (!pool || !pool.length) return;
+      let matches;
+      try {
+        matches = $(pool).filter(selector);
+      } catch (error) {
+        return;
+      }
+      const weight = specificity(selector);
+      matches.each((i, el) => rule.declarations.forEach(d => add(el, d, weight)));
+    });
+  });
+  relevant.forEach(el => {
+    if (el.attribs.style) parseDeclarations(el.attribs.style).forEach(d => add(el, d, 1e6));
+  });
+
+  const computed = new Map();
+  declared.forEach((declarations, el) => {
+    const values = {};
+    declarations
+      .sort((a, b) => (a.weight - b.weight) || (a.order - b.order))
+      .forEach(d => { values[d.property] = d.value; });
+    computed.set(el, values);
+  });
+  return computed;
+}
+
+// Visible elements with text of their own, in document order
+function textElements($) {
+  const elements = [];
+  $('body *').each((i, el) => {
+    if (elements.length >= CONTRAST_LIMITS.elements) return false;
+    if (['script', 'style', 'noscript', 'template', 'option'].includes(el.name)) return;
+    if (!el.children.some(child => child.type === 'text' && child.data.trim())) return;
+    if ($(el).closest('svg, [hidden], [aria-hidden="true"]').length) return;
+    elements.push(el);
+  });
+  return elements;
+}
+
+const HEADING_SIZES = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67 };
+const FONT_KEYWORDS = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+const BOLD_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'b', 'strong', 'th'];
+
+function contrastAudit($, stylesheets) {
+  const elements = textElements($);
+  const styles = cascade($, stylesheets, elements);
+  const styleOf = el => styles.get(el) || {};
+  const parentOf = el => (el.parent && el.parent.type === 'tag' ? el.parent : null);
+
+  // var() lookups walk up the tree, since custom properties inherit
+  function resolve(value, el, depth = 0) {
+    if (!value || depth > 10 || !value.includes('var(')) return value;
+    return resolve(value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/g, (match, name, fallback) => {
+      for (let node = el; node; node = parentOf(node)) {
+        if (styleOf(node)[name] !== undefined) return styleOf(node)[name];
+      }
+      return fallback !== undefined ? fallback : '';
+    }), el, depth + 1);
+  }
+
+  function inherited(el, property) {
+    for (let node = el; node; node = parentOf(node)) {
+      const value = resolve(styleOf(node)[property], node);
+      if (value === 'inherit') continue;
+      if (value) return { value, node };
+      if (property === 'color' && node.name === 'a') return { value: '#0000ee', node };
+    }
+    return null;
+  }
+
+  function fontSize(el) {
+    if (!el) return 16;
+    const declared = resolve(styleOf(el)['font-size'], el);
+    const parentSize = () => fontSize(parentOf(el));
+    if (!declared || declared === 'inherit') return HEADING_SIZES[el.name] ? HEADING_SIZES[el.name] * parentSize() : parentSize();
+    if (FONT_KEYWORDS[declared]) return FONT_KEYWORDS[declared];
+    // clamp(), min() and max(): the smallest length is the conservative read
+    const length = /(-?[\d.]+)(px|pt|rem|em|%)/.exec(declared);
+    if (!length) return parentSize();
+    const n = parseFloat(length[1]);
+    return { px: n, pt: n * 4 / 3, rem: n * 16, em: n * parentSize(), '%': n / 100 * parentSize() }[length[2]];
+  }
+
+  function isBold(el) {
+    for (let node = el; node; node = parentOf(node)) {
+      const weight = resolve(styleOf(node)['font-weight'], node);
+      if (weight && weight !== 'inherit') return weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 700;
+      if (BOLD_TAGS.includes(node.name)) return true;
+    }
+    return false;
+  }
+
+  // Layers from the element up until one is opaque, composited bottom-up
+  function background(el) {
+    const layers = [];
+    for (let node = el; node; node = parentOf(node)) {
+      const style = styleOf(node);
+      const shorthand = resolve(style.background, node);
+      const longhand = resolve(style['background-color'], node);
+      if (shorthand && !backgroundColor(shorthand)) return null;
+      const color = longhand ? parseColor(longhand) : shorthand ? backgroundColor(shorthand) : [0, 0, 0, 0];
+      if (!color) return null;
+      if (color[3] > 0) layers.push(color);
+      if (color[3] >= 1) return { color: layers.reverse().reduce((below, layer) => blend(layer, below)), node };
+    }
+    return { color: layers.reverse().reduce((below, layer) => blend(layer, below), [255, 255, 255, 1]), node: null };
+  }
+
+  const failures = [];
+  let checked = 0;
+  elements.forEach(el => {
+    const text = inherited(el, 'color');
+    const foreground = parseColor(text ? text.value : 'black');
+    const behind = background(el);
+    if (!foreground || !behind) return;
+
+    // Opacity between the text and whatever paints its background fades it
+    let opacity = foreground[3];
+    for (let node = el; node && node !== behind.node; node = parentOf(node)) {
+      const value = parseFloat(resolve(styleOf(node).opacity, node));
+      if (!Number.isNaN(value)) opacity *= value;
+    }
+    checked++;
+    const shown = blend([...foreground.slice(0, 3), opacity], behind.color);
+    const size = fontSize(el);
+    const large = size >= 24 || (size >= 18.66 && isBold(el));
+    const required = large ? 3 : 4.5;
+    const ratio = contrastRatio(shown, behind.color);
+    if (ratio < required) failures.push({ el, ratio, required, foreground: shown, background: behind.color });
+  });
+
+  return {
+    checked,
+    count: failures.length,
+    elements: failures.slice(0, ELEMENT_LIMIT).map(f => ({
+      selector: selectorFor($, f.el),
+      detail: `${f.ratio.toFixed(2)}:1 (${colorHex(f.foreground)} on ${colorHex(f.background)}, needs ${f.required}:1) "${snippet($(f.el).text())}"`
+    }))
+  };
+}
+
+// Everything the accessibility rules need. `stylesheets` is the text of the
+// page's linked CSS, where it could be loaded.
+function auditAccessibility($, stylesheets = []) {
+  const lang = ($('html').attr('lang') || '').trim();
+  const inlineCss = $('style').map((i, el) => $(el).html()).get();
+  const linkedCount = $('link[rel~="stylesheet"][href]').length;
+
+  const fields = $('input, select, textarea')
+    .filter((i, el) => !['hidden', 'submit', 'button', 'reset', 'image'].includes((el.attribs.type || '').toLowerCase()));
+  const buttons = $('button, [role="button"], input[type="button"], input[type="image"]');
+  const links = $('a[href]');
+  const tabindex = $('[tabindex]').filter((i, el) => parseInt(el.attribs.tabindex, 10) > 0).get();
+  const autoplay = $('audio[autoplay], video[autoplay]:not([muted]), iframe[src*="autoplay=1"]').get();
+
+  return {
+    lang: lang || null,
+    langValid: /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(lang),
+    headingSkips: headingSkips($),
+    unlabeledFields: collect($, fields.filter((i, el) => !isLabeled($, el)).get(), el => el.attribs.placeholder ? `placeholder "${snippet(el.attribs.placeholder)}" is not a label` : el.attribs.name ? `name="${el.attribs.name}"` : null, fields.length),
+    namelessButtons: collect($, buttons.filter((i, el) => !accessibleName($, el)).get(), null, buttons.length),
+    namelessLinks: collect($, links.filter((i, el) => !accessibleName($, el)).get(), el => `href="${snippet(el.attribs.href, 60)}"`, links.length),
+    duplicateIds: duplicateIds($),
+    positiveTabindex: collect($, tabindex, el => `tabindex="${el.attribs.tabindex}"`),
+    autoplayMedia: collect($, autoplay, el => el.name === 'iframe' ? 'embedded player with autoplay=1' : `<${el.name} autoplay>`),
+    imagesWithoutAlt: collect($, $('img:not([alt]), img[alt=""]').get(), el => el.attribs.src ? `src="${snippet(el.attribs.src, 60)}"` : null),
+    contrast: {
+      ...contrastAudit($, inlineCss.concat(stylesheets)),
+      stylesheets: { inline: inlineCss.length, linked: linkedCount, loaded: stylesheets.length }
+    }
+  };
+}
+
+module.exports = {
+  WCAG,
+  wcagReference,
+  selectorFor,
+  accessibleName,
+  parseColor,
+  contrastRatio,
+  parseStylesheet,
+  auditAccessibility
+};
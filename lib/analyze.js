@@ -0,0 +1,95 @@
+const cheerio = require('cheerio');
+const { normalizeUrl, fetchHtml } = require('./fetch');
+const { extractBrand } = require('./brand');
+const { auditAccessibility } = require('./accessibility');
+const { auditSeo, fetchSiteFiles } = require('./seo');
+const { fetchResource, fetchResources, auditPerformance } = require('./performance');
+const { auditSecurity, checkHttpRedirect } = require('./security');
+const { fetchLinks, auditLinks } = require('./links');
+
+// The contrast check reads at most this much linked CSS; stylesheets that
+// fail to load are simply left out
+const STYLESHEET_LIMITS = { count: 5, maxBytes: 1024 * 1024 };
+
+// Extract the analysis object from a loaded document. `source` is 'url',
+// 'html' (pasted) or 'upload'; only fetched pages know about HTTPS, judged
+// by the URL the page ended up at. `stylesheets` holds the text of whatever
+// linked CSS could be loaded; `context` carries what only a fetch knows:
+// { finalUrl, headers, siteFiles, resources, htmlBytes, httpRedirect, links }.
+function analyzeDocument($, url, source = 'url', stylesheets = [], context = {}) {
+  return {
+    url: url,
+    source,
+    title: $('title').text() || 'No title found',
+    metaDescription: $('meta[name="description"]').attr('content') || 'No meta description',
+    h1Count: $('h1').length,
+    h1Text: $('h1').first().text().trim() || 'No H1 found',
+    imageCount: $('img').length,
+    imagesWithoutAlt: $('img:not([alt]), img[alt=""]').length,
+    hasHttps: source === 'url' ? (context.finalUrl || url).startsWith('https') : null,
+    linkCount: $('a').length,
+    hasViewport: $('meta[name="viewport"]').length > 0,
+    bodyText: $('body').text().replace(/\s+/g, ' ').trim().substring(0, 1500),
+    hasFavicon: $('link[rel*="icon"]').length > 0,
+    scriptCount: $('script').length,
+    cssCount: $('link[rel="stylesheet"]').length + $('style').length,
+    formCount: $('form').length,
+    buttonCount: $('button').length + $('input[type="submit"]').length,
+    brand: extractBrand($, url),
+    accessibility: auditAccessibility($, stylesheets),
+    seo: auditSeo($, url, context),
+    performance: auditPerformance($, url, context),
+    security: auditSecurity($, url, context),
+    links: auditLinks($, url, context),
+  };
+}
+
+// Fetch a page's linked stylesheets through the resource cache that
+// fetchResources() shares, so each is downloaded once per analysis or crawl
+async function fetchStylesheets($, pageUrl, cache = new Map()) {
+  const hrefs = [];
+  $('link[rel~="stylesheet"][href]').each((i, el) => {
+    try {
+      const href = new URL($(el).attr('href'), pageUrl).href;
+      if (/^https?:/.test(href) && !hrefs.includes(href)) hrefs.push(href);
+    } catch (error) {
+      // Ignore hrefs that are not valid URLs
+    }
+  });
+
+  const sheets = await Promise.all(hrefs.slice(0, STYLESHEET_LIMITS.count).map(href => fetchResource(href, cache)));
+  return sheets.filter(sheet => sheet.text && sheet.text.length <= STYLESHEET_LIMITS.maxBytes).map(sheet => sheet.text);
+}
+
+// Fetch and analyze website. `onStage(stage)` hears 'fetching' (the page),
+// 'loading' (stylesheets, resources, links and site files) and 'parsing'.
+// The page's `html` comes back alongside the analysis.
+async function fetchWebsite(url, { onStage = () => {} } = {}) {
+  try {
+    url = normalizeUrl(url);
+    onStage('fetching');
+    const { html, finalUrl, headers } = await fetchHtml(url);
+    const $ = cheerio.load(html);
+    const cache = new Map();
+    onStage('loading');
+    const [stylesheets, resources, siteFiles, httpRedirect, links] = await Promise.all([
+      fetchStylesheets($, finalUrl, cache),
+      fetchResources($, finalUrl, cache),
+      fetchSiteFiles(new URL(finalUrl).origin),
+      checkHttpRedirect(finalUrl),
+      fetchLinks($, finalUrl)
+    ]);
+    const context = { finalUrl, headers, siteFiles, resources, htmlBytes: Buffer.byteLength(html), httpRedirect, links };
+    onStage('parsing');
+    return { success: true, analysis: analyzeDocument($, url, 'url', stylesheets, context), html };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+module.exports = {
+  STYLESHEET_LIMITS,
+  analyzeDocument,
+  fetchStylesheets,
+  fetchWebsite
+};
@@ -0,0 +1,193 @@
+// Brand extraction
+// Pulls what a rebuilt landing page needs out of an analyzed page: name,
+// tagline, value propositions, contact details, social links, logo, favicon
+// and the dominant brand colors from inline CSS. Everything is best effort;
+// fields that can't be found are empty.
+const SOCIAL_NETWORKS = [
+  { network: 'facebook', label: 'Facebook', hosts: ['facebook.com'] },
+  { network: 'instagram', label: 'Instagram', hosts: ['instagram.com'] },
+  { network: 'x', label: 'X', hosts: ['twitter.com', 'x.com'] },
+  { network: 'linkedin', label: 'LinkedIn', hosts: ['linkedin.com'] },
+  { network: 'youtube', label: 'YouTube', hosts: ['youtube.com', 'youtu.be'] },
+  { network: 'tiktok', label: 'TikTok', hosts: ['tiktok.com'] },
+  { network: 'github', label: 'GitHub', hosts: ['github.com'] },
+  { network: 'pinterest', label: 'Pinterest', hosts: ['pinterest.com'] }
+];
+
+const SHARE_LINK = /\/(sharer|share|intent)\b/i;
+const GENERIC_HEADING = /^(home|welcome|menu|navigation|search|cart|log ?in|sign ?in|sign ?up|contact( us)?|about( us)?|faq|follow us|subscribe|newsletter|footer|copyright|related posts|recent posts|categories|share( this)?)$/i;
+const TITLE_SEPARATOR = /\s+[|\-–—:·•]\s+/;
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE = /(\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/;
+const COLOR = /#([0-9a-f]{6}|[0-9a-f]{3})\b|rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})/gi;
+
+const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+// Relative URLs only resolve against a fetched page; uploads keep absolute ones
+function resolveUrl(href, pageUrl) {
+  if (!href) return null;
+  try {
+    const url = /^https?:\/\//i.test(pageUrl) ? new URL(href, pageUrl) : new URL(href);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function domainLabel(pageUrl) {
+  const match = /^https?:\/\/(?:www\.)?([^./:]+)/i.exec(pageUrl || '');
+  return match ? match[1] : '';
+}
+
+// og:site_name, then the title segment that looks like the domain
+function extractName($, pageUrl) {
+  const declared = clean($('meta[property="og:site_name"]').attr('content') || $('meta[name="application-name"]').attr('content'));
+  if (declared) return declared;
+
+  const segments = clean($('title').text()).split(TITLE_SEPARATOR).filter(s => s && !GENERIC_HEADING.test(s));
+  const label = domainLabel(pageUrl).toLowerCase();
+  const squash = s => s.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const matching = label && segments.find(s => squash(s).includes(label) || label.includes(squash(s)));
+  if (matching) return matching;
+  if (segments.length) return segments[segments.length > 1 ? segments.length - 1 : 0];
+  return label ? label.charAt(0).toUpperCase() + label.slice(1) : '';
+}
+
+function firstSentence(text, max = 160) {
+  const sentence = clean(text).split(/(?<=[.!?])\s/)[0];
+  return sentence.length > max ? sentence.slice(0, max - 1).trim() + '…' : sentence;
+}
+
+function extractTagline($) {
+  const description = $('meta[property="og:description"]').attr('content') || $('meta[name="description"]').attr('content');
+  if (clean(description)) return firstSentence(description);
+  return firstSentence($('h1').first().text());
+}
+
+function extractValueProps($, name) {
+  const seen = new Set([name.toLowerCase()]);
+  const props = [];
+  $('h2, h3').each((i, el) => {
+    const text = clean($(el).text());
+    const key = text.toLowerCase();
+    if (text.length < 4 || text.length > 80 || GENERIC_HEADING.test(text) || seen.has(key)) return;
+    seen.add(key);
+    props.push(text);
+  });
+  return props.slice(0, 6);
+}
+
+// A stray % in a mailto: link isn't an escape; such addresses are kept as written
+function extractEmail($) {
+  const mailto = $('a[href^="mailto:"]').first().attr('href');
+  if (mailto) {
+    const address = mailto.slice(7).split('?')[0];
+    try {
+      return decodeURIComponent(address).trim();
+    } catch (error) {
+      return address.trim();
+    }
+  }
+  const match = EMAIL.exec($('body').text());
+  return match && !/\.(png|jpe?g|gif|svg|webp)$/i.test(match[0]) ? match[0] : '';
+}
+
+function extractPhone($) {
+  const tel = $('a[href^="tel:"]').first();
+  if (tel.length) return clean(tel.text()) || tel.attr('href').slice(4);
+  const match = PHONE.exec($('body').text());
+  return match ? match[0].trim() : '';
+}
+
+function extractSocial($, pageUrl) {
+  const found = new Map();
+  $('a[href]').each((i, el) => {
+    const href = resolveUrl($(el).attr('href'), pageUrl);
+    if (!href || SHARE_LINK.test(href)) return;
+    const host = new URL(href).hostname.replace(/^www\./, '');
+    const network = SOCIAL_NETWORKS.find(n => n.hosts.some(h => host === h || host.endsWith('.' + h)));
+    if (network && !found.has(network.network)) {
+      found.set(network.network, { network: network.network, label: network.label, url: href });
+    }
+  });
+  return [...found.values()];
+}
+
+function extractLogo($, pageUrl) {
+  const candidates = $('img').filter((i, el) => /logo/i.test([$(el).attr('src'), $(el).attr('alt'), $(el).attr('class'), $(el).attr('id')].join(' ')) ||
+    $(el).closest('.logo, #logo, [class*="brand"]').length > 0);
+  const inHeader = candidates.filter((i, el) => $(el).closest('header, nav').length > 0);
+  return resolveUrl((inHeader.length ? inHeader : candidates).first().attr('src'), pageUrl);
+}
+
+function extractFavicon($, pageUrl) {
+  return resolveUrl($('link[rel~="icon"]').first().attr('href') || $('link[rel*="icon"]').first().attr('href'), pageUrl);
+}
+
+// Color helpers for picking brand colors out of CSS
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(c => Math.min(255, Number(c)).toString(16).padStart(2, '0')).join('');
+}
+
+function hsl(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+  return { saturation, lightness };
+}
+
+function distance(a, b) {
+  const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const [x, y] = [rgb(a), rgb(b)];
+  return Math.sqrt(x.reduce((sum, c, i) => sum + (c - y[i]) ** 2, 0));
+}
+
+// Most used saturated colors in inline CSS; meta theme-color counts extra
+function extractColors($) {
+  const css = [$('style').text(), $('[style]').map((i, el) => $(el).attr('style')).get().join(';')].join('\n');
+  const counts = new Map();
+  const add = (hex, weight) => {
+    const { saturation, lightness } = hsl(hex);
+    if (saturation < 0.25 || lightness > 0.92 || lightness < 0.08) return;
+    counts.set(hex, (counts.get(hex) || 0) + weight);
+  };
+
+  let match;
+  while ((match = COLOR.exec(css))) {
+    if (match[1]) {
+      const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+      add('#' + hex.toLowerCase(), 1);
+    } else {
+      add(toHex(match[2], match[3], match[4]), 1);
+    }
+  }
+  const themeColor = clean($('meta[name="theme-color"]').attr('content'));
+  if (/^#[0-9a-f]{6}$/i.test(themeColor)) add(themeColor.toLowerCase(), 5);
+
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([hex]) => hex);
+  if (!ranked.length) return null;
+  const accent = ranked.find(hex => distance(hex, ranked[0]) > 80);
+  return { primary: ranked[0], accent: accent || null };
+}
+
+function extractBrand($, pageUrl) {
+  const name = extractName($, pageUrl);
+  return {
+    name,
+    tagline: extractTagline($),
+    valueProps: extractValueProps($, name),
+    email: extractEmail($),
+    phone: extractPhone($),
+    social: extractSocial($, pageUrl),
+    logo: extractLogo($, pageUrl),
+    favicon: extractFavicon($, pageUrl),
+    colors: extractColors($)
+  };
+}
+
+module.exports = {
+  SOCIAL_NETWORKS,
+  extractBrand
+};
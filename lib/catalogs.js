@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tone packs and locale catalogs
+// Feedback voices live in catalogs/tones and translated strings in
+// catalogs/locales, one JSON file each, named by id or language code.
+// ROAST_PACKS may point at a directory with its own tones/ and locales/
+// folders; its files add packs or replace built-in ones. Locales are merged
+// over English, so a catalog only needs the strings it translates.
+const CATALOG_DIR = path.join(__dirname, 'catalogs');
+const DEFAULT_LOCALE = 'en';
+const DEFAULT_TONE = 'roast';
+const VOICES = ['roast', 'professional', 'plain'];
+
+const LOCALES = {};
+const TONES = {};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; anything else in `override` replaces `base`
+function merge(base, override) {
+  if (!isObject(base) || !isObject(override)) return override === undefined ? base : override;
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => { merged[key] = merge(base[key], value); });
+  return merged;
+}
+
+function readPacks(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const pack = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { id: path.basename(file, '.json'), ...pack };
+    });
+}
+
+function loadCatalogs(dirs) {
+  const locales = {};
+  dirs.forEach(dir => readPacks(path.join(dir, 'locales')).forEach(locale => {
+    locales[locale.id] = merge(locales[locale.id], locale);
+  }));
+  if (!locales[DEFAULT_LOCALE]) throw new Error(`The ${DEFAULT_LOCALE} locale catalog is missing`);
+  Object.keys(LOCALES).forEach(code => delete LOCALES[code]);
+  // builtInMessages marks a catalog whose language the rules' own messages
+  // are written in, so it isn't inherited from English
+  Object.values(locales).forEach(locale => {
+    const merged = locale.id === DEFAULT_LOCALE ? locale : merge(locales[DEFAULT_LOCALE], locale);
+    LOCALES[locale.id] = { ...merged, builtInMessages: Boolean(locale.builtInMessages) };
+  });
+
+  Object.keys(TONES).forEach(id => delete TONES[id]);
+  dirs.forEach(dir => readPacks(path.join(dir, 'tones')).forEach(tone => {
+    if (!VOICES.includes(tone.voice)) throw new Error(`Tone "${tone.id}" needs a voice: ${VOICES.join(', ')}`);
+    if (!tone.text || !tone.text[DEFAULT_LOCALE]) throw new Error(`Tone "${tone.id}" needs ${DEFAULT_LOCALE} text`);
+    TONES[tone.id] = tone;
+  }));
+}
+
+loadCatalogs([CATALOG_DIR].concat(process.env.ROAST_PACKS ? [path.resolve(process.env.ROAST_PACKS)] : []));
+
+function catalogError(message, field) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_FEEDBACK';
+  error.fields = { [field]: message };
+  return error;
+}
+
+// `es-MX` falls back to `es`; unknown codes return null
+function localeFor(code = DEFAULT_LOCALE) {
+  const wanted = String(code).toLowerCase();
+  return LOCALES[wanted] || LOCALES[wanted.split('-')[0]] || null;
+}
+
+function toneFor(id = DEFAULT_TONE) {
+  return Object.hasOwn(TONES, id) ? TONES[id] : null;
+}
+
+// Validated { tone, locale } for a request; missing values get the defaults
+function resolveFeedbackOptions({ tone, locale } = {}) {
+  const pack = toneFor(tone || DEFAULT_TONE);
+  if (!pack) throw catalogError(`Unknown tone "${tone}". Use one of: ${Object.keys(TONES).join(', ')}`, 'tone');
+  const catalog = localeFor(locale || DEFAULT_LOCALE);
+  if (!catalog) throw catalogError(`Unknown locale "${locale}". Use one of: ${Object.keys(LOCALES).join(', ')}`, 'locale');
+  return { tone: pack, locale: catalog };
+}
+
+// A tone's strings for a locale: its text in that language (or English),
+// with the shared lists underneath
+function toneText(tone, locale) {
+  const text = tone.text[locale.id] || tone.text[DEFAULT_LOCALE];
+  return { ...text, lists: merge(tone.lists || {}, text.lists || {}) };
+}
+
+// Placeholders are {name}; {#name}...{/name} keeps its content when the
+// value is set and {^name}...{/name} when it isn't. Values are inserted
+// last, so braces inside them are never read as placeholders.
+const SECTION = /\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g;
+
+function expandSections(template, values) {
+  return template.replace(SECTION, (match, kind, name, inner) => (
+    Boolean(values[name]) === (kind === '#') ? expandSections(inner, values) : ''
+  ));
+}
+
+function fill(template, values = {}) {
+  return expandSections(String(template), values).replace(/\{(\w+)\}/g, (match, name) => (
+    values[name] === undefined || values[name] === null ? match : String(values[name])
+  ));
+}
+
+// The first case whose `if` flag is set and whose `min`/`max` bounds hold
+// for the band's `by` value
+function pickCase(band, values) {
+  const value = values[band.by];
+  const match = band.cases.find(c =>
+    (c.if === undefined || Boolean(values[c.if])) &&
+    (c.min === undefined || (value !== undefined && value >= c.min)) &&
+    (c.max === undefined || (value !== undefined && value <= c.max)));
+  return match ? fill(match.text, values) : '';
+}
+
+// A list of items, each rendered with `item` and joined with `join`
+function renderList(spec, items, values, locale) {
+  const text = items
+    .slice(0, spec.limit || items.length)
+    .map((item, i) => fill(spec.item, { ...values, ...item, n: i + 1 }))
+    .join(spec.join === undefined ? '\n' : spec.join);
+  return spec.lowercase ? text.toLocaleLowerCase(locale.id) : text;
+}
+
+// "a, b and c" in the locale's words
+function joinAnd(items, locale) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} ${locale.and} ${items[items.length - 1]}` : items.join('');
+}
+
+// Generated landing page copy in a locale, English for unknown codes
+function landingCopy(code = DEFAULT_LOCALE) {
+  return (localeFor(code) || LOCALES[DEFAULT_LOCALE]).landing;
+}
+
+// Tones and languages for the step 2 selector, labelled in `locale`
+function feedbackCatalog(code = DEFAULT_LOCALE) {
+  const locale = localeFor(code) || LOCALES[DEFAULT_LOCALE];
+  return {
+    defaultTone: DEFAULT_TONE,
+    defaultLocale: DEFAULT_LOCALE,
+    tones: Object.values(TONES)
+      .sort((a, b) => (a.order || 99) - (b.order || 99) || a.id.localeCompare(b.id))
+      .map(tone => ({ id: tone.id, icon: tone.icon, label: toneText(tone, locale).label, description: toneText(tone, locale).description })),
+    locales: Object.values(LOCALES)
+      .sort((a, b) => (b.id === DEFAULT_LOCALE) - (a.id === DEFAULT_LOCALE) || a.name.localeCompare(b.name))
+      .map(l => ({ code: l.id, name: l.name }))
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DEFAULT_TONE,
+  LOCALES,
+  TONES,
+  loadCatalogs,
+  localeFor,
+  toneFor,
+  resolveFeedbackOptions,
+  toneText,
+  fill,
+  pickCase,
+  renderList,
+  joinAnd,
+  landingCopy,
+  feedbackCatalog
+};
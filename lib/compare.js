@@ -0,0 +1,188 @@
+const { normalizeUrl } = require('./fetch');
+const { fetchWebsite } = require('./analyze');
+const { CATEGORIES, SEVERITY_ORDER, resolveMessage, evaluateRules, reportPayload } = require('./rules');
+const { statusMessage } = require('./roast');
+
+// Competitor comparison
+// The client and 2-5 competitors are fetched concurrently with the same
+// fetcher and rules; the narratives focus on where the client loses.
+const COMPARE_LIMITS = { minCompetitors: 2, maxCompetitors: 5 };
+
+const METRIC_LABELS = {
+  title: 'Title',
+  metaDescription: 'Meta description',
+  h1Count: 'H1 tags',
+  h1Text: 'First H1',
+  imageCount: 'Images',
+  imagesWithoutAlt: 'Images without alt',
+  hasHttps: 'HTTPS',
+  linkCount: 'Links',
+  hasViewport: 'Viewport meta',
+  hasFavicon: 'Favicon',
+  scriptCount: 'Scripts',
+  cssCount: 'Stylesheets',
+  formCount: 'Forms',
+  buttonCount: 'Buttons'
+};
+
+function metricLabel(key) {
+  return METRIC_LABELS[key] || key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+const failing = f => f.status === 'fail' || f.status === 'warn';
+
+// Every primitive field of the analysis, one row per metric
+function comparisonMetrics(sites) {
+  const ok = sites.filter(s => s.success);
+  const keys = Object.keys(ok[0].analysis).filter(key => !['url', 'source', 'bodyText'].includes(key) &&
+    ok.every(s => s.analysis[key] === null || typeof s.analysis[key] !== 'object'));
+  return keys.map(key => ({
+    key,
+    label: metricLabel(key),
+    values: sites.map(s => (s.success ? s.analysis[key] : null))
+  }));
+}
+
+function comparisonChecks(sites) {
+  const ok = sites.filter(s => s.success);
+  return ok[0].report.findings.map(f => ({
+    id: f.id,
+    title: f.title,
+    category: f.category,
+    severity: f.severity,
+    statuses: sites.map(s => {
+      if (!s.success) return null;
+      const match = s.report.findings.find(other => other.id === f.id);
+      return match ? match.status : null;
+    })
+  }));
+}
+
+// Checks a competitor passes that the client fails, and the reverse
+function headToHead(client, competitor) {
+  const losses = [];
+  const wins = [];
+  client.report.findings.forEach(mine => {
+    const theirs = competitor.report.findings.find(f => f.id === mine.id);
+    if (!theirs) return;
+    if (failing(mine) && theirs.status === 'pass') losses.push(mine);
+    if (mine.status === 'pass' && failing(theirs)) wins.push(mine);
+  });
+  const subscoreGaps = Object.keys(CATEGORIES)
+    .filter(c => client.report.subscores[c] !== undefined && competitor.report.subscores[c] !== undefined)
+    .map(c => ({ category: c, label: CATEGORIES[c].label, mine: client.report.subscores[c], theirs: competitor.report.subscores[c] }))
+    .filter(gap => gap.theirs > gap.mine);
+  return { competitor, losses, wins, subscoreGaps };
+}
+
+function listTitles(findings) {
+  const titles = findings.map(f => f.title);
+  return titles.length > 1 ? `${titles.slice(0, -1).join(', ')} and ${titles[titles.length - 1]}` : titles.join('');
+}
+
+function generateComparison(client, competitors, style = 'roast') {
+  const ranked = [client, ...competitors].sort((a, b) => b.report.score - a.report.score);
+  const rank = ranked.indexOf(client) + 1;
+  const matchups = competitors.map(c => headToHead(client, c));
+  const beatenBy = matchups.filter(m => m.competitor.report.score > client.report.score);
+
+  // Client weaknesses, most common across competitors first
+  const gaps = {};
+  matchups.forEach(m => m.losses.forEach(f => {
+    gaps[f.id] = gaps[f.id] || { finding: f, count: 0 };
+    gaps[f.id].count++;
+  }));
+  const weakSpots = Object.values(gaps)
+    .sort((a, b) => (b.count - a.count) || (SEVERITY_ORDER[a.finding.severity] - SEVERITY_ORDER[b.finding.severity]))
+    .map(g => g.finding);
+
+  const lineup = ranked.map((s, i) => `${i + 1}. **${s.domain}** - ${s.report.score}/100 (${s.report.grade})${s === client ? (style === 'roast' ? ' 👈 you' : ' - client') : ''}`).join('\n');
+
+  if (style === 'roast') {
+    return `## 🥊 Rank: #${rank} of ${ranked.length} | Score: ${client.report.score}/100
+
+### The Lineup
+${lineup}
+
+### Where You Lose 😬
+${matchups.map(m => m.losses.length
+  ? `- **vs ${m.competitor.domain}** (${m.competitor.report.score} vs ${client.report.score}): they beat you on ${listTitles(m.losses)}.`
+  : `- **vs ${m.competitor.domain}**: nothing they pass that you fail. Respect.`).join('\n')}
+
+### Your Weak Spots 🔧
+${weakSpots.length
+  ? weakSpots.map(f => `- ${statusMessage(f, 'roast') || f.title}`).join('\n\n')
+  : `- None of your rivals pass a check you fail. Your problems are shared problems.`}
+
+### Where You Win 💪
+${matchups.filter(m => m.wins.length).map(m => `- **vs ${m.competitor.domain}**: you've got ${listTitles(m.wins)} and they don't.`).join('\n') || `- Nowhere, yet. Every competitor matches or beats you check for check.`}
+
+### The Verdict 🎯
+${rank === 1 ? `You're on top. Don't get comfortable - ${ranked[1].domain} is ${client.report.score - ranked[1].report.score} points behind.`
+  : rank === ranked.length ? `Dead last. Every competitor here is giving your customers a better first impression.`
+  : `Middle of the pack. ${beatenBy.map(m => m.competitor.domain).join(' and ')} ${beatenBy.length > 1 ? 'are' : 'is'} eating your lunch.`}`;
+  }
+
+  const fixes = weakSpots.filter(f => f.rule.fix).slice(0, 3);
+  return `## 📊 Competitive Position: #${rank} of ${ranked.length} | Score: ${client.report.score}/100 (Grade: ${client.report.grade})
+
+### Overview
+${lineup}
+
+### Gaps vs Each Competitor
+${matchups.map(m => `**${m.competitor.domain}** (${m.competitor.report.score}/100, ${m.competitor.report.score === client.report.score ? 'tied' : m.competitor.report.score > client.report.score ? `${m.competitor.report.score - client.report.score} points ahead` : `${client.report.score - m.competitor.report.score} points behind`})
+${m.subscoreGaps.map(g => `- ${g.label}: ${g.theirs} vs ${g.mine}`).join('\n') || '- No category where they lead'}
+${m.losses.length ? `- Checks they pass and the client fails: ${listTitles(m.losses)}` : '- No checks they pass that the client fails'}`).join('\n\n')}
+
+### Competitive Advantages
+${matchups.filter(m => m.wins.length).map(m => `- Over ${m.competitor.domain}: ${listTitles(m.wins)}`).join('\n') || '- None identified in the scored checks'}
+
+### Priority Recommendations
+${fixes.length
+  ? fixes.map((f, i) => `**${i + 1}. ${resolveMessage(f.rule.fix.title, f)}** (${gaps[f.id].count} of ${competitors.length} competitors already pass)\n${resolveMessage(f.rule.fix.professional, f)}`).join('\n\n')
+  : 'No competitor passes a check the client fails. Differentiate on content and messaging rather than technical fundamentals.'}`;
+}
+
+async function compareSites(url, competitorUrls) {
+  const results = await Promise.all([url, ...competitorUrls].map(u => fetchWebsite(u)));
+  const sites = results.map((result, i) => {
+    const target = normalizeUrl(i === 0 ? url : competitorUrls[i - 1]);
+    const site = { url: target, domain: target.replace(/^https?:\/\//, '').split('/')[0], role: i === 0 ? 'client' : 'competitor', success: result.success };
+    if (!result.success) return { ...site, error: result.error, code: result.code };
+    return { ...site, analysis: result.analysis, report: evaluateRules(result.analysis) };
+  });
+
+  const client = sites[0];
+  if (!client.success) {
+    const error = new Error(client.error);
+    error.status = 400;
+    error.code = client.code;
+    throw error;
+  }
+  const competitors = sites.slice(1).filter(s => s.success);
+  if (!competitors.length) {
+    const error = new Error('None of the competitor sites could be analyzed');
+    error.status = 400;
+    throw error;
+  }
+
+  const ranking = sites.filter(s => s.success)
+    .sort((a, b) => b.report.score - a.report.score)
+    .map((s, i) => ({ rank: i + 1, domain: s.domain, score: s.report.score, grade: s.report.grade, role: s.role }));
+
+  return {
+    success: true,
+    sites: sites.map(({ report, ...site }) => (report ? { ...site, ...reportPayload(report) } : site)),
+    ranking,
+    metrics: comparisonMetrics(sites),
+    checks: comparisonChecks(sites),
+    roastFeedback: generateComparison(client, competitors, 'roast'),
+    professionalFeedback: generateComparison(client, competitors, 'professional')
+  };
+}
+
+module.exports = {
+  COMPARE_LIMITS,
+  generateComparison,
+  compareSites
+};
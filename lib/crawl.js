@@ -0,0 +1,234 @@
+const cheerio = require('cheerio');
+const { safeFetch, normalizeUrl, fetchHtml } = require('./fetch');
+const { analyzeDocument, fetchStylesheets } = require('./analyze');
+const { fetchSiteFiles } = require('./seo');
+const { fetchResources } = require('./performance');
+const { checkHttpRedirect } = require('./security');
+const { LINK_LIMITS, fetchLinks } = require('./links');
+
+// Site crawl
+// Follows same-origin links breadth-first from the start page, up to a depth
+// and page budget, skipping anything robots.txt disallows. Sitemap URLs are
+// queued after the start page's own links. Failed fetches don't count as
+// pages, so fetches are capped separately at fetchesPerPage per page.
+const CRAWL_LIMITS = { depth: 3, maxPages: 25, fetchesPerPage: 2 };
+const CRAWLER_TOKEN = 'roast2site';
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|exe|dmg|jpe?g|png|gif|webp|svg|ico|mp3|mp4|mov|avi|webm|css|js|json|xml|txt|woff2?|ttf)$/i;
+
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).replace(/#.*$/, '').trim();
+
+    if (key === 'user-agent') {
+      if (!current || current.rules.length) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((key === 'allow' || key === 'disallow') && current) {
+      if (value) current.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'sitemap' && value) {
+      sitemaps.push(value);
+    }
+  });
+
+  const group = groups.find(g => g.agents.includes(CRAWLER_TOKEN)) ||
+                groups.find(g => g.agents.includes('*'));
+  return { rules: group ? group.rules : [], sitemaps };
+}
+
+// Longest matching rule wins; Allow wins a tie
+function isAllowedByRobots(robots, pathWithQuery) {
+  let best = null;
+  robots.rules.forEach(rule => {
+    const pattern = rule.path
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\\\$$/, '$');
+    if (!new RegExp('^' + pattern).test(pathWithQuery)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+async function fetchRobots(origin) {
+  try {
+    const { body } = await safeFetch(`${origin}/robots.txt`, { accept: ['text/plain'], maxBytes: 512 * 1024 });
+    return { found: true, text: body, ...parseRobots(body) };
+  } catch (error) {
+    return { found: false, text: null, rules: [], sitemaps: [] };
+  }
+}
+
+async function fetchSitemapUrls(origin, sitemaps, limit = 500) {
+  const pending = sitemaps.length ? sitemaps.slice(0, 5) : [`${origin}/sitemap.xml`];
+  const urls = [];
+  let fetched = 0;
+
+  while (pending.length && fetched < 5 && urls.length < limit) {
+    const sitemapUrl = pending.shift();
+    fetched++;
+    try {
+      const { body } = await safeFetch(sitemapUrl, { accept: ['xml'], maxBytes: 10 * 1024 * 1024 });
+      const $ = cheerio.load(body, { xmlMode: true });
+      $('sitemap > loc').each((i, el) => { pending.push($(el).text().trim()); });
+      $('url > loc').each((i, el) => { urls.push($(el).text().trim()); });
+    } catch (error) {
+      // A missing or broken sitemap just means fewer seeds
+    }
+  }
+
+  return urls.slice(0, limit);
+}
+
+// Same-origin page links, resolved and stripped of fragments
+function extractLinks($, pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  const links = [];
+  $('a[href]').each((i, el) => {
+    try {
+      const link = new URL($(el).attr('href'), pageUrl);
+      link.hash = '';
+      if (link.origin !== origin || SKIPPED_EXTENSIONS.test(link.pathname)) return;
+      links.push(link.href);
+    } catch (error) {
+      // Ignore hrefs that are not valid URLs
+    }
+  });
+  return links;
+}
+
+// `options.onStage(stage, detail)` hears 'fetching' and 'loading' for each
+// page, with the page number and URL as the detail
+async function crawlWebsite(url, options = {}) {
+  const onStage = options.onStage || (() => {});
+  const depth = Math.min(Math.max(parseInt(options.depth, 10) || 2, 0), CRAWL_LIMITS.depth);
+  const maxPages = Math.min(Math.max(parseInt(options.maxPages, 10) || 10, 1), CRAWL_LIMITS.maxPages);
+
+  let start;
+  try {
+    start = new URL(normalizeUrl(url));
+  } catch (error) {
+    return { success: false, error: 'Invalid URL' };
+  }
+
+  // The crawl stays on the origin the start page lands on (apex to www, http
+  // to https), so robots.txt is read again there and the sitemap and site
+  // files are only fetched once the start page has loaded
+  let origin = start.origin;
+  let robots = await fetchRobots(origin);
+  let sitemapUrls = [];
+  let siteFiles = null;
+  const queue = [{ url: start.href, depth: 0 }];
+  const seen = new Set();
+  const pages = [];
+  const skipped = [];
+  const resources = new Map();
+  const linkChecks = new Map();
+  const linkDeadline = Date.now() + LINK_LIMITS.crawlBudget;
+  const maxFetches = maxPages * CRAWL_LIMITS.fetchesPerPage;
+  let fetches = 0;
+
+  while (queue.length && pages.length < maxPages) {
+    if (fetches >= maxFetches) {
+      const unfetched = queue.find((item) => !seen.has(item.url));
+      if (unfetched) skipped.push({ url: unfetched.url, code: 'FETCH_BUDGET', reason: `Crawl stopped after ${maxFetches} page fetches` });
+      break;
+    }
+    const next = queue.shift();
+    if (seen.has(next.url)) continue;
+    seen.add(next.url);
+
+    const target = new URL(next.url);
+    if (target.origin !== origin) continue;
+    if (!isAllowedByRobots(robots, target.pathname + target.search)) {
+      skipped.push({ url: next.url, code: 'ROBOTS_DISALLOWED', reason: 'Disallowed by robots.txt' });
+      continue;
+    }
+
+    try {
+      const detail = `Page ${pages.length + 1} of up to ${maxPages}: ${next.url}`;
+      onStage('fetching', detail);
+      fetches++;
+      const { html, finalUrl, headers } = await fetchHtml(next.url);
+      const landed = new URL(finalUrl);
+      if (landed.origin !== origin && next.depth > 0) {
+        skipped.push({ url: next.url, code: 'OFF_SITE', reason: `Redirects off-site to ${finalUrl}` });
+        continue;
+      }
+      if (next.depth === 0) {
+        if (landed.origin !== origin) {
+          origin = landed.origin;
+          robots = await fetchRobots(origin);
+          if (!isAllowedByRobots(robots, landed.pathname + landed.search)) {
+            skipped.push({ url: finalUrl, code: 'ROBOTS_DISALLOWED', reason: 'Disallowed by robots.txt' });
+            continue;
+          }
+        }
+        [sitemapUrls, siteFiles] = await Promise.all([
+          depth > 0 ? fetchSitemapUrls(origin, robots.sitemaps) : [],
+          fetchSiteFiles(origin, robots.text)
+        ]);
+      }
+      if (finalUrl !== next.url && seen.has(finalUrl)) continue;
+      seen.add(finalUrl);
+
+      const $ = cheerio.load(html);
+      onStage('loading', detail);
+      const [css, fetched, httpRedirect, links] = await Promise.all([
+        fetchStylesheets($, finalUrl, resources),
+        fetchResources($, finalUrl, resources),
+        next.depth === 0 ? checkHttpRedirect(finalUrl) : null,
+        fetchLinks($, finalUrl, { cache: linkChecks, deadline: Math.min(linkDeadline, Date.now() + LINK_LIMITS.budget) })
+      ]);
+      const context = { finalUrl, headers, siteFiles: next.depth === 0 ? siteFiles : null, resources: fetched, htmlBytes: Buffer.byteLength(html), httpRedirect, links };
+      pages.push({ url: finalUrl, depth: next.depth, analysis: analyzeDocument($, next.depth === 0 ? start.href : finalUrl, 'url', css, context) });
+
+      if (next.depth < depth) {
+        extractLinks($, finalUrl).forEach(link => queue.push({ url: link, depth: next.depth + 1 }));
+      }
+      if (next.depth === 0) {
+        sitemapUrls.forEach(link => queue.push({ url: link, depth: 1 }));
+      }
+    } catch (error) {
+      if (next.depth === 0) {
+        return { success: false, error: error.message, code: error.code };
+      }
+      skipped.push({ url: next.url, code: error.code, reason: error.message });
+    }
+  }
+
+  return {
+    success: true,
+    pages,
+    site: {
+      url: start.href,
+      origin,
+      robotsTxt: robots.found,
+      sitemapUrlCount: sitemapUrls.length,
+      depth,
+      maxPages,
+      pages: pages.map(p => ({ url: p.url, title: p.analysis.title, metaDescription: p.analysis.metaDescription })),
+      skipped
+    }
+  };
+}
+
+module.exports = {
+  CRAWL_LIMITS,
+  parseRobots,
+  isAllowedByRobots,
+  fetchRobots,
+  fetchSitemapUrls,
+  extractLinks,
+  crawlWebsite
+};
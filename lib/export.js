@@ -0,0 +1,360 @@
+const AdmZip = require('adm-zip');
+const { safeFetch } = require('./fetch');
+const { resolveDesign, fontsHref, readableOn, mix } = require('./themes');
+const { landingPage, letterFaviconSvg, pageCss, shareTags, renderPage, buildLandingPage } = require('./landing');
+const { html, join } = require('./html');
+const { fill, landingCopy } = require('./catalogs');
+const { createImage, fillGradient, textWidth, drawCenteredText, encodePng, encodeIco, GLYPH_ADVANCE } = require('./png');
+
+// Site bundle
+// A generated page as a folder that deploys as-is: index.html with linked,
+// self-hosted fonts and CSS, a favicon set, an Open Graph image, robots.txt,
+// sitemap.xml, a 404 page and optional config for static hosts.
+const EXPORT_HOSTS = {
+  netlify: 'netlify.toml and _redirects for Netlify',
+  docker: 'Dockerfile and nginx.conf for any container host'
+};
+const PLACEHOLDER_SITE = 'https://example.com';
+
+// Google only serves woff2 to browsers it recognizes
+const FONT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const FONT_SUBSETS = ['latin', 'latin-ext'];
+const FONT_LIMITS = { files: 24, maxBytes: 512 * 1024 };
+const ICON_SIZES = [192, 512];
+
+// The bundle runs no scripts and self-hosts everything but the images the
+// user linked, so the host configs can send a strict policy
+const CONTENT_SECURITY_POLICY = "default-src 'self'; img-src 'self' https: data:; object-src 'none'; base-uri 'self'; form-action 'self' mailto:; frame-ancestors 'self'; upgrade-insecure-requests";
+const PERMISSIONS_POLICY = 'camera=(), microphone=(), geolocation=(), payment=()';
+
+function exportError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_EXPORT';
+  return error;
+}
+
+function siteOrigin(siteUrl) {
+  if (!siteUrl) return PLACEHOLDER_SITE;
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(siteUrl) ? siteUrl : 'https://' + siteUrl);
+  } catch (error) {
+    throw exportError('siteUrl must be a domain or an http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw exportError('siteUrl must be a domain or an http(s) URL');
+  return url.origin;
+}
+
+function exportHosts(hosts) {
+  if (hosts === undefined) return Object.keys(EXPORT_HOSTS);
+  if (!Array.isArray(hosts)) throw exportError('hosts must be an array');
+  const unknown = hosts.filter(host => !EXPORT_HOSTS[host]);
+  if (unknown.length) throw exportError(`Unknown host "${unknown[0]}". Use any of: ${Object.keys(EXPORT_HOSTS).join(', ')}`);
+  return [...new Set(hosts)];
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'landing-page';
+}
+
+// Self-hosted fonts: the Google Fonts stylesheet trimmed to latin subsets,
+// with every woff2 downloaded once and referenced relatively. Resolves to
+// null when Google can't be reached.
+async function downloadFonts(fonts) {
+  try {
+    const { body: css } = await safeFetch(fontsHref(fonts), { accept: ['text/css'], userAgent: FONT_USER_AGENT });
+    const faces = [];
+    const files = new Map();
+    const FACE = /\/\*\s*([\w-]+)\s*\*\/\s*(@font-face\s*{[^}]*})/g;
+    let match;
+    while ((match = FACE.exec(css))) {
+      if (!FONT_SUBSETS.includes(match[1])) continue;
+      const face = match[2].replace(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g, (all, url) => {
+        if (!files.has(url)) files.set(url, `${files.size + 1}-${url.split('/').pop()}`);
+        return `url(${files.get(url)})`;
+      });
+      faces.push(`/* ${match[1]} */\n${face}`);
+    }
+    if (!faces.length || files.size > FONT_LIMITS.files) return null;
+
+    const downloads = [];
+    for (const [url, file] of files) {
+      const { body } = await safeFetch(url, { accept: null, binary: true, maxBytes: FONT_LIMITS.maxBytes });
+      downloads.push({ file, body });
+    }
+    return { css: faces.join('\n') + '\n', files: downloads };
+  } catch (error) {
+    console.error('Font download error:', error.message);
+    return null;
+  }
+}
+
+// Favicon set and social card, drawn with the brand colors
+function iconPng(name, design, size, rounded = true) {
+  const image = createImage(size, size);
+  const primary = design.colors.primary;
+  fillGradient(image, primary, mix(primary, '#000000', 0.15), rounded ? Math.round(size * 0.22) : 0);
+  const scale = Math.max(2, Math.floor(size * 0.55 / 7));
+  drawCenteredText(image, (name || '?').trim().charAt(0).toUpperCase(), Math.round((size - 7 * scale) / 2), scale, readableOn(primary));
+  return encodePng(image);
+}
+
+// Words packed into lines of at most `width` characters
+function wrapText(text, width, maxLines) {
+  const lines = [];
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= width) lines[lines.length - 1] = last + ' ' + word;
+    else lines.push(word.slice(0, width));
+  });
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].slice(0, width - 3) + '...';
+  }
+  return lines;
+}
+
+function ogImage(page, design, origin) {
+  const image = createImage(1200, 630);
+  const { primary, accent } = design.colors;
+  const ink = readableOn(primary);
+  fillGradient(image, primary, accent);
+
+  const usable = 1040;
+  const name = page.name.toUpperCase();
+  const nameScale = Math.max(4, Math.min(14, Math.floor(usable / (name.length * GLYPH_ADVANCE))));
+  const nameLines = wrapText(name, Math.floor(usable / (nameScale * GLYPH_ADVANCE)), 2);
+  const tagline = wrapText(page.description.toUpperCase(), Math.floor(usable / (4 * GLYPH_ADVANCE)), 2);
+  const height = nameLines.length * 10 * nameScale + 40 + tagline.length * 44;
+
+  let y = Math.round((630 - height) / 2);
+  nameLines.forEach(line => {
+    drawCenteredText(image, line, y, nameScale, ink);
+    y += 10 * nameScale;
+  });
+  y += 40;
+  tagline.forEach(line => {
+    drawCenteredText(image, line, y, 4, ink);
+    y += 44;
+  });
+  const host = new URL(origin).host.toUpperCase();
+  if (textWidth(host, 3) < usable) drawCenteredText(image, host, 630 - 60, 3, ink);
+  return encodePng(image);
+}
+
+function webManifest(page, design) {
+  return JSON.stringify({
+    name: page.name,
+    short_name: page.name.slice(0, 12),
+    description: page.description,
+    start_url: '/',
+    display: 'standalone',
+    background_color: design.theme.palettes.light.bg,
+    theme_color: design.colors.primary,
+    icons: ICON_SIZES.map(size => ({ src: `/icon-${size}.png`, sizes: `${size}x${size}`, type: 'image/png' }))
+  }, null, 2) + '\n';
+}
+
+// Head for bundled pages. index.html uses relative paths so it also opens
+// from disk; the 404 page is served at any depth, so it links from the root.
+function bundleHead(page, design, origin, options) {
+  const base = options.base || '';
+  const tags = [
+    options.canonical ? html`<link rel="canonical" href="${origin + '/'}">` : html`<meta name="robots" content="noindex">`,
+    html`<link rel="icon" href="${base + 'favicon.ico'}" sizes="any">`,
+    html`<link rel="icon" href="${base + 'favicon.svg'}" type="image/svg+xml">`,
+    html`<link rel="apple-touch-icon" href="${base + 'apple-touch-icon.png'}">`,
+    html`<link rel="manifest" href="${base + 'site.webmanifest'}">`,
+    html`<meta name="theme-color" content="${design.colors.primary}">`,
+    shareTags(page),
+    html`<meta property="og:url" content="${origin}/">`,
+    html`<meta property="og:image" content="${origin}/og-image.png">`,
+    html`<meta property="og:image:width" content="1200">`,
+    html`<meta property="og:image:height" content="630">`,
+    html`<meta name="twitter:card" content="summary_large_image">`,
+    html`<link rel="stylesheet" href="${base + 'fonts/fonts.css'}">`,
+    html`<link rel="stylesheet" href="${base + 'css/styles.css'}">`
+  ];
+  return join(tags, '\n  ');
+}
+
+function notFoundPage(page, copy) {
+  const [nav] = page.sections;
+  const footer = page.sections[page.sections.length - 1];
+  return {
+    ...page,
+    title: fill(copy.title, { name: page.name }),
+    sections: [
+      { ...nav, href: nav.href === '#' ? '/' : '/' + nav.href },
+      {
+        type: 'hero',
+        badge: '404',
+        headline: copy.headline,
+        subheadline: copy.text,
+        cta: copy.cta,
+        href: '/'
+      },
+      footer
+    ]
+  };
+}
+
+function robotsTxt(origin) {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${origin}/sitemap.xml\n`;
+}
+
+function sitemapXml(origin) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>${origin}/</loc>
+    <lastmod>${new Date().toISOString().slice(0, 10)}</lastmod>
+  </url>
+</urlset>
+`;
+}
+
+// Static host config
+function netlifyFiles(origin) {
+  const { host } = new URL(origin);
+  const other = host.startsWith('www.') ? host.slice(4) : 'www.' + host;
+  return {
+    'netlify.toml': `[build]
+  publish = "."
+
+[[headers]]
+  for = "/*"
+  [headers.values]
+    X-Content-Type-Options = "nosniff"
+    Referrer-Policy = "strict-origin-when-cross-origin"
+    X-Frame-Options = "SAMEORIGIN"
+    Strict-Transport-Security = "max-age=31536000; includeSubDomains"
+    Permissions-Policy = "${PERMISSIONS_POLICY}"
+    Content-Security-Policy = "${CONTENT_SECURITY_POLICY}"
+
+[[headers]]
+  for = "/fonts/*"
+  [headers.values]
+    Cache-Control = "public, max-age=31536000, immutable"
+`,
+    '_redirects': `# Serve the site on a single hostname
+https://${other}/* ${origin}/:splat 301!
+
+# Everything else that doesn't exist
+/* /404.html 404
+`
+  };
+}
+
+function dockerFiles() {
+  return {
+    'Dockerfile': `FROM nginx:1.27-alpine
+COPY nginx.conf /etc/nginx/conf.d/default.conf
+COPY . /usr/share/nginx/html
+EXPOSE 80
+`,
+    '.dockerignore': 'Dockerfile\nnginx.conf\nnetlify.toml\n_redirects\nREADME.md\n',
+    'nginx.conf': `server {
+    listen 80;
+    server_name _;
+    root /usr/share/nginx/html;
+    index index.html;
+
+    add_header X-Content-Type-Options nosniff always;
+    add_header Referrer-Policy strict-origin-when-cross-origin always;
+    add_header X-Frame-Options SAMEORIGIN always;
+    add_header Permissions-Policy "${PERMISSIONS_POLICY}" always;
+    add_header Content-Security-Policy "${CONTENT_SECURITY_POLICY}" always;
+
+    gzip on;
+    gzip_types text/css application/xml image/svg+xml application/manifest+json;
+
+    location / {
+        try_files $uri $uri/ =404;
+    }
+
+    location ~* \\.(css|woff2|png|svg|ico|webmanifest)$ {
+        expires 30d;
+        add_header Cache-Control "public";
+    }
+
+    error_page 404 /404.html;
+    location = /404.html {
+        internal;
+    }
+}
+`
+  };
+}
+
+function readme(page, origin, hosts, notes) {
+  const deploy = [
+    '- Any static host: upload the contents of this folder.',
+    hosts.includes('netlify') ? '- Netlify: drag the folder onto app.netlify.com/drop, or connect a repo containing it. netlify.toml and _redirects are picked up automatically.' : '',
+    hosts.includes('docker') ? '- Docker: `docker build -t site . && docker run -p 8080:80 site`, then open http://localhost:8080.' : ''
+  ].filter(Boolean);
+  return `# ${page.name}
+
+Generated by Roast2Site. Everything needed to publish the page is in this folder.
+
+## Deploy
+
+${deploy.join('\n')}
+${notes.length ? `\n## Before you publish\n\n${notes.map(note => `- ${note}`).join('\n')}\n` : ''}
+## Files
+
+- index.html, 404.html - the page and the not-found page
+- css/styles.css, fonts/ - styles and self-hosted fonts
+- favicon.ico, favicon.svg, apple-touch-icon.png, icon-*.png, site.webmanifest - icons
+- og-image.png - the image shown when the page is shared (${origin}/og-image.png)
+- robots.txt, sitemap.xml - for search engines
+`;
+}
+
+// Build the bundle. Options: siteUrl (the domain the site will live on) and
+// hosts (which host configs to include). Resolves to { zip, filename, audit }.
+async function exportSite(businessInfo, design = {}, options = {}) {
+  const origin = siteOrigin(options.siteUrl);
+  const hosts = exportHosts(options.hosts);
+  const { audit } = buildLandingPage(businessInfo, design);
+  const resolved = resolveDesign(design);
+  const landing = landingPage(businessInfo);
+  const page = { ...landing, organization: { ...landing.organization, url: `${origin}/` } };
+  const notes = [];
+
+  if (origin === PLACEHOLDER_SITE) {
+    notes.push(`Replace ${PLACEHOLDER_SITE} with your domain in index.html, robots.txt, sitemap.xml${hosts.includes('netlify') ? ' and _redirects' : ''}.`);
+  }
+  const fonts = await downloadFonts(resolved.fonts);
+  if (!fonts) notes.push('Fonts couldn\'t be downloaded, so fonts/fonts.css loads them from Google Fonts instead.');
+
+  const zip = new AdmZip();
+  const add = (name, content) => zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'));
+
+  add('index.html', renderPage(page, resolved, bundleHead(page, resolved, origin, { canonical: true })));
+  add('404.html', renderPage(notFoundPage(page, landingCopy(businessInfo.locale).notFound), resolved, bundleHead(page, resolved, origin, { base: '/' })));
+  add('css/styles.css', pageCss(resolved));
+  add('fonts/fonts.css', fonts ? fonts.css : `@import url("${fontsHref(resolved.fonts)}");\n`);
+  (fonts ? fonts.files : []).forEach(font => add(`fonts/${font.file}`, font.body));
+
+  add('favicon.svg', letterFaviconSvg(page.name, resolved));
+  add('favicon.ico', encodeIco(iconPng(page.name, resolved, 32), 32));
+  add('apple-touch-icon.png', iconPng(page.name, resolved, 180, false));
+  ICON_SIZES.forEach(size => add(`icon-${size}.png`, iconPng(page.name, resolved, size)));
+  add('site.webmanifest', webManifest(page, resolved));
+  add('og-image.png', ogImage(page, resolved, origin));
+
+  add('robots.txt', robotsTxt(origin));
+  add('sitemap.xml', sitemapXml(origin));
+  if (hosts.includes('netlify')) Object.entries(netlifyFiles(origin)).forEach(([name, content]) => add(name, content));
+  if (hosts.includes('docker')) Object.entries(dockerFiles()).forEach(([name, content]) => add(name, content));
+  add('README.md', readme(page, origin, hosts, notes));
+
+  return { zip: zip.toBuffer(), filename: `${slugify(page.name)}-site.zip`, audit };
+}
+
+module.exports = {
+  EXPORT_HOSTS,
+  exportSite
+};
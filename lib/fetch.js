@@ -0,0 +1,215 @@
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Hardened fetcher
+// Every hop is resolved and checked against private, loopback and link-local
+// ranges (the agents re-check at connect time, so DNS rebinding can't slip
+// past), redirects are followed by hand and bodies are capped as they stream.
+const FETCH_LIMITS = { timeout: 10000, maxRedirects: 5, maxBytes: 5 * 1024 * 1024 };
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+const FETCH_ERRORS = {
+  INVALID_URL: 'That doesn\'t look like a valid http(s) URL',
+  BLOCKED_ADDRESS: 'That address points to a private or internal network and can\'t be analyzed',
+  DNS_FAILURE: 'Couldn\'t find that domain - check the spelling',
+  TIMEOUT: 'The site took too long to respond',
+  TOO_LARGE: 'The page is too large to analyze',
+  NOT_HTML: 'That URL isn\'t an HTML page',
+  TOO_MANY_REDIRECTS: 'The site redirected too many times',
+  HTTP_ERROR: 'The site responded with an error',
+  FETCH_FAILED: 'Couldn\'t connect to the site'
+};
+
+function fetchError(code, detail) {
+  const error = new Error(detail ? `${FETCH_ERRORS[code]} (${detail})` : FETCH_ERRORS[code]);
+  error.code = code;
+  return error;
+}
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2002::', 16]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+// FETCH_ALLOW_PRIVATE=true lifts the check for local development only
+function isBlockedAddress(address) {
+  if (process.env.FETCH_ALLOW_PRIVATE === 'true') return false;
+  const family = net.isIP(address);
+  return family === 0 || blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement used by the fetch agents
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(fetchError('BLOCKED_ADDRESS', hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw fetchError('INVALID_URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw fetchError('INVALID_URL');
+  if (parsed.username || parsed.password) throw fetchError('INVALID_URL', 'credentials in URL');
+
+  // Literal IPs never reach the lookup, so check them here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) throw fetchError('BLOCKED_ADDRESS', host);
+  return parsed;
+}
+
+function toFetchError(error) {
+  if (FETCH_ERRORS[error.code] && error.code !== 'FETCH_FAILED') return error;
+  const code = error.code || (error.cause && error.cause.code);
+  if (code === 'BLOCKED_ADDRESS') return fetchError('BLOCKED_ADDRESS');
+  if (code === 'ENOTFOUND' || code === 'EAI_AGAIN' || code === 'ENODATA') return fetchError('DNS_FAILURE');
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || code === 'ERR_CANCELED') return fetchError('TIMEOUT');
+  return fetchError('FETCH_FAILED', code || error.message);
+}
+
+function readBody(stream, maxBytes, contentType, binary) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(fetchError('TOO_LARGE', `over ${Math.round(maxBytes / 1024)} KB`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => {
+      if (binary) return resolve(Buffer.concat(chunks));
+      const charset = (contentType.match(/charset=([^;]+)/i) || [])[1];
+      let decoder;
+      try {
+        decoder = new TextDecoder(charset ? charset.trim() : 'utf-8');
+      } catch (error) {
+        decoder = new TextDecoder('utf-8');
+      }
+      resolve(decoder.decode(Buffer.concat(chunks)));
+    });
+    stream.on('error', error => reject(toFetchError(error)));
+  });
+}
+
+// Fetch a public URL. `accept` lists allowed content types (null for any);
+// `binary` returns the body as a Buffer instead of decoded text,
+// `decompress: false` keeps it as sent, content-encoding header included, and
+// `followRedirects: false` returns a redirect response as is. Resolves to
+// { url, status, headers, body, redirects } or throws an error whose code is
+// one of FETCH_ERRORS; a TOO_LARGE error carries the declared `size` when
+// there was one.
+async function safeFetch(url, options = {}) {
+  const {
+    method = 'GET',
+    accept = HTML_TYPES,
+    maxBytes = FETCH_LIMITS.maxBytes,
+    maxRedirects = FETCH_LIMITS.maxRedirects,
+    timeout = FETCH_LIMITS.timeout,
+    userAgent = USER_AGENT,
+    binary = false,
+    decompress = true,
+    followRedirects = true
+  } = options;
+  const redirects = [];
+  const controller = new AbortController();
+  const deadline = setTimeout(() => controller.abort(), timeout);
+  let current = validateUrl(url);
+
+  try {
+    for (;;) {
+      let response;
+      try {
+        response = await axios.request({
+          url: current.href,
+          method,
+          responseType: 'stream',
+          maxRedirects: 0,
+          validateStatus: () => true,
+          httpAgent,
+          httpsAgent,
+          signal: controller.signal,
+          timeout,
+          decompress,
+          headers: { 'User-Agent': userAgent, 'Accept': accept ? accept.join(', ') + ', */*;q=0.1' : '*/*' }
+        });
+      } catch (error) {
+        throw toFetchError(error);
+      }
+
+      const { status, headers } = response;
+      if (status >= 300 && status < 400 && headers.location) {
+        response.data.destroy();
+        if (!followRedirects) return { url: current.href, status, headers, body: '', redirects };
+        if (redirects.length >= maxRedirects) throw fetchError('TOO_MANY_REDIRECTS', `more than ${maxRedirects}`);
+        redirects.push({ url: current.href, status });
+        current = validateUrl(new URL(headers.location, current).href);
+        continue;
+      }
+
+      const contentType = String(headers['content-type'] || '');
+      if (status >= 400) {
+        response.data.destroy();
+        throw Object.assign(fetchError('HTTP_ERROR', `status ${status}`), { status });
+      }
+      if (accept && contentType && !accept.some(type => contentType.toLowerCase().includes(type))) {
+        response.data.destroy();
+        throw fetchError('NOT_HTML', contentType.split(';')[0]);
+      }
+      if (parseInt(headers['content-length'], 10) > maxBytes) {
+        response.data.destroy();
+        throw Object.assign(fetchError('TOO_LARGE', `${Math.round(headers['content-length'] / 1024)} KB`), { size: parseInt(headers['content-length'], 10) });
+      }
+
+      const body = method === 'HEAD' ? '' : await readBody(response.data, maxBytes, contentType, binary);
+      return { url: current.href, status, headers, body, redirects };
+    }
+  } catch (error) {
+    throw controller.signal.aborted ? fetchError('TIMEOUT') : toFetchError(error);
+  } finally {
+    clearTimeout(deadline);
+  }
+}
+
+function normalizeUrl(url) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url;
+}
+
+// Fetch a page and return its HTML, the URL it ended up at and its headers
+async function fetchHtml(url) {
+  const response = await safeFetch(url);
+  return { html: response.body, finalUrl: response.url, headers: response.headers };
+}
+
+module.exports = {
+  USER_AGENT,
+  FETCH_LIMITS,
+  FETCH_ERRORS,
+  fetchError,
+  safeFetch,
+  normalizeUrl,
+  fetchHtml
+};
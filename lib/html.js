@@ -0,0 +1,104 @@
+// Safe HTML templating
+// `html` is a tagged template that escapes every interpolation for the
+// context it lands in: element text, a quoted attribute value, a URL
+// attribute (href, src, action) or CSS inside <style> or style="". Markup
+// built by another `html` template (or wrapped in `raw`) passes through
+// untouched, so templates compose without double escaping.
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite'];
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Trusted markup, such as JSON-LD or CSS the app wrote itself
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Relative links and fragments are kept; absolute URLs must use a safe scheme.
+// Browsers ignore control characters in URLs, so they can't hide a scheme.
+function safeHref(value) {
+  const url = String(value).replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  if (!url) return '';
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+  try {
+    return SAFE_SCHEMES.includes(new URL(url).protocol) ? url : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// Anything outside a conservative character set becomes a CSS escape, so a
+// value can't close its declaration, rule or <style> element
+function escapeCss(value) {
+  return String(value).replace(/[^a-zA-Z0-9 #.,%()_-]/g, char => `\\${char.codePointAt(0).toString(16)} `);
+}
+
+// What the markup written so far leaves us inside of
+function contextOf(markup) {
+  const tagStart = markup.lastIndexOf('<');
+  if (tagStart > markup.lastIndexOf('>')) {
+    const tag = markup.slice(tagStart);
+    const attribute = /([\w:-]+)\s*=\s*"([^"]*)$/.exec(tag);
+    if (!attribute) return 'tag';
+    const name = attribute[1].toLowerCase();
+    if (name === 'style') return 'css';
+    if (URL_ATTRIBUTES.includes(name) && attribute[2] === '') return 'url';
+    return 'attribute';
+  }
+  const lower = markup.toLowerCase();
+  if (lower.lastIndexOf('<style') > lower.lastIndexOf('</style')) return 'css';
+  if (lower.lastIndexOf('<script') > lower.lastIndexOf('</script')) return 'script';
+  return 'text';
+}
+
+function interpolate(value, context) {
+  if (value === null || value === undefined || value === false || value === '') return '';
+  if (Array.isArray(value)) return value.map(item => interpolate(item, context)).join('');
+  if (value instanceof SafeHtml) return value.value;
+  if (context === 'tag' || context === 'script') {
+    throw new Error(`Unsafe interpolation in ${context} context; wrap trusted markup with raw()`);
+  }
+  if (context === 'css') return escapeCss(value);
+  if (context === 'url') return escapeHtml(safeHref(value) || '#');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += interpolate(value, contextOf(markup)) + strings[i + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+// Join rendered fragments; plain strings among them are escaped as text
+function join(items, separator = '') {
+  return new SafeHtml(items.map(item => interpolate(item, 'text')).join(separator));
+}
+
+module.exports = {
+  SafeHtml,
+  html,
+  raw,
+  join,
+  escapeHtml,
+  escapeCss,
+  safeHref
+};
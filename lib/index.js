@@ -0,0 +1,29 @@
+// Shared analysis engine used by the API server and the roast2site CLI
+module.exports = {
+  ...require('./fetch'),
+  ...require('./brand'),
+  ...require('./analyze'),
+  ...require('./accessibility'),
+  ...require('./seo'),
+  ...require('./performance'),
+  ...require('./security'),
+  ...require('./links'),
+  ...require('./crawl'),
+  ...require('./upload'),
+  ...require('./rules'),
+  ...require('./catalogs'),
+  ...require('./roast'),
+  ...require('./llm'),
+  ...require('./rebuild'),
+  ...require('./patch'),
+  ...require('./report'),
+  ...require('./compare'),
+  ...require('./store'),
+  ...require('./jobs'),
+  ...require('./html'),
+  ...require('./themes'),
+  ...require('./sections'),
+  ...require('./schema'),
+  ...require('./landing'),
+  ...require('./export')
+};
@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { normalizeUrl } = require('./fetch');
+const { fetchWebsite } = require('./analyze');
+const { pagePayload, analyzeSite } = require('./report');
+const { CATEGORIES } = require('./rules');
+const { withPermalink } = require('./store');
+
+// Batch analysis jobs
+// A job is a list of URLs analyzed by one shared worker queue, a few at a
+// time across all jobs. Each item moves through the stages below and every
+// change is emitted, so the server can stream progress over SSE. Each item's
+// report is saved like any other analysis; the job itself lives in memory
+// and is dropped an hour after it finishes. Interactive jobs (one URL the
+// user is waiting on) run in their own lane with their own slots and cap, so
+// batch jobs never hold them up.
+const JOB_LIMITS = {
+  maxUrls: 100,
+  concurrency: 3,
+  maxActiveJobs: 20,
+  interactiveConcurrency: 2,
+  maxInteractiveJobs: 20,
+  ttl: 60 * 60 * 1000
+};
+
+const STAGES = {
+  queued: 'Waiting in the queue',
+  fetching: 'Fetching the page',
+  loading: 'Loading stylesheets, resources and links',
+  parsing: 'Parsing the page',
+  scoring: 'Scoring against the rules'
+};
+
+// Columns tried, in order, when a CSV has a header row
+const URL_COLUMNS = ['url', 'website', 'site', 'domain', 'link', 'homepage'];
+
+const jobs = new Map();
+const lanes = {
+  batch: { queue: [], running: 0, concurrency: JOB_LIMITS.concurrency },
+  interactive: { queue: [], running: 0, concurrency: JOB_LIMITS.interactiveConcurrency }
+};
+
+function jobError(message, status = 400, code = 'INVALID_JOB') {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// One CSV line; quoted fields may hold commas and "" escapes
+function csvFields(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',' || c === ';' || c === '\t') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// URLs from a CSV: the url/website/domain column when there's a header row,
+// otherwise the first column
+function parseCsv(text) {
+  const rows = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim()).map(csvFields);
+  if (!rows.length) return [];
+  const header = rows[0].map(name => name.toLowerCase());
+  const named = URL_COLUMNS.map(name => header.indexOf(name)).find(index => index >= 0);
+  if (named !== undefined) return rows.slice(1).map(row => row[named]);
+  const column = header.findIndex(name => /\./.test(name));
+  return rows.map(row => row[Math.max(column, 0)]);
+}
+
+// Pasted text: one URL per line, or separated by commas or spaces
+function parseUrlList(text) {
+  return String(text).split(/[\s,;]+/);
+}
+
+// Normalize, dedupe and cap a list of URLs. Entries that aren't http(s)
+// URLs come back in `rejected` rather than failing the job.
+function prepareUrls(values) {
+  const urls = [];
+  const rejected = [];
+  values.map(value => String(value || '').trim()).filter(Boolean).forEach(value => {
+    let url;
+    try {
+      url = new URL(normalizeUrl(value));
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !/^https?:$/.test(url.protocol) || !url.hostname.includes('.')) {
+      rejected.push(value);
+      return;
+    }
+    if (!urls.includes(url.href)) urls.push(url.href);
+  });
+  if (!urls.length) {
+    throw jobError(rejected.length ? 'None of the entries are website URLs' : 'Add at least one URL');
+  }
+  if (urls.length > JOB_LIMITS.maxUrls) {
+    throw jobError(`A job can hold up to ${JOB_LIMITS.maxUrls} URLs; this list has ${urls.length}`);
+  }
+  return { urls, rejected };
+}
+
+// The job-sized summary of an item's report
+function itemSummary(payload) {
+  const subscores = {};
+  Object.entries(payload.subscores).forEach(([category, subscore]) => { subscores[category] = subscore.score; });
+  return {
+    reportId: payload.id,
+    permalink: payload.permalink,
+    title: payload.analysis.title || '',
+    score: payload.score,
+    grade: payload.grade,
+    subscores,
+    failing: payload.findings.filter(f => f.status === 'fail').length,
+    warnings: payload.findings.filter(f => f.status === 'warn').length
+  };
+}
+
+function itemView(item) {
+  const { index, url, status, stage, detail, startedAt, finishedAt, result, error, code } = item;
+  return { index, url, status, stage, stageLabel: STAGES[stage] || null, detail, startedAt, finishedAt, ...result, error, code };
+}
+
+function jobView(job) {
+  const count = status => job.items.filter(item => item.status === status).length;
+  return {
+    id: job.id,
+    status: job.status,
+    interactive: job.interactive,
+    crawl: Boolean(job.crawl),
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    total: job.items.length,
+    done: count('done'),
+    failed: count('failed'),
+    items: job.items.map(itemView)
+  };
+}
+
+async function analyzeItem(job, item) {
+  const onStage = (stage, detail = null) => {
+    item.stage = stage;
+    item.detail = detail;
+    job.events.emit('progress', itemView(item));
+  };
+  let payload;
+  if (job.crawl) {
+    payload = await analyzeSite(item.url, { ...job.crawl, onStage });
+  } else {
+    const result = await fetchWebsite(item.url, { onStage });
+    if (!result.success) throw jobError(result.error, 400, result.code);
+    onStage('scoring');
+    payload = await pagePayload(result.analysis, result.html);
+  }
+  const saved = await withPermalink(payload);
+  if (!saved.id) throw jobError('The report could not be saved', 500, 'SAVE_FAILED');
+  // Saved reports leave out the fixed page, so the person waiting on an
+  // interactive job gets it from the job, which only lives in memory
+  const summary = itemSummary(saved);
+  if (job.interactive && saved.patch && saved.patch.html) summary.patchHtml = saved.patch.html;
+  return summary;
+}
+
+async function runItem(job, item) {
+  item.status = 'running';
+  item.startedAt = new Date().toISOString();
+  try {
+    item.result = await analyzeItem(job, item);
+    item.status = 'done';
+  } catch (error) {
+    if (!error.status) console.error('Job item error:', error);
+    item.status = 'failed';
+    item.error = error.status ? error.message : 'Failed to analyze website';
+    item.code = error.code;
+  }
+  item.stage = null;
+  item.detail = null;
+  item.finishedAt = new Date().toISOString();
+  job.events.emit('item', itemView(item));
+
+  if (job.items.every(i => i.status === 'done' || i.status === 'failed')) {
+    job.status = 'done';
+    job.finishedAt = item.finishedAt;
+    job.events.emit('done', jobView(job));
+    setTimeout(() => jobs.delete(job.id), JOB_LIMITS.ttl).unref();
+  }
+}
+
+// Start a lane's queued items while it has room; jobs in a lane share its
+// slots first come, first served
+function drain(lane) {
+  while (lane.running < lane.concurrency && lane.queue.length) {
+    const { job, item } = lane.queue.shift();
+    if (job.status === 'queued') job.status = 'running';
+    lane.running++;
+    runItem(job, item).finally(() => {
+      lane.running--;
+      drain(lane);
+    });
+  }
+}
+
+// `urls` are prepareUrls() output; `crawl` is false or crawlWebsite() options.
+// `interactive` jobs hold a single URL and only count toward their own cap.
+function createJob(urls, { crawl = false, interactive = false } = {}) {
+  if (interactive && urls.length !== 1) {
+    throw jobError('An interactive job holds exactly one URL');
+  }
+  const limit = interactive ? JOB_LIMITS.maxInteractiveJobs : JOB_LIMITS.maxActiveJobs;
+  const active = [...jobs.values()].filter(job => job.status !== 'done' && job.interactive === interactive).length;
+  if (active >= limit) {
+    throw jobError('Too many jobs are running; try again when one has finished', 429, 'TOO_MANY_JOBS');
+  }
+  const job = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'queued',
+    interactive,
+    crawl: crawl ? { depth: crawl.depth, maxPages: crawl.maxPages } : false,
+    items: urls.map((url, index) => ({ index, url, status: 'queued', stage: 'queued', detail: null, startedAt: null, finishedAt: null, result: null, error: null, code: null })),
+    events: new EventEmitter()
+  };
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+  const lane = interactive ? lanes.interactive : lanes.batch;
+  job.items.forEach(item => lane.queue.push({ job, item }));
+  drain(lane);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Stream a job to `send(event, data)`: a snapshot first, then every change,
+// then 'done'. Returns a function that stops listening.
+function watchJob(job, send) {
+  send('snapshot', jobView(job));
+  if (job.status === 'done') {
+    send('done', jobView(job));
+    return () => {};
+  }
+  const listeners = {
+    progress: item => send('progress', item),
+    item: item => send('item', item),
+    done: view => send('done', view)
+  };
+  Object.entries(listeners).forEach(([event, listener]) => job.events.on(event, listener));
+  return () => Object.entries(listeners).forEach(([event, listener]) => job.events.off(event, listener));
+}
+
+// Finished items best first, failures last
+function jobResults(job) {
+  const rank = item => (item.status === 'done' ? 0 : 1);
+  return job.items.map(itemView).sort((a, b) =>
+    rank(a) - rank(b) || (rank(a) === 0 ? b.score - a.score : 0) || a.index - b.index);
+}
+
+// Page titles come from the sites themselves, so anything a spreadsheet
+// would run as a formula is prefixed with a quote
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function jobCsv(job, baseUrl = '') {
+  const categories = Object.keys(CATEGORIES);
+  const header = ['url', 'status', 'score', 'grade', ...categories, 'failing', 'warnings', 'title', 'report', 'error'];
+  const rows = jobResults(job).map(item => [
+    item.url,
+    item.status,
+    item.score,
+    item.grade,
+    ...categories.map(category => (item.subscores ? item.subscores[category] : null)),
+    item.failing,
+    item.warnings,
+    item.title,
+    item.permalink ? baseUrl + item.permalink : null,
+    item.error
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  JOB_LIMITS,
+  STAGES,
+  parseCsv,
+  parseUrlList,
+  prepareUrls,
+  createJob,
+  getJob,
+  jobView,
+  watchJob,
+  jobResults,
+  jobCsv
+};
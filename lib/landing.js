@@ -0,0 +1,451 @@
+const cheerio = require('cheerio');
+const { resolveDesign, designVars, fontsHref, readableOn } = require('./themes');
+const { normalizeSections, defaultSections, editable, editableText } = require('./sections');
+const { detectContact } = require('./schema');
+const { html, raw, join } = require('./html');
+const { analyzeDocument } = require('./analyze');
+const { evaluateRules, reportPayload } = require('./rules');
+const { TITLE_LENGTH, DESCRIPTION_LENGTH } = require('./seo');
+const { fill, landingCopy } = require('./catalogs');
+
+// Generated pages scoring below this are a generator bug, not a user error
+const LANDING_MIN_SCORE = Number(process.env.LANDING_MIN_SCORE) || 80;
+
+// Landing page model
+// The nav, hero and footer come from the business info; everything between
+// them is the user's section list (lib/sections.js). Themes only decide how
+// each section type looks, never what it says. Built-in copy comes from the
+// page's locale; CTA values stay the English option and are shown by their
+// translated label. Values stay plain text here; the renderers escape them
+// for wherever they end up.
+function pageSections(businessInfo) {
+  const copy = landingCopy(businessInfo.locale);
+  const cta = copy.cta[businessInfo.cta] || businessInfo.cta;
+  const body = normalizeSections(businessInfo.sections || defaultSections(businessInfo), businessInfo);
+  const target = body.find(s => s.type === 'contact') || body.find(s => s.type === 'cta');
+  const href = target ? `#${target.id}` : '#';
+  const contact = contactDetails(businessInfo);
+  const social = (businessInfo.social || []).filter(link => link && safeUrl(link.url));
+
+  return [
+    { type: 'nav', name: businessInfo.name, logo: safeUrl(businessInfo.logo), cta, href },
+    {
+      type: 'hero',
+      badge: businessInfo.badge || fill(copy.badge, { name: businessInfo.name }),
+      headline: businessInfo.description,
+      subheadline: businessInfo.subheadline || fill(copy.subheadline, { customer: businessInfo.targetCustomer || copy.customer }),
+      cta,
+      contactCta: copy.contactCta,
+      ...contact,
+      href
+    },
+    ...body.map((section, index) => ({ ...section, index, cta, form: copy.form, ...contact, href })),
+    { type: 'footer', name: businessInfo.name, year: new Date().getFullYear(), social, rights: copy.rights }
+  ];
+}
+
+// The free-text contact becomes a mailto:, tel: or web link when it is one.
+// An explicit email or phone wins over what the contact text looks like.
+function contactDetails(businessInfo) {
+  const contact = (businessInfo.contact || '').trim();
+  const detected = detectContact(contact);
+  return {
+    contact,
+    contactHref: detected.href,
+    email: businessInfo.email || (detected.type === 'email' ? contact : ''),
+    phone: businessInfo.phone || (detected.type === 'phone' ? contact : ''),
+    website: detected.type === 'url' ? detected.href : ''
+  };
+}
+
+// Logos, favicons and social links must be absolute http(s) URLs
+function safeUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value) ? value : '';
+}
+
+// JSON-LD can't contain a literal </script>
+function jsonLd(data) {
+  return raw(`<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`);
+}
+
+function initials(name) {
+  return name.split(/\s+/).map(part => part[0]).slice(0, 2).join('').toUpperCase();
+}
+
+function websiteLabel(url) {
+  return url.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '');
+}
+
+// The contact text, linked when it's an email, phone number or website
+function contactText(s, className = '') {
+  if (!s.contactHref) return html`<p${className ? html` class="${className}"` : ''}${editable(s, 'contact')}>${s.contact}</p>`;
+  return html`<p${className ? html` class="${className}"` : ''}><a href="${s.contactHref}"${editable(s, 'contact')}>${s.contact}</a></p>`;
+}
+
+// Default markup per section type; a theme can override any of these
+const SECTION_RENDERERS = {
+  nav: s => html`<nav>
+    <div class="logo"${s.logo ? '' : editable(s, 'name')}>${s.logo ? html`<img src="${s.logo}" alt="${s.name}">` : s.name}</div>
+    <a href="${s.href}" class="nav-btn"${editable(s, 'cta')}>${s.cta}</a>
+  </nav>`,
+
+  hero: s => html`<section class="hero">
+    <div class="hero-content">
+      <div class="badge"${editable(s, 'badge')}>${s.badge}</div>
+      <h1${editable(s, 'description')}>${s.headline}</h1>
+      <p${editable(s, 'subheadline')}>${s.subheadline}</p>
+      <a href="${s.href}" class="cta-btn">${editableText(s, 'cta', s.cta)} →</a>
+    </div>
+  </section>`,
+
+  features: s => html`<section class="features" id="${s.id}">
+    <div class="section-header">
+      <h2${editable(s, '.title')}>${s.title}</h2>
+      ${s.subtitle ? html`<p${editable(s, '.subtitle')}>${s.subtitle}</p>` : ''}
+    </div>
+    <div class="feature-grid">
+      ${join(s.items.map((item, i) => html`<div class="feature-card">
+        <div class="feature-icon"${editable(s, `.items.${i}.icon`)}>${item.icon}</div>
+        <h3${editable(s, `.items.${i}.title`)}>${item.title}</h3>
+        ${item.text ? html`<p${editable(s, `.items.${i}.text`)}>${item.text}</p>` : ''}
+      </div>`), '\n      ')}
+    </div>
+  </section>`,
+
+  pricing: s => html`<section class="section pricing" id="${s.id}">
+    <div class="section-header">
+      <h2${editable(s, '.title')}>${s.title}</h2>
+      ${s.subtitle ? html`<p${editable(s, '.subtitle')}>${s.subtitle}</p>` : ''}
+    </div>
+    <div class="pricing-grid">
+      ${join(s.items.map((tier, i) => html`<div class="pricing-card${tier.highlighted ? ' featured' : ''}">
+        <h3${editable(s, `.items.${i}.name`)}>${tier.name}</h3>
+        <div class="price">${editableText(s, `.items.${i}.price`, tier.price)}${tier.period ? html`<span class="period">/${editableText(s, `.items.${i}.period`, tier.period)}</span>` : ''}</div>
+        ${tier.features.length ? html`<ul>${tier.features.map((f, j) => html`<li${editable(s, `.items.${i}.features.${j}`)}>${f}</li>`)}</ul>` : ''}
+        <a href="${s.href}" class="cta-btn"${editable(s, 'cta')}>${s.cta}</a>
+      </div>`), '\n      ')}
+    </div>
+  </section>`,
+
+  testimonials: s => html`<section class="section testimonials" id="${s.id}">
+    <div class="section-header"><h2${editable(s, '.title')}>${s.title}</h2></div>
+    <div class="testimonial-grid">
+      ${join(s.items.map((t, i) => html`<figure class="testimonial">
+        <blockquote>“${editableText(s, `.items.${i}.quote`, t.quote)}”</blockquote>
+        <figcaption><strong${editable(s, `.items.${i}.name`)}>${t.name}</strong>${t.role ? html`<span${editable(s, `.items.${i}.role`)}>${t.role}</span>` : ''}</figcaption>
+      </figure>`), '\n      ')}
+    </div>
+  </section>`,
+
+  faq: s => html`<section class="section faq" id="${s.id}">
+    <div class="section-header"><h2${editable(s, '.title')}>${s.title}</h2></div>
+    <div class="faq-list">
+      ${join(s.items.map((q, i) => html`<details${s.edit === undefined ? '' : raw(' open')}><summary${editable(s, `.items.${i}.question`)}>${q.question}</summary><p${editable(s, `.items.${i}.answer`)}>${q.answer}</p></details>`), '\n      ')}
+    </div>
+    ${jsonLd({
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: s.items.map(q => ({ '@type': 'Question', name: q.question, acceptedAnswer: { '@type': 'Answer', text: q.answer } }))
+    })}
+  </section>`,
+
+  team: s => html`<section class="section team" id="${s.id}">
+    <div class="section-header"><h2${editable(s, '.title')}>${s.title}</h2></div>
+    <div class="team-grid">
+      ${join(s.items.map((m, i) => html`<div class="team-member">
+        ${m.photo ? html`<img src="${m.photo}" alt="${m.name}" loading="lazy">` : html`<div class="avatar">${initials(m.name)}</div>`}
+        <h3${editable(s, `.items.${i}.name`)}>${m.name}</h3>
+        ${m.role ? html`<p${editable(s, `.items.${i}.role`)}>${m.role}</p>` : ''}
+      </div>`), '\n      ')}
+    </div>
+  </section>`,
+
+  gallery: s => html`<section class="section gallery" id="${s.id}">
+    <div class="section-header"><h2${editable(s, '.title')}>${s.title}</h2></div>
+    <div class="gallery-grid">
+      ${join(s.items.map((img, i) => html`<figure>
+        <img src="${img.src}" alt="${img.alt || img.caption || s.title}" loading="lazy">
+        ${img.caption ? html`<figcaption${editable(s, `.items.${i}.caption`)}>${img.caption}</figcaption>` : ''}
+      </figure>`), '\n      ')}
+    </div>
+  </section>`,
+
+  stats: s => html`<section class="social-proof" id="${s.id}">
+    <h2${editable(s, '.title')}>${s.title}</h2>
+    <div class="stats">
+      ${join(s.items.map((item, i) => html`<div class="stat"><div class="stat-number"${editable(s, `.items.${i}.value`)}>${item.value}</div><div class="stat-label"${editable(s, `.items.${i}.label`)}>${item.label}</div></div>`), '\n      ')}
+    </div>
+  </section>`,
+
+  cta: s => html`<section class="cta-section" id="${s.id}">
+    <h2${editable(s, '.title')}>${s.title}</h2>
+    ${s.text ? html`<p${editable(s, '.text')}>${s.text}</p>` : ''}
+    ${s.href === `#${s.id}` ? '' : html`<a href="${s.href}" class="cta-btn">${editableText(s, 'cta', s.cta)} →</a>`}
+  </section>`,
+
+  contact: s => html`<section class="contact" id="${s.id}">
+    <h2${editable(s, '.title')}>${s.title}</h2>
+    ${s.contact && s.contact !== s.email && s.contact !== s.phone && !s.website ? contactText(s, 'contact-info') : ''}
+    ${s.email || s.phone || s.website ? html`<p class="contact-links">
+      ${s.email ? html`<a href="${`mailto:${s.email}`}" class="contact-info">${s.email}</a>` : ''}
+      ${s.phone ? html`<a href="${`tel:${s.phone.replace(/[^\d+]/g, '')}`}" class="contact-info">${s.phone}</a>` : ''}
+      ${s.website ? html`<a href="${s.website}" class="contact-info" rel="noopener">${websiteLabel(s.website)}</a>` : ''}
+    </p>` : ''}
+    ${s.email ? html`<form class="contact-form" action="${`mailto:${s.email}`}" method="post" enctype="text/plain">
+      <label>${s.form.name} <input type="text" name="name" autocomplete="name" required></label>
+      <label>${s.form.email} <input type="email" name="email" autocomplete="email" required></label>
+      <label>${s.form.message} <textarea name="message" rows="4" required></textarea></label>
+      <button type="submit" class="cta-btn"${editable(s, 'cta')}>${s.cta}</button>
+    </form>` : ''}
+  </section>`,
+
+  footer: s => html`<footer>
+    ${s.social.length ? html`<div class="social-links">${s.social.map(link => html`<a href="${link.url}" rel="noopener" target="_blank">${link.label || link.network}</a>`)}</div>` : ''}
+    <p>&copy; ${s.year} ${s.name}. ${s.rights}</p>
+  </footer>`
+};
+
+// Structure shared by every theme, written against the design variables
+const BASE_CSS = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: var(--font-body); line-height: 1.6; color: var(--text); background: var(--bg); }
+    h1, h2, h3, .logo { font-family: var(--font-heading); }
+    nav { position: fixed; top: 0; left: 0; right: 0; background: color-mix(in srgb, var(--bg) 92%, transparent); backdrop-filter: blur(10px); padding: 16px 24px; display: flex; justify-content: space-between; align-items: center; z-index: 100; border-bottom: 1px solid var(--border); }
+    .logo { font-weight: 800; font-size: 1.4rem; color: var(--primary-text); }
+    .nav-btn { background: var(--primary); color: var(--on-primary); padding: 10px 24px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 0.9rem; transition: all 0.2s; }
+    .nav-btn:hover { background: var(--primary-strong); transform: translateY(-1px); }
+    .hero { padding: 140px 24px 100px; text-align: center; }
+    .hero-content { max-width: 800px; margin: 0 auto; }
+    .badge { display: inline-block; padding: 8px 16px; border-radius: 50px; font-size: 0.85rem; margin-bottom: 24px; }
+    .hero h1 { font-size: 3.5rem; font-weight: 800; margin-bottom: 20px; line-height: 1.1; }
+    .hero p { font-size: 1.25rem; margin-bottom: 32px; opacity: 0.95; max-width: 600px; margin-left: auto; margin-right: auto; }
+    .cta-btn { display: inline-block; padding: 16px 40px; border-radius: 12px; text-decoration: none; font-weight: 700; font-size: 1.1rem; transition: all 0.3s; }
+    .cta-btn:hover { transform: translateY(-3px); }
+    .features, .section { padding: 100px 24px; max-width: 1100px; margin: 0 auto; }
+    .section-header { text-align: center; margin-bottom: 60px; }
+    .section-header h2 { font-size: 2.5rem; font-weight: 800; margin-bottom: 16px; }
+    .section-header p { color: var(--muted); font-size: 1.1rem; }
+    .feature-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 32px; }
+    .feature-card { background: var(--surface); padding: 36px; border-radius: 20px; text-align: center; transition: all 0.3s; border: 1px solid var(--border); }
+    .feature-card:hover { transform: translateY(-8px); box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
+    .feature-icon { width: 64px; height: 64px; border-radius: 16px; display: flex; align-items: center; justify-content: center; font-size: 28px; margin: 0 auto 20px; }
+    .feature-card h3 { font-size: 1.3rem; font-weight: 700; margin-bottom: 12px; }
+    .feature-card p { color: var(--muted); line-height: 1.7; }
+    .pricing-grid, .testimonial-grid, .team-grid, .gallery-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 24px; }
+    .pricing-card { background: var(--surface); border: 1px solid var(--border); border-radius: 20px; padding: 32px; display: flex; flex-direction: column; gap: 16px; }
+    .pricing-card.featured { border: 2px solid var(--primary); box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
+    .pricing-card h3 { font-size: 1.2rem; }
+    .price { font-size: 2.5rem; font-weight: 800; }
+    .price .period { font-size: 1rem; font-weight: 500; color: var(--muted); }
+    .pricing-card ul { list-style: none; flex: 1; }
+    .pricing-card li { padding: 6px 0; border-bottom: 1px solid var(--border); color: var(--muted); }
+    .pricing-card li::before { content: '✓ '; color: var(--primary); font-weight: 700; }
+    .pricing-card .cta-btn { background: var(--primary); color: var(--on-primary); text-align: center; font-size: 1rem; padding: 12px 24px; }
+    .testimonial { background: var(--surface); border: 1px solid var(--border); border-radius: 20px; padding: 28px; }
+    .testimonial blockquote { font-size: 1.05rem; margin-bottom: 16px; }
+    .testimonial figcaption { display: flex; flex-direction: column; }
+    .testimonial figcaption span { color: var(--muted); font-size: 0.9rem; }
+    .faq-list { max-width: 760px; margin: 0 auto; }
+    .faq-list details { border-bottom: 1px solid var(--border); padding: 20px 0; }
+    .faq-list summary { font-weight: 700; font-size: 1.1rem; cursor: pointer; }
+    .faq-list details p { color: var(--muted); margin-top: 12px; }
+    .team-member { text-align: center; }
+    .team-member img, .avatar { width: 120px; height: 120px; border-radius: 50%; object-fit: cover; margin: 0 auto 16px; }
+    .avatar { display: flex; align-items: center; justify-content: center; background: var(--primary); color: var(--on-primary); font-size: 2rem; font-weight: 700; }
+    .team-member p { color: var(--muted); }
+    .gallery-grid img { width: 100%; aspect-ratio: 4 / 3; object-fit: cover; border-radius: 12px; display: block; }
+    .gallery-grid figcaption { color: var(--muted); font-size: 0.9rem; margin-top: 8px; }
+    .social-proof { background: var(--surface); padding: 80px 24px; text-align: center; }
+    .social-proof h2 { font-size: 2rem; font-weight: 700; margin-bottom: 40px; }
+    .stats { display: flex; justify-content: center; gap: 60px; flex-wrap: wrap; }
+    .stat { text-align: center; }
+    .stat-number { font-size: 3rem; font-weight: 800; color: var(--primary-text); }
+    .stat-label { color: var(--muted); font-size: 0.95rem; }
+    .cta-section { padding: 100px 24px; text-align: center; }
+    .cta-section h2 { font-size: 2.5rem; font-weight: 800; margin-bottom: 16px; }
+    .cta-section p { margin-bottom: 32px; font-size: 1.1rem; }
+    .cta-section .cta-btn { background: var(--primary); color: var(--on-primary); }
+    .cta-section .cta-btn:hover { background: var(--primary-strong); }
+    .contact { padding: 80px 24px; text-align: center; }
+    .contact h2 { font-size: 2rem; font-weight: 700; margin-bottom: 24px; }
+    .contact-info { font-size: 1.2rem; color: var(--primary-text); font-weight: 600; }
+    .contact-info a, .hero-card p a { color: inherit; }
+    .contact-links { display: flex; justify-content: center; gap: 24px; flex-wrap: wrap; }
+    a.contact-info { text-decoration: none; }
+    .contact-form { max-width: 520px; margin: 40px auto 0; display: flex; flex-direction: column; gap: 16px; text-align: left; }
+    .contact-form label { display: flex; flex-direction: column; gap: 6px; font-weight: 600; }
+    .contact-form input, .contact-form textarea { font: inherit; padding: 12px 14px; border: 1px solid var(--border); border-radius: 10px; background: var(--surface); color: var(--text); }
+    .contact-form .cta-btn { background: var(--primary); color: var(--on-primary); border: none; cursor: pointer; }
+    .logo img { height: 36px; display: block; }
+    .social-links { display: flex; justify-content: center; gap: 20px; margin-bottom: 16px; }
+    .social-links a { color: inherit; opacity: 0.85; }
+    footer { background: #1a1a2e; color: white; padding: 40px 24px; text-align: center; }
+    footer p { opacity: 0.7; }
+    @media (max-width: 768px) { .hero h1 { font-size: 2.2rem; } .hero { padding: 120px 20px 80px; } .stats { gap: 40px; } .stat-number { font-size: 2.2rem; } }`;
+
+function renderSection(section, theme) {
+  const render = (theme.sections && theme.sections[section.type]) || SECTION_RENDERERS[section.type];
+  return render ? render(section) : '';
+}
+
+// A letter on the brand color, for pages without their own favicon
+function letterFaviconSvg(name, design) {
+  return String(html`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect width="64" height="64" rx="14" fill="${design.colors.primary}"/><text x="32" y="44" font-size="36" font-family="sans-serif" font-weight="700" text-anchor="middle" fill="${readableOn(design.colors.primary)}">${(name || '?').trim().charAt(0).toUpperCase()}</text></svg>`);
+}
+
+function letterFavicon(name, design) {
+  return 'data:image/svg+xml,' + encodeURIComponent(letterFaviconSvg(name, design));
+}
+
+// Everything a page needs to look right, in stylesheet order
+function pageCss(design) {
+  return `${designVars(design)}
+${BASE_CSS}
+${design.theme.css}
+`;
+}
+
+// Open Graph tags every version of the page carries; the site bundle adds
+// og:url and og:image once it knows the domain
+function shareTags(page) {
+  return join([
+    html`<meta property="og:type" content="website">`,
+    html`<meta property="og:site_name" content="${page.name}">`,
+    html`<meta property="og:title" content="${page.title}">`,
+    html`<meta property="og:description" content="${page.description}">`
+  ], '\n  ');
+}
+
+// Self-contained head assets: favicon and styles inline, fonts from Google.
+// The CSS is the app's own, built from validated design values.
+function inlineHead(page, design) {
+  return html`${shareTags(page)}
+  <meta name="twitter:card" content="summary">
+  <link rel="icon" href="${page.favicon || raw(letterFavicon(page.name, design))}">
+  <link href="${fontsHref(design.fonts)}" rel="stylesheet">
+  <style>
+    ${raw(designVars(design))}
+    ${raw(BASE_CSS)}
+    ${raw(design.theme.css)}
+  </style>`;
+}
+
+// Render a page ({ title, description, name, lang, favicon, organization, sections }) with a
+// resolved design. `head` replaces the inline favicon and styles, which is
+// how the site bundle links its own files instead; `editor` adds the visual
+// editor's data-edit paths.
+function renderPage(page, design, head = inlineHead(page, design), editor = false) {
+  const sections = editor
+    ? page.sections.map(section => ({ ...section, edit: section.index === undefined ? '' : `sections.${section.index}.` }))
+    : page.sections;
+  return String(html`<!DOCTYPE html>
+<html lang="${page.lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${page.title}</title>
+  <meta name="description" content="${page.description}">
+  ${page.organization ? jsonLd(page.organization) : ''}
+  ${head}
+</head>
+<body class="theme-${design.id}">
+  ${join(sections.map(section => renderSection(section, design.theme)), '\n  ')}
+</body>
+</html>`);
+}
+
+// Search results cut titles and descriptions off, so long ones end at a word
+// boundary instead of mid-word
+function clip(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:-]+$/, '') + '…';
+}
+
+// schema.org Organization for the business; the site bundle adds its url
+function organization(businessInfo) {
+  const contact = contactDetails(businessInfo);
+  const social = (businessInfo.social || []).map(link => link && safeUrl(link.url)).filter(Boolean);
+  const data = { '@context': 'https://schema.org', '@type': 'Organization', name: businessInfo.name, description: businessInfo.description };
+  if (contact.website) data.url = contact.website;
+  if (safeUrl(businessInfo.logo)) data.logo = businessInfo.logo;
+  if (contact.email) data.email = contact.email;
+  if (contact.phone) data.telephone = contact.phone;
+  if (social.length) data.sameAs = social;
+  return data;
+}
+
+function landingPage(businessInfo) {
+  return {
+    title: clip(`${businessInfo.name} - ${businessInfo.description}`, TITLE_LENGTH.max),
+    description: clip(businessInfo.description, DESCRIPTION_LENGTH.max),
+    name: businessInfo.name,
+    lang: landingCopy(businessInfo.locale).lang,
+    favicon: safeUrl(businessInfo.favicon),
+    organization: organization(businessInfo),
+    sections: pageSections(businessInfo)
+  };
+}
+
+// Generate a landing page from business info and an optional design
+// ({ theme, colors: { primary, accent }, fonts, mode })
+function generateLandingPage(businessInfo, design = {}) {
+  return renderPage(landingPage(businessInfo), resolveDesign(design));
+}
+
+// The visual editor's document model: the generator input with sections
+// normalized and the design resolved, so every data-edit path in the editor
+// preview names a field here and edits round-trip through the generator
+const DOCUMENT_FIELDS = ['name', 'description', 'targetCustomer', 'badge', 'subheadline', 'cta', 'contact', 'email', 'phone', 'logo', 'favicon', 'social', 'locale'];
+
+function landingDocument(businessInfo, design) {
+  const document = {};
+  DOCUMENT_FIELDS.forEach(field => {
+    if (businessInfo[field] !== undefined) document[field] = businessInfo[field];
+  });
+  document.sections = normalizeSections(businessInfo.sections || defaultSections(businessInfo), businessInfo)
+    .map(({ id, ...section }) => section);
+  return { ...document, theme: design.id, colors: { ...design.colors }, fonts: design.fontsId, mode: design.mode };
+}
+
+// Run a generated page back through the analyzer. It's audited as pasted
+// HTML, so hosting checks such as HTTPS are reported as not applicable.
+function auditLandingPage(markup) {
+  return evaluateRules(analyzeDocument(cheerio.load(markup), 'Generated landing page', 'html'));
+}
+
+// Generate and self-audit; returns { html, audit, document } plus the
+// annotated `preview` when `options.editor` is set, or throws a 500 when
+// the page misses the bar
+function buildLandingPage(businessInfo, design = {}, options = {}) {
+  const { minScore = LANDING_MIN_SCORE, editor = false } = options;
+  const resolved = resolveDesign(design);
+  const page = landingPage(businessInfo);
+  const markup = renderPage(page, resolved);
+  const report = auditLandingPage(markup);
+  if (report.score < minScore) {
+    const failing = report.findings.filter(f => f.status === 'fail' || f.status === 'warn').map(f => f.id);
+    const error = new Error(`Generated page scored ${report.score}, below the required ${minScore} (${failing.join(', ')})`);
+    error.status = 500;
+    error.code = 'LANDING_AUDIT_FAILED';
+    throw error;
+  }
+  const result = { html: markup, audit: reportPayload(report), document: landingDocument(businessInfo, resolved) };
+  if (editor) result.preview = renderPage(page, resolved, undefined, true);
+  return result;
+}
+
+module.exports = {
+  LANDING_MIN_SCORE,
+  pageSections,
+  landingPage,
+  letterFaviconSvg,
+  pageCss,
+  shareTags,
+  renderPage,
+  generateLandingPage,
+  landingDocument,
+  auditLandingPage,
+  buildLandingPage
+};
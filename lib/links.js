@@ -0,0 +1,213 @@
+const { safeFetch } = require('./fetch');
+const { selectorFor, accessibleName } = require('./accessibility');
+
+// Link and image checker
+// Every link and image is resolved against the page URL, deduplicated and
+// requested - HEAD first, GET when HEAD is refused - with a few requests in
+// flight and a time budget per page (and per crawl). Whatever the budget
+// doesn't reach is reported as unchecked. Results are cached per URL, so a
+// crawl checks each address once.
+const LINK_LIMITS = { maxUrls: 100, concurrency: 6, timeout: 5000, budget: 20000, crawlBudget: 60000, getBytes: 64 * 1024 };
+const LINK_STATUSES = ['ok', 'redirect', 'not-found', 'refused', 'server-error', 'timeout', 'connection-error', 'unreachable', 'bad-scheme'];
+// Only a missing page, a host that doesn't resolve or an unusable scheme is
+// known to be broken. Server errors, timeouts and dropped connections may
+// pass, so those links are unverified, and sites that turn away bots (401,
+// 403, 429 or LinkedIn's 999) refuse the check rather than break the link.
+const BROKEN_STATUSES = ['not-found', 'unreachable', 'bad-scheme'];
+const UNVERIFIED_STATUSES = ['server-error', 'timeout', 'connection-error'];
+
+// Redirects through this many hops or more are worth flattening
+const REDIRECT_CHAIN = 2;
+
+// Schemes that are fine but can't be requested; anything else that isn't
+// http(s) is a bad scheme (file:, typos like htps:, Windows paths)
+const UNCHECKED_SCHEMES = /^(mailto|tel|sms|callto|data|blob|about|javascript):/i;
+
+// HEAD answers that are final; other errors get a second try with GET
+const GONE = [404, 410];
+
+// Offenders kept per list; counts are exact
+const ELEMENT_LIMIT = 20;
+
+function toUrl(value, base) {
+  try {
+    return new URL(String(value).trim(), base || undefined);
+  } catch (error) {
+    return null;
+  }
+}
+
+function snippet(text, length = 40) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? clean.slice(0, length) + '…' : clean;
+}
+
+function sameSite(host, pageHost) {
+  return host.replace(/^www\./, '') === pageHost.replace(/^www\./, '');
+}
+
+// Links and images in document order, each with its element, the text a
+// visitor sees for it and an absolute `url`, or the raw value and
+// `badScheme`. In-page
+// anchors and schemes that can't be requested are left out, as are
+// relative URLs when there's no page URL to resolve them against.
+function pageTargets($, pageUrl) {
+  const targets = [];
+  const add = (el, value, type, text) => {
+    const raw = String(value || '').trim();
+    if (!raw || raw.startsWith('#') || UNCHECKED_SCHEMES.test(raw)) return;
+    const url = toUrl(raw, pageUrl);
+    if (!url) return;
+    if (!/^https?:$/.test(url.protocol)) {
+      targets.push({ el, type, text, url: raw, badScheme: true });
+      return;
+    }
+    url.hash = '';
+    targets.push({ el, type, text, url: url.href });
+  };
+  $('a[href]').each((i, el) => add(el, el.attribs.href, 'link', accessibleName($, el)));
+  $('img[src]').each((i, el) => add(el, el.attribs.src, 'image', el.attribs.alt || ''));
+  return targets;
+}
+
+function checkResult(url, response) {
+  const hops = response.redirects.length;
+  return { url, status: hops ? 'redirect' : 'ok', code: response.status, hops, finalUrl: response.url };
+}
+
+function failedResult(url, error) {
+  if (error.code === 'HTTP_ERROR') {
+    const status = GONE.includes(error.status) ? 'not-found' : error.status >= 500 && error.status < 600 ? 'server-error' : 'refused';
+    return { url, status, code: error.status };
+  }
+  if (error.code === 'TIMEOUT') return { url, status: 'timeout', code: null };
+  if (error.code === 'DNS_FAILURE') return { url, status: 'unreachable', code: null, detail: error.message };
+  return { url, status: 'connection-error', code: null, detail: error.message };
+}
+
+// One URL. GET bodies are cut off after LINK_LIMITS.getBytes; hitting that
+// cap still means the server answered with a working page.
+async function checkUrl(url, timeout) {
+  const request = method => safeFetch(url, {
+    method,
+    accept: null,
+    timeout,
+    maxBytes: method === 'HEAD' ? Infinity : LINK_LIMITS.getBytes
+  });
+  try {
+    const response = await request('HEAD').catch(error => {
+      if (error.code === 'HTTP_ERROR' && !GONE.includes(error.status)) return request('GET');
+      throw error;
+    });
+    return checkResult(url, response);
+  } catch (error) {
+    if (error.code === 'TOO_LARGE') return { url, status: 'ok', code: null, hops: 0 };
+    return failedResult(url, error);
+  }
+}
+
+// Check a page's links and images. `cache` maps URL to a pending check and
+// may be shared across a crawl; `deadline` (ms since the epoch) ends the
+// check early. Resolves to a Map of URL -> { url, status, code, hops,
+// finalUrl } for every URL that was checked, here or earlier.
+async function fetchLinks($, pageUrl, { cache = new Map(), deadline = Date.now() + LINK_LIMITS.budget } = {}) {
+  const urls = [...new Set(pageTargets($, pageUrl).filter(t => !t.badScheme).map(t => t.url))].slice(0, LINK_LIMITS.maxUrls);
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length && Date.now() < deadline) {
+      const url = urls[next++];
+      if (!cache.has(url)) cache.set(url, checkUrl(url, Math.max(1, Math.min(LINK_LIMITS.timeout, deadline - Date.now()))));
+      await cache.get(url);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(LINK_LIMITS.concurrency, urls.length) }, worker));
+
+  const results = new Map();
+  for (const url of urls) {
+    if (cache.has(url)) results.set(url, await cache.get(url));
+  }
+  return results;
+}
+
+function describe(target) {
+  const { result, refs } = target;
+  const what = result.status === 'bad-scheme' ? 'bad scheme'
+    : result.status === 'timeout' ? 'timed out'
+      : result.status === 'unreachable' ? 'host not found'
+        : result.status === 'connection-error' ? 'connection failed'
+          : result.status === 'refused' ? `${result.code}, refused the check`
+            : result.status === 'redirect' ? `${result.hops} redirect${result.hops === 1 ? '' : 's'} to ${result.finalUrl}`
+              : result.code;
+  const text = snippet(refs[0].text);
+  const label = target.type === 'image' ? `image${text ? ` "${text}"` : ''}` : `"${text || 'no text'}"`;
+  return `${label} → ${target.url} (${what})${refs.length > 1 ? ` ×${refs.length}` : ''}`;
+}
+
+function collect($, targets) {
+  return {
+    count: targets.length,
+    elements: targets.slice(0, ELEMENT_LIMIT).map(target => ({ selector: selectorFor($, target.refs[0].el), detail: describe(target) }))
+  };
+}
+
+function summarize(targets) {
+  const counts = {};
+  LINK_STATUSES.forEach(status => { counts[status] = 0; });
+  let unchecked = 0;
+  targets.forEach(target => {
+    if (target.result) counts[target.result.status]++;
+    else unchecked++;
+  });
+  return { total: targets.length, counts, unchecked };
+}
+
+// Everything the link rules read, from the page and the results of
+// fetchLinks(). `checked` is false without results (pasted HTML, uploads),
+// in which case only bad schemes are known.
+function auditLinks($, url, { finalUrl, links = null } = {}) {
+  const page = toUrl(finalUrl || url);
+  const pageUrl = page && /^https?:$/.test(page.protocol) ? page.href : null;
+  const pageHost = pageUrl ? page.hostname : null;
+
+  const unique = new Map();
+  pageTargets($, pageUrl).forEach(({ el, type, text, url: target, badScheme }) => {
+    const key = `${type} ${target}`;
+    if (!unique.has(key)) {
+      const host = badScheme ? null : new URL(target).hostname;
+      unique.set(key, {
+        url: target,
+        type,
+        internal: badScheme || Boolean(pageHost && host && sameSite(host, pageHost)),
+        result: badScheme ? { url: target, status: 'bad-scheme', code: null } : (links && links.get(target)) || null,
+        refs: []
+      });
+    }
+    unique.get(key).refs.push({ el, text });
+  });
+
+  const targets = [...unique.values()];
+  const pageLinks = targets.filter(t => t.type === 'link');
+  const has = (...statuses) => t => t.result && statuses.includes(t.result.status);
+  return {
+    checked: Boolean(links),
+    total: targets.reduce((sum, t) => sum + t.refs.length, 0),
+    unique: targets.length,
+    internal: summarize(targets.filter(t => t.internal)),
+    external: summarize(targets.filter(t => !t.internal)),
+    brokenLinks: {
+      internal: collect($, pageLinks.filter(t => t.internal).filter(has(...BROKEN_STATUSES))),
+      external: collect($, pageLinks.filter(t => !t.internal).filter(has(...BROKEN_STATUSES)))
+    },
+    brokenImages: collect($, targets.filter(t => t.type === 'image').filter(has(...BROKEN_STATUSES))),
+    unverified: collect($, targets.filter(has(...UNVERIFIED_STATUSES))),
+    refused: collect($, targets.filter(has('refused'))),
+    redirectChains: collect($, pageLinks.filter(t => t.internal && t.result && t.result.hops >= REDIRECT_CHAIN))
+  };
+}
+
+module.exports = {
+  LINK_LIMITS,
+  LINK_STATUSES,
+  fetchLinks,
+  auditLinks
+};
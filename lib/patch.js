@@ -0,0 +1,405 @@
+const cheerio = require('cheerio');
+const { escapeHtml } = require('./html');
+
+// Auto-fix patch
+// Fixes the flagged page checks that have one obvious fix in the page's own
+// HTML: a viewport tag, a meta description draft, alt text placeholders, a
+// single H1, a favicon link and Open Graph tags. The fixes are edits to the
+// original text rather than a re-serialized DOM, so the unified diff only
+// touches the lines that change. Drafts and placeholders still need a
+// person: the meta description is written from the page's own copy and
+// alt text reads "TODO".
+const PATCH_LIMITS = { maxBytes: 1024 * 1024, context: 3 };
+
+const ALT_PLACEHOLDER = 'TODO: describe this image';
+const PLACEHOLDER_SITE = 'https://example.com/';
+const DESCRIPTION_LENGTH = 160;
+
+// Where a description draft reads the page's copy from, and what it skips
+const COPY_BLOCKS = 'h1, h2, h3, p, li';
+const NOT_COPY = 'script, style, noscript, template, nav';
+
+// Elements whose content is text, so tags inside them aren't tags
+const RAW_TEXT = ['script', 'style', 'textarea', 'title', 'xmp'];
+
+const TAG = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+// Attributes with their offsets in the document; valueless ones are ''
+function attributes(text, offset) {
+  const list = [];
+  const pattern = new RegExp(ATTRIBUTE.source, 'g');
+  let match;
+  while ((match = pattern.exec(text))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+    list.push({ name: match[1].toLowerCase(), value, start: offset + match.index, end: offset + pattern.lastIndex });
+  }
+  return list;
+}
+
+// Every start and end tag with its offsets, skipping comments and the
+// content of script, style and other raw text elements
+function scanTags(html) {
+  const lower = html.toLowerCase();
+  const pattern = new RegExp(TAG.source, 'g');
+  const tags = [];
+  let match;
+  while ((match = pattern.exec(html))) {
+    if (!match[2]) continue;
+    const name = match[2].toLowerCase();
+    const list = attributes(match[3], match.index + 1 + match[1].length + match[2].length);
+    const attrs = {};
+    list.forEach(attr => { if (!(attr.name in attrs)) attrs[attr.name] = attr.value; });
+    const tag = { name, closing: Boolean(match[1]), start: match.index, end: pattern.lastIndex, attrs, list };
+    tags.push(tag);
+    if (!tag.closing && RAW_TEXT.includes(name)) {
+      const close = lower.indexOf(`</${name}`, tag.end);
+      pattern.lastIndex = close === -1 ? html.length : close;
+    }
+  }
+  return tags;
+}
+
+// The whitespace before a tag when it starts its line, otherwise null
+function lineIndent(html, offset) {
+  let start = offset;
+  while (start > 0 && (html[start - 1] === ' ' || html[start - 1] === '\t')) start--;
+  return start === 0 || html[start - 1] === '\n' ? html.slice(start, offset) : null;
+}
+
+// Markup added as the last children of <head> or the first of <body>,
+// indented like the element's other children. A page without the element
+// gets one.
+function insertion(html, tags, parent, markup, eol) {
+  const open = tags.find(t => t.name === parent && !t.closing);
+  const close = tags.find(t => t.name === parent && t.closing && (!open || t.start > open.start));
+  const child = open && tags.find(t => t.start >= open.end && lineIndent(html, t.start) !== null);
+  const openIndent = open ? lineIndent(html, open.start) : null;
+  const indent = child && child !== close ? lineIndent(html, child.start) : openIndent === null ? '' : `${openIndent}  `;
+
+  if (parent === 'head' && close) {
+    const closeIndent = lineIndent(html, close.start);
+    if (closeIndent === null) return { start: close.start, end: close.start, text: markup.join('') };
+    const lineStart = close.start - closeIndent.length;
+    return { start: lineStart, end: lineStart, text: markup.map(m => `${indent}${m}${eol}`).join('') };
+  }
+  if (open) {
+    const inline = lineIndent(html, open.start) === null;
+    return { start: open.end, end: open.end, text: inline ? markup.join('') : markup.map(m => `${eol}${indent}${m}`).join('') };
+  }
+
+  // No such element: a <head> goes in after <html> or the doctype, and an
+  // H1 without a <body> after </head> or wherever the new <head> went
+  const element = parent === 'head' ? `<head>${eol}${markup.map(m => `  ${m}${eol}`).join('')}</head>` : markup.join('');
+  const after = (parent === 'body' && tags.find(t => t.name === 'head' && t.closing)) ||
+    tags.find(t => t.name === 'html' && !t.closing);
+  if (after) return { start: after.end, end: after.end, text: `${eol}${element}` };
+  const doctype = /^\s*<!doctype[^>]*>/i.exec(html);
+  const start = doctype ? doctype[0].length : 0;
+  return { start, end: start, text: doctype ? `${eol}${element}` : `${element}${eol}` };
+}
+
+// The start of the page's visible copy: headings, paragraphs and list items
+// outside navigation, one block after another, until there's enough for a
+// description. Scripts and styles aren't copy, and blocks nested in another
+// block are read with it.
+function pageCopy(html) {
+  const $ = cheerio.load(html);
+  $(NOT_COPY).remove();
+  const blocks = [];
+  let length = 0;
+  $(COPY_BLOCKS).each((i, el) => {
+    if ($(el).parents(COPY_BLOCKS).length) return;
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    blocks.push(text);
+    length += text.length + 1;
+    return length <= DESCRIPTION_LENGTH;
+  });
+  return blocks.join(' ');
+}
+
+// The tagline when it says enough, otherwise the start of the page's copy.
+// Search results cut descriptions off, so a long draft ends at a word.
+function draftDescription(copy, analysis) {
+  const tagline = String((analysis.brand && analysis.brand.tagline) || '').trim();
+  const text = (tagline.length >= 50 ? tagline : copy() || tagline).replace(/\s+/g, ' ').trim();
+  if (!text) return 'TODO: describe this page in 150-160 characters';
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > DESCRIPTION_LENGTH / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:-]+$/, '') + '…';
+}
+
+function pageTitle(analysis) {
+  const brand = analysis.brand || {};
+  if (analysis.title && analysis.title !== 'No title found') return analysis.title.trim();
+  return brand.name || 'TODO: page title';
+}
+
+function meta(attribute, name, content) {
+  return `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`;
+}
+
+// Where a shared link should point: the canonical URL, the fetched address,
+// or a placeholder for pasted and uploaded pages
+function shareUrl(analysis) {
+  const canonical = analysis.seo && analysis.seo.canonical && analysis.seo.canonical.href;
+  if (canonical && /^https?:\/\//i.test(canonical)) return canonical;
+  return analysis.source === 'url' ? analysis.url : PLACEHOLDER_SITE;
+}
+
+function shareImage(analysis) {
+  const logo = analysis.brand && analysis.brand.logo;
+  if (logo && /^https?:\/\//i.test(logo)) return { url: logo, note: 'og:image uses your logo; a 1200x630 image shares better' };
+  const url = new URL('/og-image.png', analysis.source === 'url' ? analysis.url : PLACEHOLDER_SITE).href;
+  return { url, note: `add a 1200x630 image at ${url}` };
+}
+
+// One fixer per rule id: each returns { edits, head, change } for a flagged
+// finding, `head` being tags to add to <head>
+const FIXERS = {
+  viewport: () => ({
+    head: ['<meta name="viewport" content="width=device-width, initial-scale=1">'],
+    change: 'Added a viewport meta tag'
+  }),
+
+  'meta-description': ({ tags, analysis, copy }) => {
+    const tag = meta('name', 'description', draftDescription(copy, analysis));
+    const empty = tags.find(t => t.name === 'meta' && (t.attrs.name || '').toLowerCase() === 'description');
+    const change = 'Added a meta description drafted from the page\'s own copy; rewrite it to 150-160 characters';
+    return empty ? { edits: [{ start: empty.start, end: empty.end, text: tag }], change } : { head: [tag], change };
+  },
+
+  'image-alt': ({ tags }) => {
+    const edits = [];
+    tags.filter(t => t.name === 'img' && !t.closing).forEach(t => {
+      const alt = t.list.find(attr => attr.name === 'alt');
+      const text = `alt="${ALT_PLACEHOLDER}"`;
+      if (!alt) edits.push({ start: t.start + 4, end: t.start + 4, text: ` ${text}` });
+      else if (alt.value === '') edits.push({ start: alt.start, end: alt.end, text });
+    });
+    return { edits, change: `Added alt text placeholders to ${edits.length} image(s); describe each one, or leave decorative images with alt=""` };
+  },
+
+  'single-h1': ({ html, tags, analysis, eol }) => {
+    const opens = tags.filter(t => t.name === 'h1' && !t.closing);
+    if (!opens.length) {
+      const heading = `<h1>${escapeHtml(analysis.brand && analysis.brand.name ? analysis.brand.name : pageTitle(analysis))}</h1>`;
+      return { edits: [insertion(html, tags, 'body', [heading], eol)], change: 'Added an H1 with the page\'s name at the top of <body>; reword it as the page\'s main headline' };
+    }
+    const edits = [];
+    opens.slice(1).forEach(open => {
+      edits.push({ start: open.start + 1, end: open.start + 3, text: 'h2' });
+      const close = tags.find(t => t.name === 'h1' && t.closing && t.start > open.start);
+      if (close) edits.push({ start: close.start + 2, end: close.start + 4, text: 'h2' });
+    });
+    return { edits, change: `Kept the first H1 and turned the other ${opens.length - 1} into H2s; check their styling` };
+  },
+
+  favicon: () => ({
+    head: ['<link rel="icon" href="/favicon.ico">'],
+    change: 'Added a favicon link; put your icon at /favicon.ico'
+  }),
+
+  'open-graph': ({ tags, analysis, copy }) => {
+    const og = analysis.seo && analysis.seo.openGraph;
+    if (!og || !og.missing.length) return null;
+    const image = shareImage(analysis);
+    const described = tags.find(t => t.name === 'meta' && (t.attrs.name || '').toLowerCase() === 'description' && t.attrs.content);
+    const values = {
+      title: pageTitle(analysis),
+      type: 'website',
+      url: shareUrl(analysis),
+      image: image.url,
+      description: described ? described.attrs.content : draftDescription(copy, analysis)
+    };
+    const keys = og.missing.concat(og.description ? [] : ['description']);
+    const notes = [].concat(og.missing.includes('image') ? image.note : [], values.url === PLACEHOLDER_SITE ? `replace ${PLACEHOLDER_SITE} with your page's address` : []);
+    return {
+      head: keys.map(key => meta('property', `og:${key}`, values[key])),
+      change: `Added ${keys.map(key => `og:${key}`).join(', ')}${notes.length ? `; ${notes.join(' and ')}` : ''}`
+    };
+  }
+};
+
+const PATCH_RULES = Object.keys(FIXERS);
+
+// Apply non-overlapping edits; insertions at the same offset keep their order
+function applyEdits(text, edits) {
+  let output = '';
+  let position = 0;
+  sortEdits(edits).forEach(edit => {
+    output += text.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  });
+  return output + text.slice(position);
+}
+
+function sortEdits(edits) {
+  return edits.map((edit, i) => ({ edit, i })).sort((a, b) => a.edit.start - b.edit.start || a.i - b.i).map(e => e.edit);
+}
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  const newline = lines[lines.length - 1] === '';
+  if (newline) lines.pop();
+  return { lines, newline };
+}
+
+// The line holding `offset`, from the offsets each line starts at
+function lineAt(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+// Changed line runs: the lines each group of edits touches, before and
+// after, less the lines they have in common at either end
+function lineChanges(original, edits) {
+  const starts = [0];
+  for (let i = original.indexOf('\n'); i !== -1 && i + 1 < original.length; i = original.indexOf('\n', i + 1)) starts.push(i + 1);
+  const lineEnd = line => (line + 1 < starts.length ? starts[line + 1] : original.length);
+
+  const groups = [];
+  sortEdits(edits).forEach(edit => {
+    const first = lineAt(starts, edit.start);
+    const last = lineAt(starts, Math.max(edit.start, edit.end - 1));
+    const group = groups[groups.length - 1];
+    if (group && first <= group.last) {
+      group.last = Math.max(group.last, last);
+      group.edits.push(edit);
+    } else {
+      groups.push({ first, last, edits: [edit] });
+    }
+  });
+
+  return groups.map(group => {
+    const offset = starts[group.first];
+    const before = original.slice(offset, lineEnd(group.last));
+    const after = applyEdits(before, group.edits.map(e => ({ ...e, start: e.start - offset, end: e.end - offset })));
+    const removed = splitLines(before).lines;
+    const added = splitLines(after).lines;
+    let start = group.first;
+    while (removed.length && added.length && removed[0] === added[0]) {
+      removed.shift();
+      added.shift();
+      start++;
+    }
+    while (removed.length && added.length && removed[removed.length - 1] === added[added.length - 1]) {
+      removed.pop();
+      added.pop();
+    }
+    return { start, removed, added };
+  }).filter(change => change.removed.length || change.added.length);
+}
+
+// A unified diff between `original` and the result of `edits`, with
+// `context` unchanged lines around each hunk
+function unifiedDiff(original, edits, file, context = PATCH_LIMITS.context) {
+  const old = splitLines(original);
+  const patched = splitLines(applyEdits(original, edits));
+  const changes = lineChanges(original, edits);
+  if (!changes.length) return '';
+
+  const hunks = [];
+  changes.forEach(change => {
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && change.start - hunk.end <= context * 2) {
+      hunk.changes.push(change);
+      hunk.end = change.start + change.removed.length;
+    } else {
+      hunks.push({ changes: [change], end: change.start + change.removed.length });
+    }
+  });
+
+  const output = [`--- a/${file}`, `+++ b/${file}`];
+  let delta = 0;
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.changes[0].start - context);
+    const to = Math.min(old.lines.length, hunk.end + context);
+    const lines = [];
+    const push = (prefix, text, lastOld, lastNew) => {
+      lines.push(prefix + text);
+      if ((prefix !== '+' && lastOld && !old.newline) || (prefix === '+' && lastNew && !patched.newline)) lines.push('\\ No newline at end of file');
+    };
+    let line = from;
+    let newLine = from + delta;
+    const hunkDelta = delta;
+    hunk.changes.forEach(change => {
+      for (; line < change.start; line++, newLine++) {
+        push(' ', old.lines[line], line === old.lines.length - 1, newLine === patched.lines.length - 1);
+      }
+      change.removed.forEach(text => { push('-', text, line === old.lines.length - 1, false); line++; });
+      change.added.forEach(text => { push('+', text, false, newLine === patched.lines.length - 1); newLine++; });
+      delta += change.added.length - change.removed.length;
+    });
+    for (; line < to; line++, newLine++) {
+      push(' ', old.lines[line], line === old.lines.length - 1, newLine === patched.lines.length - 1);
+    }
+    const oldCount = to - from;
+    const newCount = oldCount + delta - hunkDelta;
+    const range = (start, count) => `${count ? start + 1 : start},${count}`;
+    output.push(`@@ -${range(from, oldCount)} +${range(from + hunkDelta, newCount)} @@`, ...lines);
+  });
+  return output.join('\n') + '\n';
+}
+
+// The patched file's name: the fetched or uploaded file's, or index.html
+function patchFileName(analysis) {
+  let name = '';
+  if (analysis.source === 'url') {
+    try {
+      name = new URL(analysis.url).pathname.split('/').pop();
+    } catch (error) {
+      name = '';
+    }
+  } else if (analysis.source === 'upload') {
+    name = String(analysis.url).split(/[\\/]/).pop();
+  }
+  return /^[\w.-]+\.html?$/i.test(name) ? name : 'index.html';
+}
+
+// The corrected page and its diff for the page's flagged checks. Returns
+// `fixes` ({ id, title, change }) plus `html` and `diff`, which are null
+// when nothing needed fixing; pages over maxBytes return null.
+function buildPatch(html, analysis, report) {
+  if (Buffer.byteLength(html) > PATCH_LIMITS.maxBytes) return null;
+  const tags = scanTags(html);
+  const eol = html.includes('\r\n') ? '\r\n' : '\n';
+  const file = patchFileName(analysis);
+  // Read the copy at most once, and only if a draft needs it
+  let text = null;
+  const copy = () => (text === null ? (text = pageCopy(html)) : text);
+
+  const edits = [];
+  const head = [];
+  const fixes = [];
+  report.findings
+    .filter(f => (f.status === 'fail' || f.status === 'warn') && FIXERS[f.id])
+    .forEach(f => {
+      const fix = FIXERS[f.id]({ html, tags, analysis, eol, copy });
+      if (!fix || !((fix.edits || []).length || (fix.head || []).length)) return;
+      edits.push(...(fix.edits || []));
+      head.push(...(fix.head || []));
+      fixes.push({ id: f.id, title: f.title, change: fix.change });
+    });
+  if (!fixes.length) return { file, fixes, html: null, diff: null };
+
+  // New <head> tags go in first, so a new <head> precedes a new H1
+  if (head.length) edits.unshift(insertion(html, tags, 'head', head, eol));
+  return { file, fixes, html: applyEdits(html, edits), diff: unifiedDiff(html, edits, file) };
+}
+
+module.exports = {
+  PATCH_LIMITS,
+  PATCH_RULES,
+  scanTags,
+  unifiedDiff,
+  buildPatch
+};
@@ -0,0 +1,324 @@
+const zlib = require('zlib');
+const { safeFetch } = require('./fetch');
+const { selectorFor } = require('./accessibility');
+
+// Performance and page-weight audit
+// Linked scripts, stylesheets, images and fonts are downloaded as sent, not
+// decompressed, to measure transfer size, compression and cache lifetime.
+// Fonts come from @font-face rules and only faces covering basic Latin are
+// counted, since browsers only download the subsets a page needs.
+// Render-blocking scripts, lazy loading and third-party hosts are read from
+// the markup alone, so pasted HTML gets those too.
+const RESOURCE_LIMITS = { count: 40, maxBytes: 5 * 1024 * 1024, timeout: 8000, concurrency: 6 };
+const PERFORMANCE_BUDGETS = {
+  pageBytes: 2 * 1024 * 1024,
+  heavyPageBytes: 4 * 1024 * 1024,
+  compressMinBytes: 1024,
+  eagerImages: 3,
+  thirdPartyDomains: 5,
+  manyThirdPartyDomains: 10
+};
+
+// Offenders kept per check and assets in the largest list; counts are exact
+const ELEMENT_LIMIT = 20;
+const LARGEST_LIMIT = 5;
+
+const TYPE_ORDER = { stylesheet: 0, font: 1, script: 2, image: 3 };
+const TEXT_TYPES = /^(text\/|application\/(javascript|x-javascript|ecmascript|json|xml|manifest\+json)|image\/svg\+xml)/;
+// Classic scripts; modules are deferred and other types never run
+const SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript'];
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function resolve(href, base) {
+  try {
+    const url = new URL(String(href).trim(), base || undefined);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Run `fn` over `items` with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// The first url() of each @font-face whose unicode-range, if any, starts at
+// U+0000 (basic Latin)
+function fontUrls(css, base) {
+  const urls = [];
+  const faces = /@font-face\s*{([^}]*)}/gi;
+  let face;
+  while ((face = faces.exec(css))) {
+    const range = /unicode-range\s*:\s*([^;]+)/i.exec(face[1]);
+    if (range && !/U\+0+(?=[-,;\s]|$)/i.test(range[1])) continue;
+    const src = /src\s*:[^;]*?url\(\s*(['"]?)([^'")]+)\1\s*\)/i.exec(face[1]);
+    const url = src && resolve(src[2], base);
+    if (url) urls.push(url);
+  }
+  return urls;
+}
+
+// Resources the page links to, stylesheets first, each with the element
+// that references it. Fonts from linked CSS need that CSS in `fetched`.
+function pageResources($, pageUrl, fetched = new Map()) {
+  const resources = [];
+  const seen = new Set();
+  const add = (el, href, type) => {
+    const url = resolve(href, pageUrl);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    resources.push({ url, type, el });
+  };
+
+  $('link[href]').each((i, el) => {
+    const rel = String(el.attribs.rel || '').toLowerCase().split(/\s+/);
+    if (rel.includes('stylesheet')) add(el, el.attribs.href, 'stylesheet');
+    else if (rel.includes('preload') && el.attribs.as === 'font') add(el, el.attribs.href, 'font');
+  });
+  $('style').each((i, el) => fontUrls($(el).html(), pageUrl).forEach(url => add(el, url, 'font')));
+  resources.filter(r => r.type === 'stylesheet').forEach(sheet => {
+    const result = fetched.get(sheet.url);
+    if (result && result.text) fontUrls(result.text, result.url).forEach(url => add(sheet.el, url, 'font'));
+  });
+  $('script[src]').each((i, el) => add(el, el.attribs.src, 'script'));
+  $('img[src]').each((i, el) => add(el, el.attribs.src, 'image'));
+
+  return resources.sort((a, b) => TYPE_ORDER[a.type] - TYPE_ORDER[b.type]);
+}
+
+// Seconds a browser may reuse the response without asking again, 0 when it
+// must revalidate and null when the headers don't say
+function cacheLifetime(headers) {
+  const control = String(headers['cache-control'] || '').toLowerCase();
+  if (/no-store|no-cache/.test(control)) return 0;
+  const maxAge = /(?:^|[,\s])max-age\s*=\s*"?(\d+)/.exec(control);
+  if (maxAge) return parseInt(maxAge[1], 10);
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const now = Date.parse(headers.date) || Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(0, Math.round((expires - now) / 1000));
+  }
+  return null;
+}
+
+function decode(body, encoding) {
+  const options = { maxOutputLength: RESOURCE_LIMITS.maxBytes * 4 };
+  try {
+    if (encoding === 'gzip' || encoding === 'x-gzip') return zlib.gunzipSync(body, options);
+    if (encoding === 'br') return zlib.brotliDecompressSync(body, options);
+    if (encoding === 'deflate') return zlib.inflateSync(body, options);
+    return encoding ? null : body;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Pixel size from a PNG, GIF, WebP or JPEG header
+function imageSize(buffer) {
+  if (!buffer || buffer.length < 30) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47) return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+      } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      } else {
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  }
+  return null;
+}
+
+// Download one resource as sent. Stylesheets keep their text (the contrast
+// check and font discovery read it); images keep only their pixel size.
+async function downloadResource(url) {
+  try {
+    const response = await safeFetch(url, {
+      accept: null,
+      binary: true,
+      decompress: false,
+      maxBytes: RESOURCE_LIMITS.maxBytes,
+      timeout: RESOURCE_LIMITS.timeout
+    });
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const encoding = String(response.headers['content-encoding'] || '').trim().toLowerCase();
+    const resource = {
+      url: response.url,
+      contentType,
+      bytes: response.body.length,
+      encoding: encoding && encoding !== 'identity' ? encoding : null,
+      cacheLifetime: cacheLifetime(response.headers)
+    };
+    if (contentType.includes('css')) {
+      const body = decode(response.body, resource.encoding);
+      if (body) resource.text = body.toString('utf8');
+    } else if (contentType.startsWith('image/')) {
+      Object.assign(resource, imageSize(decode(response.body, resource.encoding)));
+    }
+    return resource;
+  } catch (error) {
+    return { url, error: error.message, bytes: error.size || null };
+  }
+}
+
+// Crawls pass a shared `cache` so an asset used on every page is downloaded
+// once; lib/analyze.js reads stylesheets through it too
+function fetchResource(url, cache = new Map()) {
+  if (!cache.has(url)) cache.set(url, downloadResource(url));
+  return cache.get(url);
+}
+
+// Download what a page links to, up to RESOURCE_LIMITS.count. Resolves to a
+// Map of url to result for auditPerformance().
+async function fetchResources($, pageUrl, cache = new Map()) {
+  const fetched = new Map();
+  const fetchAll = async resources => {
+    const pending = resources.filter(r => !fetched.has(r.url)).slice(0, RESOURCE_LIMITS.count - fetched.size);
+    const results = await mapLimit(pending, RESOURCE_LIMITS.concurrency, r => fetchResource(r.url, cache));
+    pending.forEach((r, i) => fetched.set(r.url, results[i]));
+  };
+  await fetchAll(pageResources($, pageUrl));
+  await fetchAll(pageResources($, pageUrl, fetched));
+  return fetched;
+}
+
+// Hosts on the page's own site, ignoring www. and subdomains either way
+function sameSite(host, pageHost) {
+  const a = host.replace(/^www\./, '');
+  const b = pageHost.replace(/^www\./, '');
+  return a === b || a.endsWith('.' + b) || b.endsWith('.' + a);
+}
+
+function collect($, items, total) {
+  return {
+    count: items.length,
+    total,
+    elements: items.slice(0, ELEMENT_LIMIT).map(({ el, detail }) => ({ selector: selectorFor($, el), detail }))
+  };
+}
+
+// Width the page asks for: a width attribute or an inline pixel width
+function declaredWidth(el) {
+  const attribute = parseInt(el.attribs.width, 10);
+  if (attribute > 0 && /^\d+(px)?$/.test(String(el.attribs.width).trim())) return attribute;
+  const style = /(?:^|;)\s*width\s*:\s*(\d+)px/i.exec(el.attribs.style || '');
+  return style ? parseInt(style[1], 10) : null;
+}
+
+function renderBlockingScripts($) {
+  return $('head script[src]').get()
+    .filter(el => el.attribs.async === undefined && el.attribs.defer === undefined)
+    .filter(el => SCRIPT_TYPES.includes(String(el.attribs.type || '').toLowerCase().trim()))
+    .map(el => ({ el, detail: `src="${el.attribs.src}"` }));
+}
+
+// Without layout the fold is a guess: the first few images may be on screen,
+// every one after them should wait until it is scrolled to
+function eagerImages($) {
+  return $('img').get()
+    .slice(PERFORMANCE_BUDGETS.eagerImages)
+    .filter(el => String(el.attribs.loading || '').toLowerCase() !== 'lazy')
+    .map(el => ({ el, detail: el.attribs.src ? `src="${el.attribs.src.slice(0, 80)}"` : null }));
+}
+
+// `context` is what analyzeDocument received: { finalUrl, resources, htmlBytes }.
+// Without fetched resources the network metrics are null.
+function auditPerformance($, url, { finalUrl, resources = null, htmlBytes = null } = {}) {
+  const pageUrl = resolve(finalUrl || url);
+  const linked = pageResources($, pageUrl, resources || new Map());
+  const pageHost = pageUrl ? new URL(pageUrl).hostname : null;
+  const hosts = new Set(linked.map(r => new URL(r.url).hostname));
+  $('iframe[src]').each((i, el) => {
+    const src = resolve(el.attribs.src, pageUrl);
+    if (src) hosts.add(new URL(src).hostname);
+  });
+  const thirdParty = [...hosts].filter(host => !pageHost || !sameSite(host, pageHost)).sort();
+
+  const images = $('img').length;
+  const audit = {
+    renderBlocking: collect($, renderBlockingScripts($)),
+    lazyLoading: { images, lazy: $('img[loading="lazy"]').length, eager: collect($, eagerImages($)) },
+    thirdParty: { count: thirdParty.length, domains: thirdParty },
+    fetched: Boolean(resources)
+  };
+  if (!resources) return audit;
+
+  const loaded = linked
+    .map(r => ({ ...r, result: resources.get(r.url) }))
+    .filter(r => r.result);
+  const ok = loaded.filter(r => !r.result.error);
+  const byType = { stylesheet: 0, font: 0, script: 0, image: 0 };
+  loaded.forEach(r => { byType[r.type] += r.result.bytes || 0; });
+
+  const uncompressed = ok.filter(r => TEXT_TYPES.test(r.result.contentType) && !r.result.encoding && r.result.bytes >= PERFORMANCE_BUDGETS.compressMinBytes);
+  const uncached = ok.filter(r => !r.result.cacheLifetime);
+  const checkedImages = ok.filter(r => r.type === 'image' && r.result.width && declaredWidth(r.el) && r.el.attribs.srcset === undefined);
+  const oversized = checkedImages.filter(r => r.result.width > declaredWidth(r.el) * 2);
+
+  return {
+    ...audit,
+    requests: 1 + loaded.length,
+    htmlBytes,
+    totalBytes: (htmlBytes || 0) + Object.values(byType).reduce((sum, bytes) => sum + bytes, 0),
+    byType,
+    skipped: linked.length - loaded.length,
+    failed: loaded.length - ok.length,
+    largest: loaded
+      .filter(r => r.result.bytes)
+      .sort((a, b) => b.result.bytes - a.result.bytes)
+      .slice(0, LARGEST_LIMIT)
+      .map(r => ({ url: r.url, type: r.type, bytes: r.result.bytes, selector: selectorFor($, r.el) })),
+    uncompressed: {
+      ...collect($, uncompressed.map(r => ({ el: r.el, detail: `${r.url} (${formatBytes(r.result.bytes)})` }))),
+      bytes: uncompressed.reduce((sum, r) => sum + r.result.bytes, 0)
+    },
+    uncached: collect($, uncached.map(r => ({
+      el: r.el,
+      detail: `${r.url} (${r.result.cacheLifetime === 0 ? 'must revalidate every time' : 'no Cache-Control max-age or Expires'})`
+    })), ok.length),
+    oversizedImages: collect($, oversized.map(r => ({
+      el: r.el,
+      detail: `${r.result.width}×${r.result.height} shown at ${declaredWidth(r.el)}px wide (${formatBytes(r.result.bytes)})`
+    })), checkedImages.length)
+  };
+}
+
+module.exports = {
+  RESOURCE_LIMITS,
+  PERFORMANCE_BUDGETS,
+  formatBytes,
+  imageSize,
+  fetchResource,
+  fetchResources,
+  auditPerformance
+};
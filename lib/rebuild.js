@@ -0,0 +1,106 @@
+// "Rebuild my site"
+// Turns an analyzed page into generator input: the scraped brand fills the
+// step 3 form, and every flagged page check is matched with what the
+// generated page does about it. Checks the generator can't fix (HTTPS is
+// down to hosting) are listed separately so the UI never overpromises.
+const REBUILD_FIXES = {
+  viewport: 'Responsive layout with a mobile viewport tag',
+  title: 'A descriptive page title from your name and tagline',
+  'meta-description': 'A meta description written from your tagline',
+  'single-h1': 'Exactly one H1 headline',
+  'image-alt': 'Alt text on every image',
+  favicon: 'A favicon in the page head',
+  'cta-buttons': 'A contact form with a call-to-action button',
+  forms: 'A contact form to capture leads',
+  'script-count': 'No third-party scripts at all',
+  'html-lang': 'A language declared on the page',
+  'heading-order': 'Headings in order, with no skipped levels',
+  'form-labels': 'A visible label on every form field',
+  'button-name': 'Buttons that say what they do',
+  'link-name': 'Links with readable text',
+  'duplicate-ids': 'Unique ids throughout',
+  'positive-tabindex': 'Keyboard focus that follows the page order',
+  'autoplay-media': 'No media that plays by itself',
+  'color-contrast': 'Theme text colors that meet WCAG AA contrast, checked again by the page\'s self-audit',
+  'title-length': 'A title trimmed to 60 characters at a word boundary',
+  'description-length': 'A meta description trimmed to 160 characters',
+  'robots-meta': 'No noindex or nofollow',
+  'open-graph': 'Open Graph tags, with og:url and a share image in the exported site',
+  'twitter-card': 'A Twitter card for link previews on X',
+  'structured-data': 'Organization structured data with your contact details and social profiles',
+  canonical: 'A canonical URL in the exported site',
+  'robots-txt': 'A robots.txt in the exported site',
+  sitemap: 'A sitemap.xml in the exported site',
+  'render-blocking-scripts': 'No scripts blocking the first render',
+  'lazy-loading': 'Lazy-loaded gallery and team photos',
+  hsts: 'HSTS in the exported Netlify config',
+  'content-security-policy': 'A strict Content-Security-Policy in the exported Netlify and Docker configs',
+  clickjacking: 'X-Frame-Options in the exported Netlify and Docker configs',
+  'content-type-options': 'X-Content-Type-Options: nosniff in the exported Netlify and Docker configs',
+  'referrer-policy': 'A Referrer-Policy in the exported Netlify and Docker configs',
+  'permissions-policy': 'A Permissions-Policy in the exported Netlify and Docker configs',
+  'cookie-flags': 'No cookies at all',
+  'mixed-content': 'upgrade-insecure-requests in the exported site, so any http:// image loads over HTTPS',
+  'insecure-forms': 'A contact form that sends by email instead of posting over HTTP',
+  'broken-links': 'In-page navigation, plus only the social links you keep in step 3',
+  'broken-images': 'Only the images you add in step 3',
+  'redirect-chains': 'In-page navigation with no redirects'
+};
+
+// Fixes that only work when there's an email address for the contact form
+const NEEDS_EMAIL = ['cta-buttons', 'forms'];
+
+const UNFIXABLE = {
+  https: 'Publish the page on an HTTPS host - Netlify, Vercel and GitHub Pages include it for free',
+  'http-redirect': 'Turn on your host\'s "force HTTPS" setting - Netlify and GitHub Pages redirect HTTP for you'
+};
+
+function flaggedFixes(report, brand) {
+  const fixes = [];
+  const unresolved = [];
+  report.findings
+    .filter(f => (f.status === 'fail' || f.status === 'warn') && (f.rule.scope || 'page') === 'page')
+    .forEach(f => {
+      if (REBUILD_FIXES[f.id] && !(NEEDS_EMAIL.includes(f.id) && !brand.email)) {
+        fixes.push({ id: f.id, title: f.title, fix: REBUILD_FIXES[f.id] });
+      } else {
+        const hint = NEEDS_EMAIL.includes(f.id)
+          ? 'Add a contact email so the page can include a contact form'
+          : UNFIXABLE[f.id] || 'Not something a landing page can fix on its own';
+        unresolved.push({ id: f.id, title: f.title, fix: hint });
+      }
+    });
+  return { fixes, unresolved };
+}
+
+// Step 3 form values for a page report. Sections use the editor's shape.
+function buildPrefill(analysis, report) {
+  const brand = analysis.brand;
+  if (!brand) return null;
+
+  const sections = [];
+  if (brand.valueProps.length) {
+    sections.push({ type: 'features', title: '', items: brand.valueProps.map(title => ({ title })) });
+  }
+  sections.push({ type: 'cta', title: '' }, { type: 'contact', title: '' });
+
+  return {
+    source: analysis.url,
+    name: brand.name,
+    description: brand.tagline || (analysis.h1Text !== 'No H1 found' ? analysis.h1Text : ''),
+    contact: brand.email || brand.phone,
+    email: brand.email,
+    phone: brand.phone,
+    logo: brand.logo,
+    favicon: brand.favicon,
+    social: brand.social,
+    colors: brand.colors,
+    sections,
+    ...flaggedFixes(report, brand)
+  };
+}
+
+module.exports = {
+  REBUILD_FIXES,
+  buildPrefill
+};
@@ -0,0 +1,134 @@
+const cheerio = require('cheerio');
+const { analyzeDocument } = require('./analyze');
+const { crawlWebsite } = require('./crawl');
+const { uploadError, readZipSite } = require('./upload');
+const { evaluateRules, evaluateSite, reportPayload } = require('./rules');
+const { generateRoast } = require('./roast');
+const { generateFeedback, generateFeedbackPair } = require('./llm');
+const { resolveFeedbackOptions } = require('./catalogs');
+const { buildPrefill } = require('./rebuild');
+const { buildPatch } = require('./patch');
+
+// Score a single page and build its API payload. The narratives come from
+// the configured LLM provider, or the template without one. With the page's
+// `html`, the payload also carries its auto-fix patch.
+async function pagePayload(analysis, html) {
+  const report = evaluateRules(analysis);
+  return {
+    success: true,
+    analysis,
+    ...reportPayload(report),
+    ...await generateFeedbackPair(analysis, report),
+    prefill: buildPrefill(analysis, report),
+    patch: typeof html === 'string' ? buildPatch(html, analysis, report) : null
+  };
+}
+
+// Crawl a site and build the site-wide plus per-page payload. `options` are
+// crawlWebsite()'s; its onStage() also hears 'scoring'.
+async function analyzeSite(url, options = {}) {
+  const crawl = await crawlWebsite(url, options);
+  if (!crawl.success) {
+    const error = new Error(crawl.error);
+    error.status = 400;
+    error.code = crawl.code;
+    throw error;
+  }
+  if (options.onStage) options.onStage('scoring');
+  return sitePayload(crawl);
+}
+
+// The site-wide narratives go to the LLM provider; per-page ones always
+// come from the template, which keeps a crawl to two model calls
+async function sitePayload(crawl) {
+  const report = evaluateSite(crawl);
+  const home = crawl.pages[0].analysis;
+  return {
+    success: true,
+    mode: crawl.site.source === 'upload' ? 'archive' : 'crawl',
+    analysis: home,
+    ...reportPayload(report),
+    ...await generateFeedbackPair(home, report),
+    prefill: buildPrefill(home, report.pageReports[0]),
+    site: {
+      robotsTxt: crawl.site.robotsTxt,
+      sitemapUrlCount: crawl.site.sitemapUrlCount,
+      depth: crawl.site.depth,
+      maxPages: crawl.site.maxPages,
+      skipped: crawl.site.skipped,
+      pages: crawl.pages.map((page, i) => ({
+        url: page.url,
+        depth: page.depth,
+        analysis: page.analysis,
+        ...reportPayload(report.pageReports[i]),
+        roastFeedback: generateRoast(page.analysis, 'roast', report.pageReports[i]),
+        professionalFeedback: generateRoast(page.analysis, 'professional', report.pageReports[i])
+      }))
+    }
+  };
+}
+
+// Analyze an uploaded .html file or a zipped static site
+async function analyzeUpload(file) {
+  if (/\.zip$/i.test(file.originalname) || /zip/.test(file.mimetype)) {
+    return sitePayload(readZipSite(file.buffer, file.originalname));
+  }
+  if (/\.html?$/i.test(file.originalname) || file.mimetype === 'text/html') {
+    const html = file.buffer.toString('utf8');
+    return pagePayload(analyzeDocument(cheerio.load(html), file.originalname, 'upload'), html);
+  }
+  throw uploadError('Upload an .html file or a .zip of a static site');
+}
+
+// The rules report behind a saved report, rebuilt from its analyses so its
+// feedback can be written again in another tone or language
+function savedReport(record) {
+  if (!record.site) return { analysis: record.analysis, report: evaluateRules(record.analysis) };
+  const pages = record.site.pages.map(({ url, depth, analysis }) => ({ url, depth, analysis }));
+  const crawl = {
+    pages,
+    site: {
+      url: record.analysis.url,
+      ...(record.mode === 'archive' ? { source: 'upload' } : {}),
+      robotsTxt: record.site.robotsTxt,
+      sitemapUrlCount: record.site.sitemapUrlCount,
+      depth: record.site.depth,
+      maxPages: record.site.maxPages,
+      pages: pages.map(p => ({ url: p.url, title: p.analysis.title, metaDescription: p.analysis.metaDescription })),
+      skipped: record.site.skipped || []
+    }
+  };
+  return { analysis: pages[0].analysis, report: evaluateSite(crawl) };
+}
+
+// Feedback for a saved report in any tone pack and locale. `page` picks one
+// page of a crawl by index; like the saved per-page feedback, it always
+// comes from the template.
+async function reportFeedback(record, { tone, locale, page } = {}) {
+  const options = resolveFeedbackOptions({ tone, locale });
+  const { analysis, report } = savedReport(record);
+  const result = { tone: options.tone.id, locale: options.locale.id };
+  if (page === undefined || page === '') {
+    const feedback = await generateFeedback(analysis, result.tone, report, result.locale);
+    return { ...result, feedback: feedback.text, provider: feedback.provider };
+  }
+
+  const index = Number(page);
+  if (!report.pageReports || !Number.isInteger(index) || !report.pageReports[index]) {
+    const error = new Error('page must be the index of a crawled page');
+    error.status = 400;
+    error.code = 'INVALID_FEEDBACK';
+    error.fields = { page: error.message };
+    throw error;
+  }
+  const feedback = generateRoast(record.site.pages[index].analysis, result.tone, report.pageReports[index], result.locale);
+  return { ...result, page: index, feedback, provider: 'template' };
+}
+
+module.exports = {
+  pagePayload,
+  analyzeSite,
+  sitePayload,
+  analyzeUpload,
+  reportFeedback
+};
@@ -0,0 +1,170 @@
+const { CATEGORIES, SEVERITY_ORDER, resolveMessage, evaluateRules } = require('./rules');
+const {
+  DEFAULT_TONE,
+  DEFAULT_LOCALE,
+  resolveFeedbackOptions,
+  toneText,
+  fill,
+  pickCase,
+  renderList,
+  joinAnd
+} = require('./catalogs');
+
+const STATUS_ICONS = { pass: '✅', warn: '⚠️', fail: '❌', na: '➖' };
+
+// Evidence is quoted into translated messages; keep it to a line
+const EVIDENCE_LENGTH = 160;
+
+// Most important problems first: severity, then weight
+function topIssues(findings, limit = 3) {
+  return findings
+    .filter(f => (f.status === 'fail' || f.status === 'warn') && f.rule.fix)
+    .sort((a, b) => (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) || (b.weight - a.weight))
+    .slice(0, limit);
+}
+
+// The English rule messages are written for the roast and professional
+// voices; every other voice and language goes through the locale catalog
+function usesRuleMessages(voice, locale) {
+  return Boolean(locale.builtInMessages) && voice !== 'plain';
+}
+
+function ruleText(f, locale) {
+  return (locale.rules || {})[f.id] || {};
+}
+
+function localTitle(f, locale) {
+  return ruleText(f, locale).title || f.title;
+}
+
+function evidenceText(f) {
+  if (!f.evidence) return '';
+  const text = String(f.evidence);
+  return text.length > EVIDENCE_LENGTH ? text.slice(0, EVIDENCE_LENGTH) + '…' : text;
+}
+
+// The top three fixes in the tone's voice, topped up with the catalog's
+// general advice
+function quickFixes(report, voice = 'roast', locale = resolveFeedbackOptions().locale) {
+  const fixes = topIssues(report.findings).map(f => {
+    if (usesRuleMessages(voice, locale)) {
+      return { title: resolveMessage(f.rule.fix.title, f), text: resolveMessage(f.rule.fix[voice], f) };
+    }
+    const text = ruleText(f, locale);
+    const title = text.fixTitle || (locale.builtInMessages ? resolveMessage(f.rule.fix.title, f) : fill(locale.fix.title, { title: localTitle(f, locale) }));
+    const advice = text.fix || (locale.builtInMessages ? resolveMessage(f.rule.fix.professional, f) : fill(locale.fix.text, { evidence: evidenceText(f) }));
+    return { title, text: fill(locale.fix[voice], { title, text: advice }) };
+  });
+  return fixes.concat(locale.fallbackFixes.slice(0, 3 - fixes.length).map(fix => ({ title: fix.title, text: fix[voice] })));
+}
+
+// Rules that need a live URL get a stock message when analyzing raw HTML
+function statusMessage(f, voice, locale) {
+  if (locale && !usesRuleMessages(voice, locale)) return catalogMessage(f, voice, locale);
+  const message = (f.rule[voice] || {})[f.status];
+  if (message === undefined && f.offline) return fill(resolveFeedbackOptions().locale.offline[voice], { title: f.title });
+  return resolveMessage(message, f);
+}
+
+// A finding in a translated catalog: the rule's own line for that status
+// when the locale has one, otherwise the generic finding line. Findings the
+// professional messages leave out stay out.
+function catalogMessage(f, voice, locale) {
+  if (!statusMessage(f, 'professional')) return null;
+  const title = localTitle(f, locale);
+  if (f.offline) return fill(locale.offline[voice], { title });
+  const own = ruleText(f, locale)[f.status];
+  const values = { icon: STATUS_ICONS[f.status], title, status: locale.status[f.status], evidence: evidenceText(f) };
+  return fill(own || locale.finding[voice], values);
+}
+
+function findingMessages(findings, voice, locale) {
+  return findings
+    .map(f => statusMessage(f, voice, locale))
+    .filter(Boolean);
+}
+
+function strengths(report, locale) {
+  return report.findings
+    .filter(f => f.status === 'pass' && f.rule.strength)
+    .map(f => (locale && !locale.builtInMessages
+      ? ruleText(f, locale).strength || localTitle(f, locale)
+      : resolveMessage(f.rule.strength, f)));
+}
+
+function categoryText(category, locale) {
+  return { ...CATEGORIES[category], ...(locale.categories || {})[category] };
+}
+
+// The items a tone's lists draw from, by name; a list takes the items named
+// by its `from`, or by its own name, and `results` narrows findings to
+// those statuses
+function listItems(report, voice, locale) {
+  const messages = report.findings.map(f => ({
+    title: localTitle(f, locale),
+    icon: STATUS_ICONS[f.status],
+    status: locale.status[f.status],
+    evidence: evidenceText(f),
+    message: statusMessage(f, voice, locale),
+    result: f.status,
+    category: f.category
+  })).filter(item => item.message);
+  return {
+    findings: messages,
+    categories: Object.keys(CATEGORIES)
+      .map(category => ({ ...categoryText(category, locale), category, findings: messages.filter(m => m.category === category) }))
+      .filter(item => item.findings.length),
+    strengths: strengths(report, locale).map(text => ({ text })),
+    pages: report.pages && report.pages.length > 1
+      ? report.pages.map(p => ({ url: p.url, score: p.score, grade: p.grade, hot: p.score < 50 }))
+      : [],
+    fixes: quickFixes(report, voice, locale)
+  };
+}
+
+// Build the feedback narrative from the fired rules, in a tone pack's voice
+// and a locale's language
+function generateRoast(analysis, tone = DEFAULT_TONE, report = evaluateRules(analysis), locale = DEFAULT_LOCALE) {
+  const options = resolveFeedbackOptions({ tone, locale });
+  const catalog = options.locale;
+  const voice = options.tone.voice;
+  const text = toneText(options.tone, catalog);
+  const { score, grade } = report;
+
+  const values = {
+    score,
+    grade,
+    domain: analysis.url.replace(/^https?:\/\//, '').split('/')[0],
+    title: analysis.title,
+    noTitle: !analysis.title || analysis.title === 'No title found',
+    accessibility: report.subscores.accessibility,
+    covered: joinAnd(Object.keys(report.subscores).map(c => categoryText(c, catalog).noun), catalog)
+  };
+
+  const items = listItems(report, voice, catalog);
+  const categoryFindings = text.lists.categoryFindings || { item: '- {title}: {message}' };
+  items.categories.forEach(item => {
+    item.findings = renderList(categoryFindings, item.findings, values, catalog);
+  });
+  Object.entries(text.lists).forEach(([name, spec]) => {
+    const source = items[spec.from || name];
+    if (!source) return;
+    const chosen = spec.results ? source.filter(item => spec.results.includes(item.result)) : source;
+    values[name] = renderList(spec, chosen, values, catalog);
+  });
+  Object.entries(text.bands || {}).forEach(([name, band]) => {
+    values[name] = pickCase(band, values);
+  });
+
+  return fill(text.template.join('\n'), values);
+}
+
+module.exports = {
+  STATUS_ICONS,
+  topIssues,
+  quickFixes,
+  statusMessage,
+  findingMessages,
+  strengths,
+  generateRoast
+};
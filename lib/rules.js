@@ -0,0 +1,1775 @@
+const path = require('path');
+const { wcagReference } = require('./accessibility');
+const { TITLE_LENGTH, DESCRIPTION_LENGTH } = require('./seo');
+const { PERFORMANCE_BUDGETS, formatBytes } = require('./performance');
+const { RECOMMENDED_HEADERS, HSTS_MIN_AGE } = require('./security');
+
+// Rule registry
+// Every check that feeds the score lives here. A rule's check() returns a
+// status ('pass', 'warn', 'fail' or 'na') plus optional evidence and the
+// offending `elements` ({ selector, detail }) and a `remedy` - the exact line
+// to add, such as a response header - and its roast/professional entries
+// hold one message per status. Messages can be plain strings or functions
+// of (analysis, finding). Rules may cite a WCAG success criterion in `wcag`.
+const CATEGORIES = {
+  security: { label: 'Security & SSL', icon: '🔒', noun: 'security' },
+  mobile: { label: 'Mobile Responsiveness', icon: '📱', noun: 'mobile compatibility' },
+  seo: { label: 'SEO Foundations', icon: '🔍', noun: 'SEO' },
+  accessibility: { label: 'Accessibility', icon: '♿', noun: 'accessibility' },
+  engagement: { label: 'Engagement Elements', icon: '📈', noun: 'engagement' },
+  performance: { label: 'Performance', icon: '⚡', noun: 'performance' }
+};
+
+const SEVERITY_ORDER = { critical: 0, major: 1, minor: 2, info: 3 };
+
+const RULES = [];
+
+function registerRule(rule) {
+  if (!rule || !rule.id || typeof rule.check !== 'function') {
+    throw new Error('A rule needs at least an id and a check() function');
+  }
+  if (RULES.some(r => r.id === rule.id)) {
+    throw new Error(`Rule "${rule.id}" is already registered`);
+  }
+  if (!CATEGORIES[rule.category]) {
+    throw new Error(`Rule "${rule.id}" has unknown category "${rule.category}"`);
+  }
+  RULES.push({ scope: 'page', weight: 5, severity: 'minor', enabled: true, roast: {}, professional: {}, ...rule });
+}
+
+registerRule({
+  id: 'https',
+  category: 'security',
+  title: 'HTTPS',
+  weight: 15,
+  severity: 'critical',
+  requiresUrl: true,
+  check: a => ({ status: a.hasHttps ? 'pass' : 'fail', evidence: a.url }),
+  roast: {
+    fail: () => `🚨 **NO HTTPS?!** It's ${new Date().getFullYear()}, not 2005! Chrome is literally warning visitors that your site is "Not Secure." Fix this immediately - Let's Encrypt is FREE.`,
+    pass: () => `✅ HTTPS enabled - congrats on doing the bare minimum for security in ${new Date().getFullYear()}.`
+  },
+  professional: {
+    fail: '⚠️ **HTTPS Missing** - Critical issue. Sites without HTTPS are flagged as "Not Secure" by browsers and penalized by search engines. Implement SSL immediately using Let\'s Encrypt (free) or your hosting provider.',
+    pass: '✅ **HTTPS Enabled** - SSL certificate is active, providing encrypted connections and building user trust.'
+  },
+  strength: 'Secure HTTPS connection established',
+  fix: {
+    title: 'Implement HTTPS (Critical)',
+    roast: '**Get HTTPS immediately** - It\'s free with Let\'s Encrypt and takes 10 minutes.',
+    professional: 'SSL is mandatory for modern websites. Use Let\'s Encrypt for a free certificate or check with your hosting provider for one-click SSL setup.'
+  }
+});
+
+registerRule({
+  id: 'viewport',
+  category: 'mobile',
+  title: 'Viewport',
+  weight: 12,
+  severity: 'critical',
+  check: a => ({ status: a.hasViewport ? 'pass' : 'fail' }),
+  roast: {
+    fail: '📱 **No viewport meta tag** - Your mobile users are currently pinching and zooming like it\'s 2010. Half your traffic is mobile. HALF.',
+    pass: '✅ Mobile viewport configured - at least it won\'t look like a postage stamp on phones.'
+  },
+  professional: {
+    fail: '⚠️ **Viewport Missing** - Mobile users (50%+ of traffic) will have a poor experience. Add: `<meta name="viewport" content="width=device-width, initial-scale=1">`',
+    pass: '✅ **Viewport Configured** - The site includes proper viewport meta tags for mobile display.'
+  },
+  strength: 'Mobile-responsive viewport configuration',
+  fix: {
+    title: 'Add Viewport Meta Tag',
+    roast: '**Add viewport meta tag** - One line of code for mobile users.',
+    professional: 'Essential for mobile users. Add the viewport meta tag to your <head> section.'
+  }
+});
+
+registerRule({
+  id: 'title',
+  category: 'seo',
+  title: 'Title Tag',
+  weight: 8,
+  severity: 'major',
+  check: a => a.title === 'No title found'
+    ? { status: 'fail' }
+    : { status: 'pass', evidence: a.title },
+  roast: {
+    fail: '📛 **No page title** - Your browser tab just says the URL. Search results will make something up for you. They won\'t be kind.',
+    pass: '✅ Page title present - search engines at least know what to call you.'
+  },
+  professional: {
+    fail: '⚠️ Missing - Critical for search visibility',
+    pass: a => `✅ Present ("${a.title.substring(0, 50)}${a.title.length > 50 ? '...' : ''}")`
+  },
+  strength: 'Descriptive page title',
+  fix: {
+    title: 'Add a Page Title',
+    roast: '**Write a page title** - Name, what you do, under 60 characters.',
+    professional: 'Add a unique <title> of 50-60 characters that names the business and its core offering. It is the headline of every search result.'
+  }
+});
+
+registerRule({
+  id: 'meta-description',
+  category: 'seo',
+  title: 'Meta Description',
+  weight: 10,
+  severity: 'major',
+  check: a => a.metaDescription === 'No meta description'
+    ? { status: 'fail' }
+    : { status: 'pass', evidence: a.metaDescription },
+  roast: {
+    fail: '🔍 **No meta description** - Google has literally no idea what you do. You\'re invisible in search results. Congrats?',
+    pass: '✅ Meta description exists - Google at least knows you\'re alive.'
+  },
+  professional: {
+    fail: '⚠️ Missing - Impacts click-through rates from search results',
+    pass: '✅ Present'
+  },
+  strength: 'Meta description in place for search results',
+  fix: {
+    title: 'Add Meta Description',
+    roast: '**Write a meta description** - 150-160 characters describing what you do. Critical for search.',
+    professional: 'Write a compelling 150-160 character description of your page. This appears in search results and impacts click-through rates.'
+  }
+});
+
+registerRule({
+  id: 'single-h1',
+  category: 'seo',
+  title: 'H1 Structure',
+  weight: 8,
+  severity: 'major',
+  check: a => ({
+    status: a.h1Count === 1 ? 'pass' : a.h1Count > 1 ? 'warn' : 'fail',
+    evidence: `${a.h1Count} H1 tag(s)`
+  }),
+  roast: {
+    fail: '📰 **No H1 tag** - The most important heading on your page... doesn\'t exist. Google is confused. I\'m confused.',
+    warn: a => `⚠️ **${a.h1Count} H1 tags** - There should be ONE. You have ${a.h1Count}. It's not a competition.`,
+    pass: '✅ Single H1 tag - proper heading hierarchy. Gold star.'
+  },
+  professional: {
+    fail: '⚠️ No H1 found',
+    warn: a => `⚠️ ${a.h1Count} H1 tags (should be 1)`,
+    pass: '✅ Single H1 (correct)'
+  },
+  strength: 'Proper heading hierarchy',
+  fix: {
+    title: 'Fix Heading Structure',
+    roast: '**Fix your heading structure** - One H1, then H2s, H3s in order.',
+    professional: 'Restructure to use exactly one H1 tag per page, with H2s and H3s for subsections.'
+  }
+});
+
+registerRule({
+  id: 'image-alt',
+  category: 'accessibility',
+  title: 'Images with Alt Text',
+  weight: 8,
+  severity: 'major',
+  wcag: '1.1.1',
+  check: a => {
+    if (a.imageCount === 0) return { status: 'na' };
+    return {
+      status: a.imagesWithoutAlt === 0 ? 'pass' : 'fail',
+      evidence: `${a.imagesWithoutAlt} of ${a.imageCount} images missing alt text`,
+      elements: a.accessibility && a.accessibility.imagesWithoutAlt.elements
+    };
+  },
+  roast: {
+    fail: a => `🖼️ **${a.imagesWithoutAlt} images without alt text** - Screen readers hate you. Google hates you. Accessibility lawsuits love you.`,
+    pass: a => `✅ All ${a.imageCount} images have alt text - someone actually cares about accessibility!`,
+    na: '🤷 No images found - either very minimalist or very broken.'
+  },
+  professional: {
+    fail: a => `⚠️ ${a.imagesWithoutAlt} of ${a.imageCount} images missing alt text`,
+    pass: a => `✅ All ${a.imageCount} images have alt text`,
+    na: '➖ No images detected'
+  },
+  strength: 'Complete image accessibility',
+  fix: {
+    title: 'Add Missing Alt Text',
+    roast: a => `**Add alt text to all ${a.imagesWithoutAlt} images** - Takes 20 minutes, helps SEO and accessibility.`,
+    professional: a => `Add descriptive alt text to ${a.imagesWithoutAlt} images. This improves SEO and makes your site accessible to screen reader users.`
+  }
+});
+
+registerRule({
+  id: 'favicon',
+  category: 'accessibility',
+  title: 'Favicon',
+  weight: 5,
+  severity: 'minor',
+  check: a => ({ status: a.hasFavicon ? 'pass' : 'fail' }),
+  roast: {
+    fail: '🪪 **No favicon** - Your browser tab has the default blank page icon. Very "under construction."',
+    pass: '✅ Favicon present - the tiny icon that makes you look like a real business.'
+  },
+  professional: {
+    fail: '⚠️ Missing',
+    pass: '✅ Present'
+  },
+  strength: 'Branded favicon',
+  fix: {
+    title: 'Add Favicon',
+    roast: '**Add a favicon** - That tiny icon in the browser tab. Looks unprofessional without it.',
+    professional: 'A favicon improves brand recognition and makes your site look professional in browser tabs and bookmarks.'
+  }
+});
+
+// Accessibility rules read analysis.accessibility (lib/accessibility.js).
+// Each carries its WCAG success criterion, and failing checks list the
+// offending elements' selectors. Analyses saved before the audit existed
+// have no accessibility data, so these rules report "not applicable".
+function elementCheck(list, noun) {
+  if (!list) return { status: 'na' };
+  return {
+    status: list.count ? 'fail' : 'pass',
+    evidence: list.count ? `${list.count} ${noun}${list.count === 1 ? '' : 's'}: ${list.elements.slice(0, 3).map(e => e.selector).join(', ')}${list.count > 3 ? ', …' : ''}` : null,
+    elements: list.elements
+  };
+}
+
+const a11y = (a, key) => a.accessibility && a.accessibility[key];
+
+registerRule({
+  id: 'html-lang',
+  category: 'accessibility',
+  title: 'Page Language',
+  weight: 5,
+  severity: 'major',
+  wcag: '3.1.1',
+  check: a => {
+    if (!a.accessibility) return { status: 'na' };
+    const { lang, langValid } = a.accessibility;
+    if (!lang) return { status: 'fail', evidence: '<html> has no lang attribute', elements: [{ selector: 'html', detail: null }] };
+    return langValid
+      ? { status: 'pass', evidence: `lang="${lang}"` }
+      : { status: 'warn', evidence: `lang="${lang}" is not a valid language tag`, elements: [{ selector: 'html', detail: `lang="${lang}"` }] };
+  },
+  roast: {
+    fail: '🗣️ **No `lang` attribute** - Screen readers have to guess what language you speak. They\'ll read your English with a French accent and it\'ll serve you right.',
+    warn: a => `🗣️ **lang="${a.accessibility.lang}"** - That's not a language. Screen readers are now pronouncing your page in Klingon.`
+  },
+  professional: {
+    fail: '⚠️ Missing `lang` on <html> - screen readers can\'t pick the right pronunciation',
+    warn: a => `⚠️ "${a.accessibility.lang}" is not a valid language tag`,
+    pass: a => `✅ Declared (${a.accessibility.lang})`
+  },
+  strength: 'Page language declared for assistive technology',
+  fix: {
+    title: 'Declare the Page Language',
+    roast: '**Add `lang="en"` to your <html> tag** - Seven characters. Screen readers will thank you.',
+    professional: 'Add a valid lang attribute to the <html> element (for example lang="en") so screen readers, translation tools and search engines use the right language.'
+  }
+});
+
+registerRule({
+  id: 'heading-order',
+  category: 'accessibility',
+  title: 'Heading Order',
+  weight: 3,
+  severity: 'minor',
+  wcag: '1.3.1',
+  check: a => elementCheck(a11y(a, 'headingSkips'), 'skipped heading level'),
+  roast: {
+    fail: (a, f) => `🪜 **Headings skip levels** - ${f.evidence}. Screen reader users navigate by headings and you just removed a few rungs from the ladder.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Heading levels are sequential'
+  },
+  fix: {
+    title: 'Fix Heading Levels',
+    roast: '**Stop skipping heading levels** - H2 goes after H1, not H4. Style with CSS, not heading numbers.',
+    professional: 'Nest headings without skipping levels (H1, then H2, then H3). Choose the level for the document outline and adjust the look with CSS.'
+  }
+});
+
+registerRule({
+  id: 'form-labels',
+  category: 'accessibility',
+  title: 'Form Labels',
+  weight: 5,
+  severity: 'major',
+  wcag: '1.3.1',
+  check: a => {
+    const fields = a11y(a, 'unlabeledFields');
+    return fields && fields.total === 0 ? { status: 'na' } : elementCheck(fields, 'unlabeled field');
+  },
+  roast: {
+    fail: (a, f) => `🏷️ **Form fields with no labels** - ${f.evidence}. A placeholder is not a label; it vanishes the moment anyone starts typing.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: a => `✅ All ${a.accessibility.unlabeledFields.total} form field(s) labeled`,
+    na: '➖ No form fields'
+  },
+  strength: 'Labeled form fields',
+  fix: {
+    title: 'Label Every Form Field',
+    roast: '**Give every input a real <label>** - Placeholders don\'t count.',
+    professional: 'Associate a visible <label for="..."> with every input, select and textarea, or use aria-label where a visible label is impossible.'
+  }
+});
+
+registerRule({
+  id: 'button-name',
+  category: 'accessibility',
+  title: 'Button Names',
+  weight: 4,
+  severity: 'major',
+  wcag: '4.1.2',
+  check: a => {
+    const buttons = a11y(a, 'namelessButtons');
+    return buttons && buttons.total === 0 ? { status: 'na' } : elementCheck(buttons, 'button');
+  },
+  roast: {
+    fail: (a, f) => `🔘 **Buttons with no name** - ${f.evidence}. Screen readers announce "button". Which one? What does it do? Mystery!`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ No accessible name on ${f.evidence}`,
+    pass: '✅ Every button has an accessible name',
+    na: '➖ No buttons'
+  },
+  fix: {
+    title: 'Name Your Buttons',
+    roast: '**Put words on your icon buttons** - An aria-label takes ten seconds.',
+    professional: 'Give every button visible text or an aria-label describing its action, especially icon-only buttons.'
+  }
+});
+
+registerRule({
+  id: 'link-name',
+  category: 'accessibility',
+  title: 'Link Names',
+  weight: 4,
+  severity: 'major',
+  wcag: '2.4.4',
+  check: a => {
+    const links = a11y(a, 'namelessLinks');
+    return links && links.total === 0 ? { status: 'na' } : elementCheck(links, 'empty link');
+  },
+  roast: {
+    fail: (a, f) => `🔗 **Links that say nothing** - ${f.evidence}. Icon links without labels are just invisible doors.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Every link has an accessible name',
+    na: '➖ No links'
+  },
+  fix: {
+    title: 'Name Your Links',
+    roast: '**Label your icon links** - "Twitter" is a fine name. Nothing is not.',
+    professional: 'Give every link text that describes its destination; icon-only links need an aria-label or an image with alt text.'
+  }
+});
+
+registerRule({
+  id: 'duplicate-ids',
+  category: 'accessibility',
+  title: 'Unique IDs',
+  weight: 2,
+  severity: 'minor',
+  wcag: '4.1.1',
+  check: a => elementCheck(a11y(a, 'duplicateIds'), 'duplicated id'),
+  roast: {
+    fail: (a, f) => `🪪 **Duplicate ids** - ${f.evidence}. An id is supposed to be unique. It's right there in the name. Well, in the concept.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - labels and ARIA references may point at the wrong element`,
+    pass: '✅ No duplicates'
+  },
+  fix: {
+    title: 'De-duplicate IDs',
+    roast: '**Make your ids unique** - Copy-pasted components need their own ids.',
+    professional: 'Give every id a unique value. Labels, skip links and ARIA attributes that reference a duplicated id only reach the first match.'
+  }
+});
+
+registerRule({
+  id: 'positive-tabindex',
+  category: 'accessibility',
+  title: 'Tab Order',
+  weight: 2,
+  severity: 'minor',
+  wcag: '2.4.3',
+  check: a => elementCheck(a11y(a, 'positiveTabindex'), 'element'),
+  roast: {
+    fail: (a, f) => `⌨️ **Positive tabindex** - ${f.evidence} with a tabindex above 0. Keyboard users now bounce around your page like a pinball.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ Positive tabindex on ${f.evidence}`,
+    pass: '✅ Tab order follows the document'
+  },
+  fix: {
+    title: 'Remove Positive Tabindex',
+    roast: '**Delete tabindex values above 0** - Fix the source order instead.',
+    professional: 'Replace positive tabindex values with 0 (or remove them) and order the markup to match the visual order.'
+  }
+});
+
+registerRule({
+  id: 'autoplay-media',
+  category: 'accessibility',
+  title: 'Autoplaying Media',
+  weight: 3,
+  severity: 'minor',
+  wcag: '1.4.2',
+  check: a => elementCheck(a11y(a, 'autoplayMedia'), 'autoplaying player'),
+  roast: {
+    fail: (a, f) => `🔊 **Autoplaying sound** - ${f.evidence}. Nothing says "welcome" like blasting audio over someone's screen reader.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - audio that starts by itself drowns out screen readers`,
+    pass: '✅ Nothing plays sound on load'
+  },
+  fix: {
+    title: 'Stop Autoplaying Audio',
+    roast: '**Kill the autoplay** - Or at least mute it.',
+    professional: 'Remove autoplay from media with sound, or start it muted with visible controls to pause and unmute.'
+  }
+});
+
+registerRule({
+  id: 'color-contrast',
+  category: 'accessibility',
+  title: 'Color Contrast',
+  weight: 6,
+  severity: 'major',
+  wcag: '1.4.3',
+  check: a => {
+    const contrast = a11y(a, 'contrast');
+    if (!contrast || !contrast.checked) return { status: 'na' };
+    return elementCheck(contrast, 'low-contrast element');
+  },
+  roast: {
+    fail: (a, f) => `👓 **Low contrast text** - ${f.evidence}. Light grey on white is a vibe, not a readable design.`,
+    pass: '✅ Text contrast holds up - people can actually read your words.'
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} below the WCAG AA ratio (4.5:1, or 3:1 for large text)`,
+    pass: a => `✅ ${a.accessibility.contrast.checked} text element(s) meet WCAG AA`,
+    na: '➖ No text colors could be computed'
+  },
+  strength: 'Readable text contrast',
+  fix: {
+    title: 'Raise Text Contrast',
+    roast: '**Darken that grey text** - 4.5:1 contrast. Your readers\' eyes will thank you.',
+    professional: 'Adjust the text or background colors of the listed elements to reach a contrast ratio of at least 4.5:1 (3:1 for text 24px and up, or 18.66px bold).'
+  }
+});
+
+// SEO metadata rules read analysis.seo (lib/seo.js). robots.txt and the
+// sitemap are only known for fetched sites and zip uploads, and analyses
+// saved before the audit existed have no seo data; both report "not
+// applicable".
+const seo = (a, key) => a.seo && a.seo[key];
+
+function issueCheck(list, noun) {
+  return {
+    status: list.count ? 'fail' : 'pass',
+    evidence: list.count ? `${list.count} ${noun}${list.count === 1 ? '' : 's'}: ${list.elements.slice(0, 2).map(e => e.detail).join('; ')}${list.count > 2 ? '; …' : ''}` : null,
+    elements: list.elements
+  };
+}
+
+function lengthCheck(text, { min, max }) {
+  const length = text.trim().length;
+  return { status: length < min || length > max ? 'warn' : 'pass', evidence: `${length} characters` };
+}
+
+registerRule({
+  id: 'title-length',
+  category: 'seo',
+  title: 'Title Length',
+  weight: 3,
+  severity: 'minor',
+  check: a => a.title === 'No title found' ? { status: 'na' } : lengthCheck(a.title, TITLE_LENGTH),
+  roast: {
+    warn: a => a.title.trim().length > TITLE_LENGTH.max
+      ? `✂️ **${a.title.trim().length}-character title** - Google stops around ${TITLE_LENGTH.max}, so searchers get "${a.title.trim().slice(0, TITLE_LENGTH.max - 3)}..." and have to guess the rest.`
+      : `🩳 **${a.title.trim().length}-character title** - That's a label, not a headline. You get ${TITLE_LENGTH.max} characters of free advertising; use them.`
+  },
+  professional: {
+    warn: (a, f) => `⚠️ ${f.evidence} - aim for ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} so search results show it in full`,
+    pass: (a, f) => `✅ ${f.evidence}`,
+    na: '➖ No title to measure'
+  },
+  fix: {
+    title: 'Resize the Page Title',
+    roast: `**Keep the title between ${TITLE_LENGTH.min} and ${TITLE_LENGTH.max} characters** - Business name plus what you do. Done.`,
+    professional: `Rewrite the title to ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} characters, leading with the core offering and ending with the brand name, so it isn't truncated in search results.`
+  }
+});
+
+registerRule({
+  id: 'description-length',
+  category: 'seo',
+  title: 'Meta Description Length',
+  weight: 3,
+  severity: 'minor',
+  check: a => a.metaDescription === 'No meta description' ? { status: 'na' } : lengthCheck(a.metaDescription, DESCRIPTION_LENGTH),
+  roast: {
+    warn: a => a.metaDescription.trim().length > DESCRIPTION_LENGTH.max
+      ? `📜 **${a.metaDescription.trim().length}-character meta description** - Search results cut it at about ${DESCRIPTION_LENGTH.max}. The punchline is in the part nobody sees.`
+      : `🤏 **${a.metaDescription.trim().length}-character meta description** - Google will probably replace it with whatever text it finds on the page. Give it something worth keeping.`
+  },
+  professional: {
+    warn: (a, f) => `⚠️ ${f.evidence} - aim for ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max}`,
+    pass: (a, f) => `✅ ${f.evidence}`,
+    na: '➖ No meta description to measure'
+  },
+  fix: {
+    title: 'Resize the Meta Description',
+    roast: `**Write ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max} characters of meta description** - One or two sentences that make people click.`,
+    professional: `Rewrite the meta description to ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max} characters: what the page offers, who it is for and a reason to click.`
+  }
+});
+
+registerRule({
+  id: 'canonical',
+  category: 'seo',
+  title: 'Canonical URL',
+  weight: 5,
+  severity: 'major',
+  check: a => {
+    const canonical = seo(a, 'canonical');
+    if (!canonical) return { status: 'na' };
+    if (!canonical.count) return { status: 'warn', evidence: 'No <link rel="canonical">' };
+    if (canonical.distinct > 1) {
+      return { status: 'fail', evidence: `${canonical.count} canonical tags naming ${canonical.distinct} different URLs`, elements: canonical.elements };
+    }
+    if (canonical.conflict) {
+      return { status: 'warn', evidence: `Points to ${canonical.conflict}, not the fetched URL ${a.seo.url}`, elements: canonical.elements };
+    }
+    if (canonical.relative) return { status: 'warn', evidence: `Relative URL "${canonical.value}"`, elements: canonical.elements };
+    return { status: 'pass', evidence: canonical.href };
+  },
+  roast: {
+    fail: (a, f) => `🧭 **Conflicting canonical tags** - ${f.evidence}. You asked Google which page is the real one and then gave two answers.`,
+    warn: (a, f) => a.seo.canonical.count
+      ? `🧭 **Canonical URL problem** - ${f.evidence}. Search engines may index the wrong address.`
+      : '🧭 **No canonical URL** - Every tracking parameter and trailing slash is a "new" page to Google. Duplicate content, courtesy of you.'
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: (a, f) => `✅ ${f.evidence}`,
+    na: '➖ Not checked'
+  },
+  fix: {
+    title: 'Set One Canonical URL',
+    roast: '**Add exactly one absolute canonical URL** - The address you want in search results. Just one.',
+    professional: 'Add a single <link rel="canonical"> with the absolute, preferred URL of the page, and make sure it matches the address the page is actually served from.'
+  }
+});
+
+registerRule({
+  id: 'robots-meta',
+  category: 'seo',
+  title: 'Indexable',
+  weight: 10,
+  severity: 'critical',
+  check: a => {
+    const robots = seo(a, 'robots');
+    if (!robots) return { status: 'na' };
+    const via = robots.sources.map(s => s === 'header' ? 'X-Robots-Tag header' : 'robots meta tag').join(' and ');
+    if (robots.noindex) return { status: 'fail', evidence: `"${robots.directives.join(', ')}" in the ${via}` };
+    if (robots.nofollow) return { status: 'warn', evidence: `"${robots.directives.join(', ')}" in the ${via}` };
+    return { status: 'pass', evidence: robots.directives.length ? `"${robots.directives.join(', ')}" in the ${via}` : null };
+  },
+  roast: {
+    fail: (a, f) => `🙈 **noindex** - ${f.evidence}. You literally asked Google not to list this page. Mission accomplished: nobody can find you.`,
+    warn: (a, f) => `🔗 **nofollow on the whole page** - ${f.evidence}. Every link here is a dead end for search engines.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - the page is excluded from search results`,
+    warn: (a, f) => `⚠️ ${f.evidence} - links on this page pass no ranking signals`,
+    pass: '✅ Search engines may index this page'
+  },
+  strength: 'Indexable by search engines',
+  fix: {
+    title: 'Remove noindex/nofollow',
+    roast: '**Delete the noindex** - Leftover staging settings are hiding you from search.',
+    professional: 'Remove noindex, nofollow and none from the robots meta tag and the X-Robots-Tag header on every page that should appear in search. Staging configuration left in production is the usual cause.'
+  }
+});
+
+registerRule({
+  id: 'open-graph',
+  category: 'seo',
+  title: 'Open Graph',
+  weight: 4,
+  severity: 'minor',
+  check: a => {
+    const og = seo(a, 'openGraph');
+    if (!og) return { status: 'na' };
+    if (og.missing.length === 4) return { status: 'fail', evidence: 'No Open Graph tags' };
+    if (og.missing.length) return { status: 'warn', evidence: `Missing ${og.missing.map(key => `og:${key}`).join(', ')}` };
+    if (og.imageRelative) return { status: 'warn', evidence: `og:image "${og.image}" must be an absolute URL` };
+    return { status: 'pass', evidence: og.title };
+  },
+  roast: {
+    fail: '📎 **No Open Graph tags** - Share your link anywhere and it shows up as a naked URL. Nobody clicks naked URLs.',
+    warn: (a, f) => `📎 **Half-finished Open Graph tags** - ${f.evidence}. Your link previews are going out with missing pieces.`
+  },
+  professional: {
+    fail: '⚠️ None - shared links render without a title, description or image',
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Complete (og:title, og:type, og:image, og:url)'
+  },
+  strength: 'Rich link previews when shared',
+  fix: {
+    title: 'Complete Open Graph Tags',
+    roast: '**Add og:title, og:type, og:image and og:url** - Four tags and your links stop looking like spam.',
+    professional: 'Add og:title, og:description, og:type, og:url and an absolute og:image (1200x630) so links shared on social networks and chat apps render a full preview card.'
+  }
+});
+
+registerRule({
+  id: 'twitter-card',
+  category: 'seo',
+  title: 'Twitter Card',
+  weight: 3,
+  severity: 'minor',
+  check: a => {
+    const twitter = seo(a, 'twitter');
+    if (!twitter) return { status: 'na' };
+    if (!twitter.card) {
+      return a.seo.openGraph.missing.length
+        ? { status: 'fail', evidence: 'No twitter:card tag or complete Open Graph fallback' }
+        : { status: 'warn', evidence: 'No twitter:card tag; X falls back to Open Graph' };
+    }
+    if (!twitter.validCard) return { status: 'fail', evidence: `Unknown card type "${twitter.card}"` };
+    if (twitter.card === 'summary_large_image' && !twitter.image && !a.seo.openGraph.image) {
+      return { status: 'warn', evidence: 'summary_large_image without twitter:image or og:image' };
+    }
+    return { status: 'pass', evidence: twitter.card };
+  },
+  roast: {
+    fail: (a, f) => `🐦 **${f.evidence}** - Posts linking to you get a bare URL and zero clicks.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: (a, f) => `✅ ${f.evidence}`
+  },
+  fix: {
+    title: 'Add a Twitter Card',
+    roast: '**Add <meta name="twitter:card" content="summary_large_image">** - One line, big preview.',
+    professional: 'Add twitter:card (summary_large_image for pages with a share image) so posts on X render a preview; title, description and image fall back to the Open Graph tags.'
+  }
+});
+
+registerRule({
+  id: 'hreflang',
+  category: 'seo',
+  title: 'hreflang Alternates',
+  weight: 3,
+  severity: 'minor',
+  check: a => {
+    const hreflang = seo(a, 'hreflang');
+    return hreflang && hreflang.links.length ? issueCheck(hreflang, 'hreflang issue') : { status: 'na' };
+  },
+  roast: {
+    fail: (a, f) => `🌐 **Broken hreflang** - ${f.evidence}. Your international visitors get whichever version Google guesses.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: a => `✅ ${a.seo.hreflang.links.length} language alternate(s) are consistent`,
+    na: '➖ No language alternates'
+  },
+  fix: {
+    title: 'Fix hreflang Alternates',
+    roast: '**Fix your hreflang tags** - Valid language codes, absolute URLs, and every page lists itself.',
+    professional: 'Use valid ISO language(-region) codes, absolute URLs and one URL per code, and have every language version list all alternates including itself (plus x-default).'
+  }
+});
+
+registerRule({
+  id: 'structured-data',
+  category: 'seo',
+  title: 'Structured Data',
+  weight: 4,
+  severity: 'minor',
+  check: a => {
+    const data = seo(a, 'structuredData');
+    if (!data) return { status: 'na' };
+    if (!data.blocks) return { status: 'warn', evidence: 'No JSON-LD structured data' };
+    const result = issueCheck(data, 'structured data issue');
+    return result.status === 'pass' ? { status: 'pass', evidence: data.types.join(', ') || null } : result;
+  },
+  roast: {
+    fail: (a, f) => `🧩 **Broken structured data** - ${f.evidence}. You tried to talk to Google in its own language and got the grammar wrong.`,
+    warn: '🧩 **No structured data** - No stars, no FAQs, no business details in search results. Just a blue link, like it\'s 2009.'
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    warn: '⚠️ No JSON-LD - the page is not eligible for rich results',
+    pass: (a, f) => `✅ Valid JSON-LD${f.evidence ? ` (${f.evidence})` : ''}`
+  },
+  strength: 'Valid structured data',
+  fix: {
+    title: 'Add Valid Structured Data',
+    roast: '**Add JSON-LD for your business** - Organization or LocalBusiness at minimum, with every required property.',
+    professional: 'Describe the business with schema.org JSON-LD (Organization or LocalBusiness, plus FAQPage, Product or Article where they apply) and include every property Google requires for rich results.'
+  }
+});
+
+registerRule({
+  id: 'robots-txt',
+  category: 'seo',
+  title: 'robots.txt',
+  weight: 3,
+  severity: 'minor',
+  check: a => {
+    const robots = seo(a, 'robotsTxt');
+    if (!robots) return { status: 'na' };
+    if (!robots.found) return { status: 'warn', evidence: robots.error ? `Couldn't load robots.txt (${robots.error})` : 'No robots.txt' };
+    if (robots.blocksAll) return { status: 'fail', evidence: '"Disallow: /" for every crawler' };
+    if (!robots.valid) return { status: 'warn', evidence: robots.issues.join('; ') };
+    return { status: 'pass', evidence: robots.url || null };
+  },
+  roast: {
+    fail: '🚧 **robots.txt blocks everything** - "Disallow: /" for all crawlers. You built a website and put up a "Keep Out" sign.',
+    warn: (a, f) => `🤖 **robots.txt trouble** - ${f.evidence}.`
+  },
+  professional: {
+    fail: '⚠️ Blocks all crawlers with "Disallow: /"',
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Present and valid',
+    na: '➖ Not checked for pasted HTML'
+  },
+  fix: {
+    title: 'Fix robots.txt',
+    roast: '**Serve a plain robots.txt** - Allow crawlers in and point them at your sitemap.',
+    professional: 'Serve a plain-text /robots.txt that only disallows private paths and lists the sitemap with an absolute "Sitemap:" URL.'
+  }
+});
+
+registerRule({
+  id: 'sitemap',
+  category: 'seo',
+  title: 'XML Sitemap',
+  weight: 3,
+  severity: 'minor',
+  check: a => {
+    const sitemap = seo(a, 'sitemap');
+    if (!sitemap) return { status: 'na' };
+    if (!sitemap.found) return { status: 'warn', evidence: sitemap.error ? `Couldn't load ${sitemap.url} (${sitemap.error})` : `No sitemap at ${sitemap.url || '/sitemap.xml'}` };
+    if (!sitemap.valid) return { status: 'fail', evidence: sitemap.issues.join('; ') };
+    return { status: 'pass', evidence: `${sitemap.urlCount} ${sitemap.type === 'urlset' ? 'URL' : 'sitemap'}(s)` };
+  },
+  roast: {
+    fail: (a, f) => `🗺️ **Broken sitemap** - ${f.evidence}. A map that leads nowhere is worse than no map.`,
+    warn: '🗺️ **No sitemap** - Google has to find your pages by wandering around. It might not bother.'
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: (a, f) => `✅ ${f.evidence} listed`,
+    na: '➖ Not checked for pasted HTML'
+  },
+  fix: {
+    title: 'Publish an XML Sitemap',
+    roast: '**Publish /sitemap.xml** - List every page, link it from robots.txt.',
+    professional: 'Publish an XML sitemap listing the absolute URL of every indexable page on this host, reference it from robots.txt and submit it in Google Search Console.'
+  }
+});
+
+registerRule({
+  id: 'cta-buttons',
+  category: 'engagement',
+  title: 'CTAs/Buttons',
+  weight: 4,
+  severity: 'minor',
+  check: a => ({ status: a.buttonCount > 0 ? 'pass' : 'fail', evidence: `${a.buttonCount} button(s)` }),
+  roast: {
+    fail: '🫥 **No buttons anywhere** - Visitors show up, look around, and leave. You never asked them to do anything.',
+    pass: a => `✅ ${a.buttonCount} button(s) found - you're at least asking people to do something.`
+  },
+  professional: {
+    fail: '⚠️ No clear CTAs found',
+    pass: a => `✅ ${a.buttonCount} button(s) detected`
+  },
+  strength: 'Clear calls to action',
+  fix: {
+    title: 'Add Calls to Action',
+    roast: '**Add clear call-to-action buttons** - Tell visitors what to do next!',
+    professional: 'Add a primary call-to-action above the fold and repeat it after key sections so visitors always know the next step.'
+  }
+});
+
+registerRule({
+  id: 'forms',
+  category: 'engagement',
+  title: 'Forms',
+  weight: 3,
+  severity: 'info',
+  check: a => ({ status: a.formCount > 0 ? 'pass' : 'fail', evidence: `${a.formCount} form(s)` }),
+  professional: {
+    fail: '➖ No forms detected',
+    pass: a => `✅ ${a.formCount} form(s) detected`
+  },
+  fix: {
+    title: 'Capture Leads',
+    roast: '**Add a contact or signup form** - Let interested people actually reach you.',
+    professional: 'Add a short contact or newsletter form so interested visitors can convert without leaving the page.'
+  }
+});
+
+registerRule({
+  id: 'script-count',
+  category: 'performance',
+  title: 'Script Count',
+  weight: 5,
+  severity: 'minor',
+  check: a => ({ status: a.scriptCount > 20 ? 'fail' : 'pass', evidence: `${a.scriptCount} script tag(s)` }),
+  roast: {
+    fail: a => `🐌 **${a.scriptCount} script tags** - Your page loads more JavaScript than a crypto startup's landing page.`
+  },
+  professional: {
+    fail: a => `⚠️ ${a.scriptCount} script tags - Consider bundling and deferring non-critical scripts`,
+    pass: a => `✅ ${a.scriptCount} script tag(s)`
+  },
+  fix: {
+    title: 'Reduce JavaScript',
+    roast: '**Cut the scripts** - Bundle, defer, and delete the tracking pixels nobody looks at.',
+    professional: 'Audit third-party and inline scripts. Bundle what remains and load non-critical code with defer or async.'
+  }
+});
+
+// Performance rules read analysis.performance (lib/performance.js). Weight,
+// compression, caching and image size need the downloaded resources, so
+// they only apply to live URLs; the rest read the markup.
+const network = a => a.performance && a.performance.fetched ? a.performance : null;
+
+function resourceCheck(list, noun, failStatus = 'fail') {
+  return {
+    status: list.count ? failStatus : 'pass',
+    evidence: list.count ? `${list.count} ${noun}${list.count === 1 ? '' : 's'}: ${list.elements.slice(0, 2).map(e => e.detail).join('; ')}${list.count > 2 ? '; …' : ''}` : null,
+    elements: list.elements
+  };
+}
+
+registerRule({
+  id: 'page-weight',
+  category: 'performance',
+  title: 'Page Weight',
+  weight: 6,
+  severity: 'major',
+  requiresUrl: true,
+  check: a => {
+    const perf = network(a);
+    if (!perf) return { status: 'na' };
+    const largest = perf.largest[0];
+    return {
+      status: perf.totalBytes > PERFORMANCE_BUDGETS.heavyPageBytes ? 'fail' : perf.totalBytes > PERFORMANCE_BUDGETS.pageBytes ? 'warn' : 'pass',
+      evidence: `${formatBytes(perf.totalBytes)} in ${perf.requests} request(s)${largest ? `; largest: ${largest.url} (${formatBytes(largest.bytes)})` : ''}${perf.skipped ? `; ${perf.skipped} more not downloaded` : ''}`,
+      elements: perf.largest.map(asset => ({ selector: asset.selector, detail: `${asset.url} (${asset.type}, ${formatBytes(asset.bytes)})` }))
+    };
+  },
+  roast: {
+    fail: a => `🐘 **${formatBytes(a.performance.totalBytes)} page** - Visitors on mobile data are paying real money to load this. Some of them are still waiting.`,
+    warn: a => `🎒 **${formatBytes(a.performance.totalBytes)} page** - Heavier than it needs to be. Your biggest file: ${a.performance.largest[0].url.split('/').pop() || a.performance.largest[0].url} at ${formatBytes(a.performance.largest[0].bytes)}.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - well over the ${formatBytes(PERFORMANCE_BUDGETS.pageBytes)} budget`,
+    warn: (a, f) => `⚠️ ${f.evidence} - over the ${formatBytes(PERFORMANCE_BUDGETS.pageBytes)} budget`,
+    pass: (a, f) => `✅ ${f.evidence}`
+  },
+  strength: 'Lightweight page',
+  fix: {
+    title: 'Cut Page Weight',
+    roast: a => `**Put the page on a diet** - Start with ${a.performance.largest[0] ? a.performance.largest[0].url.split('/').pop() || 'the biggest file' : 'the biggest files'}; compress images and drop what you don't use.`,
+    professional: `Bring the page under ${formatBytes(PERFORMANCE_BUDGETS.pageBytes)}: serve images as WebP or AVIF at the size they are displayed, remove unused scripts and styles, and subset web fonts. The largest assets are listed with the finding.`
+  }
+});
+
+registerRule({
+  id: 'render-blocking-scripts',
+  category: 'performance',
+  title: 'Render-Blocking Scripts',
+  weight: 5,
+  severity: 'major',
+  check: a => a.performance ? resourceCheck(a.performance.renderBlocking, 'script') : { status: 'na' },
+  roast: {
+    fail: (a, f) => `🧱 **Render-blocking scripts in <head>** - ${f.evidence}. The browser stops everything to download these before showing a single pixel.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} load without async or defer`,
+    pass: '✅ No synchronous scripts in <head>'
+  },
+  fix: {
+    title: 'Defer Head Scripts',
+    roast: '**Add defer to your <head> scripts** - One attribute and the page paints before the JavaScript shows up.',
+    professional: 'Add defer (or async for independent scripts such as analytics) to every external script in <head>, or move them to the end of <body>, so they no longer delay the first render.'
+  }
+});
+
+registerRule({
+  id: 'text-compression',
+  category: 'performance',
+  title: 'Text Compression',
+  weight: 4,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const perf = network(a);
+    return perf ? resourceCheck(perf.uncompressed, 'uncompressed file') : { status: 'na' };
+  },
+  roast: {
+    fail: a => `🗜️ **No gzip or Brotli** - ${formatBytes(a.performance.uncompressed.bytes)} of scripts and styles shipped raw. Compression is one server setting and typically saves 70%.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Text resources are compressed'
+  },
+  fix: {
+    title: 'Enable Compression',
+    roast: '**Turn on gzip or Brotli** - It\'s a checkbox on most hosts.',
+    professional: 'Enable Brotli or gzip for HTML, CSS, JavaScript, JSON and SVG on the server or CDN. Text typically shrinks by 60-80%.'
+  }
+});
+
+registerRule({
+  id: 'cache-headers',
+  category: 'performance',
+  title: 'Cache Headers',
+  weight: 3,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const perf = network(a);
+    if (!perf || !perf.uncached.total) return { status: 'na' };
+    return resourceCheck(perf.uncached, 'uncached file', perf.uncached.count * 2 >= perf.uncached.total ? 'fail' : 'warn');
+  },
+  roast: {
+    fail: a => `🔁 **Nothing is cached** - ${a.performance.uncached.count} of ${a.performance.uncached.total} files get downloaded again on every single visit.`,
+    warn: a => `🔁 **Some files skip caching** - ${a.performance.uncached.count} of ${a.performance.uncached.total} files come with no cache lifetime.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Static files have a cache lifetime',
+    na: '➖ No static files to check'
+  },
+  fix: {
+    title: 'Add Cache Headers',
+    roast: '**Cache your static files** - Cache-Control: max-age=31536000 on anything with a hashed filename.',
+    professional: 'Serve static assets with Cache-Control: max-age (a year for fingerprinted files, at least a day for the rest) so repeat visits load them from the browser cache.'
+  }
+});
+
+registerRule({
+  id: 'oversized-images',
+  category: 'performance',
+  title: 'Image Sizing',
+  weight: 4,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const perf = network(a);
+    if (!perf || !perf.oversizedImages.total) return { status: 'na' };
+    return resourceCheck(perf.oversizedImages, 'oversized image');
+  },
+  roast: {
+    fail: (a, f) => `🖼️ **Billboard-sized images in postage-stamp slots** - ${f.evidence}. The browser downloads every pixel and then throws most of them away.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: a => `✅ ${a.performance.oversizedImages.total} image(s) served close to their display size`,
+    na: '➖ No images with a declared width to compare'
+  },
+  fix: {
+    title: 'Resize Images',
+    roast: '**Resize your images** - Nothing needs to be more than twice the size it\'s shown at.',
+    professional: 'Export images at no more than twice their displayed width, and use srcset with sizes so phones download smaller versions.'
+  }
+});
+
+registerRule({
+  id: 'lazy-loading',
+  category: 'performance',
+  title: 'Lazy Loading',
+  weight: 3,
+  severity: 'minor',
+  check: a => {
+    const lazy = a.performance && a.performance.lazyLoading;
+    if (!lazy || lazy.images <= PERFORMANCE_BUDGETS.eagerImages) return { status: 'na' };
+    return resourceCheck(lazy.eager, 'image', lazy.lazy ? 'warn' : 'fail');
+  },
+  roast: {
+    fail: a => `🏋️ **All ${a.performance.lazyLoading.images} images load at once** - Including the ones at the very bottom that nobody scrolls to.`,
+    warn: a => `🏋️ **${a.performance.lazyLoading.eager.count} images load before anyone scrolls to them** - You know about loading="lazy". Use it everywhere.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ No lazy loading; ${f.evidence}`,
+    warn: (a, f) => `⚠️ ${f.evidence} load eagerly`,
+    pass: a => `✅ ${a.performance.lazyLoading.lazy} image(s) lazy-loaded`,
+    na: '➖ Too few images to matter'
+  },
+  fix: {
+    title: 'Lazy-Load Images',
+    roast: '**Add loading="lazy" to images below the fold** - Free, built into every browser.',
+    professional: `Add loading="lazy" to images outside the first screen (everything after the first ${PERFORMANCE_BUDGETS.eagerImages} images here), keeping the hero image eager so it renders quickly.`
+  }
+});
+
+registerRule({
+  id: 'third-party-domains',
+  category: 'performance',
+  title: 'Third-Party Domains',
+  weight: 3,
+  severity: 'minor',
+  check: a => {
+    const thirdParty = a.performance && a.performance.thirdParty;
+    if (!thirdParty) return { status: 'na' };
+    const { count, domains } = thirdParty;
+    return {
+      status: count > PERFORMANCE_BUDGETS.manyThirdPartyDomains ? 'fail' : count > PERFORMANCE_BUDGETS.thirdPartyDomains ? 'warn' : 'pass',
+      evidence: count ? `${count} domain(s): ${domains.slice(0, 5).join(', ')}${count > 5 ? ', …' : ''}` : null
+    };
+  },
+  roast: {
+    fail: a => `🕸️ **${a.performance.thirdParty.count} third-party domains** - Every one is another DNS lookup, another connection and another company that can slow you down.`,
+    warn: a => `🕸️ **${a.performance.thirdParty.count} third-party domains** - Your page has more guests than hosts.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: a => `✅ ${a.performance.thirdParty.count} third-party domain(s)`
+  },
+  fix: {
+    title: 'Trim Third-Party Requests',
+    roast: '**Cut the third-party tags** - Self-host fonts and libraries, drop the widgets nobody uses.',
+    professional: 'Self-host fonts and libraries, remove unused tags and widgets, and add preconnect hints for the third-party origins that remain.'
+  }
+});
+
+// Security rules read analysis.security (lib/security.js). Header checks
+// need the live response; mixed content and form targets read the markup.
+// Failing header checks carry the exact header to add as their remedy.
+const security = (a, key) => a.security && a.security[key];
+const remedyNote = f => f.remedy ? ` Add \`${f.remedy}\`.` : '';
+
+registerRule({
+  id: 'http-redirect',
+  category: 'security',
+  title: 'HTTP to HTTPS Redirect',
+  weight: 6,
+  severity: 'major',
+  requiresUrl: true,
+  check: a => {
+    const redirect = security(a, 'redirect');
+    if (!redirect) return { status: 'na' };
+    const remedy = `Location: https${redirect.url.slice(4)} (with a 301 status)`;
+    if (redirect.error) {
+      return redirect.error === 'FETCH_FAILED' || redirect.error === 'TIMEOUT'
+        ? { status: 'warn', evidence: `${redirect.url} doesn't answer`, remedy }
+        : { status: 'na', evidence: `Couldn't check ${redirect.url} (${redirect.error})` };
+    }
+    if (!redirect.redirected) return { status: 'fail', evidence: `${redirect.url} is served over plain HTTP (status ${redirect.status})`, remedy };
+    if (!redirect.permanent) return { status: 'warn', evidence: `${redirect.url} → ${redirect.location} through a temporary redirect (${redirect.status})`, remedy };
+    return { status: 'pass', evidence: `${redirect.url} → ${redirect.location} (${redirect.status})` };
+  },
+  roast: {
+    fail: (a, f) => `🚪 **The http:// door is wide open** - ${f.evidence}. Anyone who types your domain without "https" gets the unencrypted version.${remedyNote(f)}`,
+    warn: (a, f) => a.security.redirect.error
+      ? `🚪 **http:// goes nowhere** - ${f.evidence}. Type your domain into an old browser and enjoy the error page.`
+      : `🚪 **Temporary redirect to HTTPS** - ${f.evidence}. Browsers and search engines are told it might change back any minute.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - redirect it permanently to HTTPS`,
+    warn: (a, f) => `⚠️ ${f.evidence} - answer http:// with a permanent (301) redirect to HTTPS`,
+    pass: (a, f) => `✅ ${f.evidence}`,
+    na: (a, f) => f.evidence ? `➖ ${f.evidence}` : '➖ Not checked'
+  },
+  strength: 'Plain HTTP redirects to HTTPS',
+  fix: {
+    title: 'Redirect HTTP to HTTPS',
+    roast: '**Force HTTPS** - One 301 redirect and nobody ever sees the insecure version again.',
+    professional: 'Answer every http:// request with a 301 redirect to the same path on https://. Most hosts and CDNs offer this as a single "force HTTPS" setting.'
+  }
+});
+
+registerRule({
+  id: 'hsts',
+  category: 'security',
+  title: 'HSTS',
+  weight: 5,
+  severity: 'major',
+  requiresUrl: true,
+  check: a => {
+    const hsts = security(a, 'hsts');
+    if (!hsts) return { status: 'na' };
+    const remedy = RECOMMENDED_HEADERS.hsts;
+    if (!hsts.value) return { status: 'fail', evidence: 'No Strict-Transport-Security header', remedy };
+    if (!hsts.maxAge) return { status: 'fail', evidence: `"${hsts.value}" has no usable max-age, so HSTS is off`, remedy };
+    if (hsts.maxAge < HSTS_MIN_AGE) return { status: 'warn', evidence: `"${hsts.value}" - max-age is under 180 days`, remedy };
+    return { status: 'pass', evidence: hsts.value };
+  },
+  roast: {
+    fail: (a, f) => `🔓 **No HSTS** - ${f.evidence}. Every first visit can be quietly downgraded to HTTP on the café Wi-Fi.${remedyNote(f)}`,
+    warn: (a, f) => `🔓 **Short-lived HSTS** - ${f.evidence}. Browsers forget you're HTTPS-only almost as soon as they learn it.${remedyNote(f)}`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - add \`${f.remedy}\``,
+    warn: (a, f) => `⚠️ ${f.evidence} - use \`${f.remedy}\``,
+    pass: (a, f) => `✅ ${f.evidence}`,
+    na: '➖ Not applicable to plain HTTP pages'
+  },
+  strength: 'HSTS keeps browsers on HTTPS',
+  fix: {
+    title: 'Add HSTS',
+    roast: `**Send HSTS** - \`${RECOMMENDED_HEADERS.hsts}\` and browsers never try HTTP again.`,
+    professional: `Send \`${RECOMMENDED_HEADERS.hsts}\` on every HTTPS response so browsers refuse to load the site over HTTP, once every subdomain is confirmed to support HTTPS.`
+  }
+});
+
+registerRule({
+  id: 'content-security-policy',
+  category: 'security',
+  title: 'Content Security Policy',
+  weight: 5,
+  severity: 'major',
+  requiresUrl: true,
+  check: a => {
+    const csp = security(a, 'csp');
+    if (!csp) return { status: 'na' };
+    const remedy = RECOMMENDED_HEADERS.csp;
+    if (!csp.present) {
+      return { status: 'fail', evidence: csp.reportOnly ? 'Only Content-Security-Policy-Report-Only, which blocks nothing' : 'No Content-Security-Policy', remedy };
+    }
+    if (csp.weaknesses.length) return { status: 'warn', evidence: `Policy ${csp.weaknesses.join('; ')}`, remedy };
+    return { status: 'pass', evidence: `${csp.directives.length} directive(s) set in the ${csp.source === 'header' ? 'header' : 'meta tag'}` };
+  },
+  roast: {
+    fail: (a, f) => `💉 **No Content Security Policy** - ${f.evidence}. One injected script and it runs with full access to your visitors.${remedyNote(f)}`,
+    warn: (a, f) => `💉 **A CSP with holes** - ${f.evidence}. You locked the front door and left the key under the mat.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - start from \`${f.remedy}\``,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: (a, f) => `✅ ${f.evidence}`
+  },
+  strength: 'Content Security Policy in place',
+  fix: {
+    title: 'Add a Content Security Policy',
+    roast: '**Ship a Content Security Policy** - Tell the browser which scripts are yours; it blocks the rest.',
+    professional: `Add a Content-Security-Policy, starting from \`${RECOMMENDED_HEADERS.csp}\` and listing the third-party hosts the site really uses. Send it as Content-Security-Policy-Report-Only first to find what it would block.`
+  }
+});
+
+registerRule({
+  id: 'clickjacking',
+  category: 'security',
+  title: 'Clickjacking Protection',
+  weight: 3,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const framing = security(a, 'framing');
+    if (!framing) return { status: 'na' };
+    const remedy = RECOMMENDED_HEADERS.framing;
+    if (framing.frameAncestors) {
+      return framing.frameAncestors.split(' ').includes('*')
+        ? { status: 'fail', evidence: 'frame-ancestors * lets any site frame the page', remedy }
+        : { status: 'pass', evidence: `frame-ancestors ${framing.frameAncestors}` };
+    }
+    if (framing.frameOptions === 'DENY' || framing.frameOptions === 'SAMEORIGIN') {
+      return { status: 'pass', evidence: `X-Frame-Options: ${framing.frameOptions}` };
+    }
+    if (framing.frameOptions) return { status: 'warn', evidence: `X-Frame-Options: ${framing.frameOptions} isn't supported by current browsers`, remedy };
+    return { status: 'fail', evidence: 'No X-Frame-Options or CSP frame-ancestors', remedy };
+  },
+  roast: {
+    fail: (a, f) => `🖼️ **Frame me, I dare you** - ${f.evidence}. Any site can load yours in an invisible iframe and trick visitors into clicking.${remedyNote(f)}`,
+    warn: (a, f) => `🖼️ **Outdated frame protection** - ${f.evidence}.${remedyNote(f)}`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - add \`${f.remedy}\``,
+    warn: (a, f) => `⚠️ ${f.evidence} - use \`${f.remedy}\``,
+    pass: (a, f) => `✅ ${f.evidence}`
+  },
+  fix: {
+    title: 'Block Framing',
+    roast: `**Stop other sites framing yours** - \`${RECOMMENDED_HEADERS.framing}\`.`,
+    professional: `Send \`${RECOMMENDED_HEADERS.framing}\`, or frame-ancestors 'self' in the Content-Security-Policy, so other sites can't embed the page for clickjacking.`
+  }
+});
+
+registerRule({
+  id: 'content-type-options',
+  category: 'security',
+  title: 'MIME Sniffing',
+  weight: 2,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const options = security(a, 'contentTypeOptions');
+    if (!options) return { status: 'na' };
+    if (options.value && options.value.toLowerCase() === 'nosniff') return { status: 'pass', evidence: 'X-Content-Type-Options: nosniff' };
+    return {
+      status: 'fail',
+      evidence: options.value ? `X-Content-Type-Options: ${options.value} is not a valid value` : 'No X-Content-Type-Options header',
+      remedy: RECOMMENDED_HEADERS.contentTypeOptions
+    };
+  },
+  roast: {
+    fail: (a, f) => `🕵️ **Browsers are guessing your file types** - ${f.evidence}. An uploaded "image" can end up running as a script.${remedyNote(f)}`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - add \`${f.remedy}\``,
+    pass: (a, f) => `✅ ${f.evidence}`
+  },
+  fix: {
+    title: 'Disable MIME Sniffing',
+    roast: `**Add nosniff** - \`${RECOMMENDED_HEADERS.contentTypeOptions}\`. One header, no downside.`,
+    professional: `Send \`${RECOMMENDED_HEADERS.contentTypeOptions}\` with every response so browsers use the declared content type instead of guessing.`
+  }
+});
+
+registerRule({
+  id: 'referrer-policy',
+  category: 'security',
+  title: 'Referrer Policy',
+  weight: 2,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const referrer = security(a, 'referrerPolicy');
+    if (!referrer) return { status: 'na' };
+    const remedy = RECOMMENDED_HEADERS.referrerPolicy;
+    if (!referrer.value) return { status: 'warn', evidence: 'No Referrer-Policy; browsers fall back to their own default', remedy };
+    if (referrer.policy === 'unsafe-url') return { status: 'fail', evidence: 'unsafe-url sends full URLs, query strings included, to every site', remedy };
+    if (referrer.weak) return { status: 'warn', evidence: `${referrer.policy} sends full URLs to other sites`, remedy };
+    return { status: 'pass', evidence: `${referrer.policy} (${referrer.source === 'header' ? 'header' : 'meta tag'})` };
+  },
+  roast: {
+    fail: (a, f) => `📮 **Leaky referrers** - ${f.evidence}. Every outbound click tells the world exactly where your visitor was.${remedyNote(f)}`,
+    warn: (a, f) => `📮 **Referrer policy on autopilot** - ${f.evidence}.${remedyNote(f)}`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - use \`${f.remedy}\``,
+    warn: (a, f) => `⚠️ ${f.evidence} - add \`${f.remedy}\``,
+    pass: (a, f) => `✅ ${f.evidence}`
+  },
+  fix: {
+    title: 'Set a Referrer Policy',
+    roast: `**Set a referrer policy** - \`${RECOMMENDED_HEADERS.referrerPolicy}\`.`,
+    professional: `Send \`${RECOMMENDED_HEADERS.referrerPolicy}\` so other sites only learn your origin, never the full URL with its query string.`
+  }
+});
+
+registerRule({
+  id: 'permissions-policy',
+  category: 'security',
+  title: 'Permissions Policy',
+  weight: 2,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const permissions = security(a, 'permissionsPolicy');
+    if (!permissions) return { status: 'na' };
+    const remedy = RECOMMENDED_HEADERS.permissionsPolicy;
+    if (permissions.value) return { status: 'pass', evidence: `Permissions-Policy: ${permissions.value}` };
+    if (permissions.featurePolicy) return { status: 'warn', evidence: 'Only the retired Feature-Policy header', remedy };
+    return { status: 'warn', evidence: 'No Permissions-Policy header', remedy };
+  },
+  roast: {
+    warn: (a, f) => `🎤 **No Permissions-Policy** - ${f.evidence}. Any script you embed can ask for the camera and microphone.${remedyNote(f)}`
+  },
+  professional: {
+    warn: (a, f) => `⚠️ ${f.evidence} - add \`${f.remedy}\``,
+    pass: '✅ Browser features are restricted'
+  },
+  fix: {
+    title: 'Add a Permissions Policy',
+    roast: `**Switch off browser features you don't use** - \`${RECOMMENDED_HEADERS.permissionsPolicy}\`.`,
+    professional: `Send \`${RECOMMENDED_HEADERS.permissionsPolicy}\`, listing any feature the site does use, so embedded third-party code can't request them.`
+  }
+});
+
+registerRule({
+  id: 'cookie-flags',
+  category: 'security',
+  title: 'Cookie Flags',
+  weight: 4,
+  severity: 'major',
+  requiresUrl: true,
+  check: a => {
+    const cookies = security(a, 'cookies');
+    if (!cookies || !cookies.total) return { status: 'na' };
+    if (!cookies.count) return { status: 'pass', evidence: `${cookies.total} cookie(s) with Secure, HttpOnly and SameSite` };
+    const { issues } = cookies;
+    return {
+      status: cookies.critical ? 'fail' : 'warn',
+      evidence: `${cookies.count} of ${cookies.total} cookie(s): ${issues.slice(0, 2).map(i => i.detail).join('; ')}${issues.length > 2 ? '; …' : ''}`,
+      remedy: `Set-Cookie: ${issues[0].name}=…; Path=/; Secure; HttpOnly; SameSite=Lax`
+    };
+  },
+  roast: {
+    fail: (a, f) => `🍪 **Cookies without Secure** - ${f.evidence}. They'll happily travel over plain HTTP for anyone listening.${remedyNote(f)}`,
+    warn: (a, f) => `🍪 **Half-baked cookies** - ${f.evidence}.${remedyNote(f)}`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - send them as \`${f.remedy}\``,
+    warn: (a, f) => `⚠️ ${f.evidence} - send them as \`${f.remedy}\``,
+    pass: (a, f) => `✅ ${f.evidence}`,
+    na: '➖ No cookies set'
+  },
+  fix: {
+    title: 'Lock Down Cookies',
+    roast: '**Flag your cookies** - Secure, HttpOnly, SameSite=Lax. Every one of them.',
+    professional: 'Set Secure on every cookie, HttpOnly on any cookie scripts don\'t need to read (sessions above all) and SameSite=Lax unless a cookie must be sent cross-site.'
+  }
+});
+
+registerRule({
+  id: 'mixed-content',
+  category: 'security',
+  title: 'Mixed Content',
+  weight: 6,
+  severity: 'major',
+  check: a => {
+    const mixed = security(a, 'mixedContent');
+    if (!mixed) return { status: 'na' };
+    const { active, passive } = mixed;
+    const list = { count: active.count + passive.count, elements: active.elements.concat(passive.elements) };
+    const result = resourceCheck(list, 'http:// subresource', active.count ? 'fail' : 'warn');
+    return list.count ? { ...result, remedy: RECOMMENDED_HEADERS.upgradeInsecureRequests } : result;
+  },
+  roast: {
+    fail: (a, f) => `🧨 **Mixed content** - ${f.evidence}. Browsers block http:// scripts and styles on HTTPS pages, so parts of your site are simply broken.${remedyNote(f)}`,
+    warn: (a, f) => `🧨 **Mixed content** - ${f.evidence}. The padlock is sulking.${remedyNote(f)}`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence} - blocked by browsers`,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Every subresource loads over HTTPS',
+    na: '➖ Not applicable to plain HTTP pages'
+  },
+  fix: {
+    title: 'Remove Mixed Content',
+    roast: '**Change http:// to https://** - Every script, style and image. The finding lists them.',
+    professional: `Load every script, stylesheet, frame and image over HTTPS, and send \`${RECOMMENDED_HEADERS.upgradeInsecureRequests}\` as a safety net for any that slip through.`
+  }
+});
+
+registerRule({
+  id: 'insecure-forms',
+  category: 'security',
+  title: 'Form Security',
+  weight: 6,
+  severity: 'critical',
+  check: a => {
+    const forms = security(a, 'insecureForms');
+    return forms ? issueCheck(forms, 'insecure form') : { status: 'na' };
+  },
+  roast: {
+    fail: (a, f) => `📨 **Forms posting over plain HTTP** - ${f.evidence}. Whatever your visitors type goes across the internet as a postcard.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ No forms submit over plain HTTP'
+  },
+  fix: {
+    title: 'Secure Form Submissions',
+    roast: '**Point your forms at https://** - And serve the page itself over HTTPS while you\'re at it.',
+    professional: 'Change every form action to an https:// endpoint and serve the pages that contain forms over HTTPS, so names, emails and passwords are never sent unencrypted.'
+  }
+});
+
+// Link rules read analysis.links (lib/links.js). Links are only requested
+// for live URLs; a link with an unusable scheme counts as the site's own
+// broken link. Links that couldn't be verified (server errors, timeouts,
+// dropped connections) only warn, and links whose site refused the check
+// aren't scored.
+const linkAudit = a => a.links && a.links.checked ? a.links : null;
+const listed = list => list.elements.slice(0, 3).map(e => e.detail).join('; ') + (list.count > 3 ? '; …' : '');
+
+registerRule({
+  id: 'broken-links',
+  category: 'engagement',
+  title: 'Broken Links',
+  weight: 6,
+  severity: 'major',
+  requiresUrl: true,
+  check: a => {
+    const links = linkAudit(a);
+    if (!links) return { status: 'na' };
+    const { internal, external } = links.brokenLinks;
+    // Reports saved before refused links were told apart list only timeouts
+    const unverified = links.unverified || links.timeouts;
+    const refused = links.refused || { count: 0, elements: [] };
+    const unchecked = links.internal.unchecked + links.external.unchecked;
+    const checked = links.unique - unchecked - refused.count;
+    if (!internal.count && !external.count && !unverified.count) {
+      return {
+        status: 'pass',
+        evidence: [
+          `${checked} link(s) and image(s) checked`,
+          unchecked ? `${unchecked} left unchecked when time ran out` : null,
+          refused.count ? `${refused.count} not scored because the site refused the check: ${listed(refused)}` : null
+        ].filter(Boolean).join(', ')
+      };
+    }
+    return {
+      status: internal.count ? 'fail' : 'warn',
+      evidence: [
+        internal.count ? `${internal.count} internal: ${listed(internal)}` : null,
+        external.count ? `${external.count} external: ${listed(external)}` : null,
+        unverified.count ? `${unverified.count} could not be verified: ${listed(unverified)}` : null
+      ].filter(Boolean).join(' | '),
+      elements: internal.elements.concat(external.elements, unverified.elements)
+    };
+  },
+  roast: {
+    fail: a => `⛓️‍💥 **Dead links on your own site** - ${listed(a.links.brokenLinks.internal)}. You built a door and bricked it up.`,
+    warn: (a, f) => (a.links.brokenLinks.external.count
+      ? `⛓️‍💥 **Links to nowhere** - ${f.evidence}. Somebody else moved (or fell asleep), and your page is still giving out their address.`
+      : `🔍 **Links that wouldn't answer** - ${f.evidence}. Maybe they're having a bad day, maybe they're gone. Click them and find out.`)
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: (a, f) => `✅ No broken links (${f.evidence})`,
+    na: '➖ No links to check'
+  },
+  strength: 'Every link works',
+  fix: {
+    title: 'Fix Broken Links',
+    roast: a => `**Fix or remove the dead links** - Start with ${a.links.brokenLinks.internal.count ? 'your own pages' : 'the external ones'}; the finding lists each one with its anchor text.`,
+    professional: 'Update or remove every link that returns an error. Redirect moved internal pages with a 301 so old links and bookmarks keep working, and replace external links that have gone away.'
+  }
+});
+
+registerRule({
+  id: 'broken-images',
+  category: 'engagement',
+  title: 'Broken Images',
+  weight: 4,
+  severity: 'major',
+  requiresUrl: true,
+  check: a => {
+    const links = linkAudit(a);
+    return links ? issueCheck(links.brokenImages, 'broken image') : { status: 'na' };
+  },
+  roast: {
+    fail: (a, f) => `🖼️ **Broken images** - ${f.evidence}. Nothing says "we care" like a little torn-paper icon.`
+  },
+  professional: {
+    fail: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Every image loads'
+  },
+  fix: {
+    title: 'Fix Broken Images',
+    roast: '**Re-upload the missing images** - Or delete the tags. Anything beats a broken icon.',
+    professional: 'Restore or replace every image that fails to load, and check the paths after moving files or changing hosts.'
+  }
+});
+
+registerRule({
+  id: 'redirect-chains',
+  category: 'performance',
+  title: 'Redirect Chains',
+  weight: 2,
+  severity: 'minor',
+  requiresUrl: true,
+  check: a => {
+    const links = linkAudit(a);
+    if (!links) return { status: 'na' };
+    const chains = links.redirectChains;
+    return chains.count
+      ? { status: 'warn', evidence: `${chains.count} internal link(s): ${listed(chains)}`, elements: chains.elements }
+      : { status: 'pass' };
+  },
+  roast: {
+    warn: (a, f) => `🪃 **Redirect chains** - ${f.evidence}. Your own links take the scenic route.`
+  },
+  professional: {
+    warn: (a, f) => `⚠️ ${f.evidence}`,
+    pass: '✅ Internal links go straight to their pages'
+  },
+  fix: {
+    title: 'Link Straight to Final URLs',
+    roast: '**Point links at where they end up** - Every extra redirect is another round trip.',
+    professional: 'Update internal links to point at their final URLs so visitors and crawlers skip the intermediate redirects.'
+  }
+});
+
+// Site-wide rules run once per crawl against the list of crawled pages
+function duplicatesBy(pages, field, missingValue) {
+  const byValue = {};
+  pages.forEach(p => {
+    if (p[field] === missingValue) return;
+    (byValue[p[field]] = byValue[p[field]] || []).push(p.url);
+  });
+  return Object.entries(byValue).filter(([, urls]) => urls.length > 1);
+}
+
+registerRule({
+  id: 'duplicate-titles',
+  scope: 'site',
+  category: 'seo',
+  title: 'Unique Page Titles',
+  weight: 8,
+  severity: 'major',
+  check: site => {
+    const dupes = duplicatesBy(site.pages, 'title', 'No title found');
+    if (site.pages.length < 2) return { status: 'na' };
+    return {
+      status: dupes.length ? 'fail' : 'pass',
+      evidence: dupes.map(([title, urls]) => `"${title}" on ${urls.length} pages`).join('; ') || null
+    };
+  },
+  roast: {
+    fail: (site, f) => `👯 **Copy-pasted page titles** - ${f.evidence}. Google can't tell your pages apart, and honestly neither can I.`,
+    pass: site => `✅ All ${site.pages.length} crawled pages have their own title.`
+  },
+  professional: {
+    fail: (site, f) => `⚠️ Duplicate titles: ${f.evidence}`,
+    pass: site => `✅ Unique across ${site.pages.length} pages`
+  },
+  strength: 'Unique titles across pages',
+  fix: {
+    title: 'De-duplicate Page Titles',
+    roast: '**Give every page its own title** - Same title everywhere means search engines pick one and ignore the rest.',
+    professional: 'Write a distinct title for each page that reflects its specific content, so search engines can rank each page for its own topic.'
+  }
+});
+
+registerRule({
+  id: 'duplicate-descriptions',
+  scope: 'site',
+  category: 'seo',
+  title: 'Unique Meta Descriptions',
+  weight: 5,
+  severity: 'minor',
+  check: site => {
+    const dupes = duplicatesBy(site.pages, 'metaDescription', 'No meta description');
+    if (site.pages.length < 2) return { status: 'na' };
+    return {
+      status: dupes.length ? 'fail' : 'pass',
+      evidence: dupes.map(([, urls]) => urls.join(', ')).join('; ') || null
+    };
+  },
+  roast: {
+    fail: '🪞 **Same meta description on multiple pages** - One sentence, many pages. Very efficient. Very lazy.'
+  },
+  professional: {
+    fail: (site, f) => `⚠️ Shared descriptions on: ${f.evidence}`,
+    pass: '✅ No duplicates'
+  },
+  fix: {
+    title: 'Write Page-Specific Descriptions',
+    roast: '**Stop reusing meta descriptions** - Each page deserves its own pitch.',
+    professional: 'Replace shared meta descriptions with page-specific summaries to improve click-through from search results.'
+  }
+});
+
+registerRule({
+  id: 'pages-missing-description',
+  scope: 'site',
+  category: 'seo',
+  title: 'Meta Description Coverage',
+  weight: 8,
+  severity: 'major',
+  check: site => {
+    const missing = site.pages.filter(p => p.metaDescription === 'No meta description');
+    return {
+      status: missing.length ? 'fail' : 'pass',
+      evidence: missing.length ? `${missing.length} of ${site.pages.length} pages: ${missing.map(p => p.url).join(', ')}` : null
+    };
+  },
+  roast: {
+    fail: (site, f) => `🕳️ **Pages with no meta description** - ${f.evidence}. Inner pages are pages too.`
+  },
+  professional: {
+    fail: (site, f) => `⚠️ Missing on ${f.evidence}`,
+    pass: site => `✅ Present on all ${site.pages.length} pages`
+  },
+  strength: 'Meta descriptions on every crawled page',
+  fix: {
+    title: 'Cover Inner Pages',
+    roast: '**Add meta descriptions to inner pages** - Not just the homepage.',
+    professional: 'Add meta descriptions to every crawled page that lacks one, starting with the pages linked from the main navigation.'
+  }
+});
+
+registerRule({
+  id: 'crawl-errors',
+  scope: 'site',
+  category: 'seo',
+  title: 'Crawlable Pages',
+  weight: 5,
+  severity: 'minor',
+  requiresUrl: true,
+  check: site => {
+    const failed = site.skipped.filter(s => !['ROBOTS_DISALLOWED', 'NOT_HTML', 'OFF_SITE'].includes(s.code));
+    return {
+      status: failed.length ? 'fail' : 'pass',
+      evidence: failed.length ? failed.map(s => `${s.url} (${s.reason})`).join('; ') : null
+    };
+  },
+  roast: {
+    fail: (site, f) => `💀 **Pages that wouldn't load** - ${f.evidence}. Your own navigation leads to dead ends.`
+  },
+  professional: {
+    fail: (site, f) => `⚠️ Failed to load: ${f.evidence}`,
+    pass: '✅ Every linked page loaded'
+  },
+  fix: {
+    title: 'Fix Unreachable Pages',
+    roast: '**Fix or unlink the pages that error out** - Dead ends kill trust.',
+    professional: 'Restore or remove links to pages that fail to load. Broken internal pages waste crawl budget and frustrate visitors.'
+  }
+});
+
+// Rule configuration: disable rules, override weights or add custom rules.
+// ROAST_RULES can point at a module exporting { disabled, weights, rules }.
+const ruleConfig = { disabled: new Set(), weights: {} };
+
+function configureRules({ disabled = [], weights = {}, rules = [] } = {}) {
+  disabled.forEach(id => ruleConfig.disabled.add(id));
+  Object.assign(ruleConfig.weights, weights);
+  rules.forEach(registerRule);
+}
+
+if (process.env.ROAST_RULES) {
+  configureRules(require(path.resolve(process.env.ROAST_RULES)));
+}
+
+function gradeFor(score) {
+  return score >= 90 ? 'A' : score >= 80 ? 'B+' : score >= 70 ? 'B' : score >= 60 ? 'C+' : score >= 50 ? 'C' : score >= 40 ? 'D' : 'F';
+}
+
+// Messages are resolved against the subject the rule checked (page or site)
+function resolveMessage(message, finding) {
+  return typeof message === 'function' ? message(finding.subject, finding) : message;
+}
+
+// Share of the applicable weight that was earned; a warning earns half
+function scoreFindings(findings) {
+  let possible = 0;
+  let earned = 0;
+  findings.forEach(f => {
+    if (f.status === 'na') return;
+    possible += f.weight;
+    if (f.status === 'pass') earned += f.weight;
+    if (f.status === 'warn') earned += f.weight / 2;
+  });
+  return possible === 0 ? 100 : Math.round((earned / possible) * 100);
+}
+
+// A rule that throws, built-in or custom, is left out of the score as not
+// applicable with the error as its evidence, so the other rules still report
+function runCheck(rule, analysis) {
+  try {
+    return rule.check(analysis) || {};
+  } catch (error) {
+    console.error(`Rule ${rule.id} failed:`, error);
+    return { status: 'na', evidence: `Check failed: ${error.message}` };
+  }
+}
+
+// Run every enabled rule of a scope ('page' or 'site') against its subject
+function evaluateRules(analysis, options = {}) {
+  const scope = options.scope || 'page';
+  const disabled = new Set([...ruleConfig.disabled, ...(options.disabled || [])]);
+  const weights = { ...ruleConfig.weights, ...(options.weights || {}) };
+  const rules = RULES.concat(options.rules || [])
+    .filter(rule => (rule.scope || 'page') === scope)
+    .filter(rule => rule.enabled !== false && !disabled.has(rule.id));
+
+  const offline = analysis.source && analysis.source !== 'url';
+  const findings = rules.map(rule => {
+    const result = rule.requiresUrl && offline
+      ? { status: 'na', evidence: 'Not applicable without a live URL' }
+      : runCheck(rule, analysis);
+    return {
+      id: rule.id,
+      category: rule.category,
+      title: rule.title || rule.id,
+      weight: weights[rule.id] !== undefined ? weights[rule.id] : rule.weight,
+      severity: rule.severity || 'minor',
+      status: result.status || 'na',
+      evidence: result.evidence || null,
+      elements: result.elements && result.elements.length && result.status !== 'pass' ? result.elements : null,
+      remedy: result.remedy && result.status !== 'pass' ? result.remedy : null,
+      wcag: rule.wcag ? wcagReference(rule.wcag) : null,
+      rule,
+      subject: analysis,
+      offline: Boolean(rule.requiresUrl && offline)
+    };
+  });
+
+  const score = scoreFindings(findings);
+  const subscores = {};
+  Object.keys(CATEGORIES).forEach(category => {
+    const inCategory = findings.filter(f => f.category === category && f.status !== 'na');
+    if (inCategory.length) subscores[category] = scoreFindings(inCategory);
+  });
+
+  return { score, grade: gradeFor(score), subscores, findings };
+}
+
+// Site report: the page average counts three times as much as the site-wide
+// checks. Findings are the start page's plus the site-wide ones.
+function evaluateSite(crawl, options = {}) {
+  const pageReports = crawl.pages.map(p => evaluateRules(p.analysis, options));
+  const siteReport = evaluateRules(crawl.site, { ...options, scope: 'site' });
+  const siteApplies = siteReport.findings.some(f => f.status !== 'na');
+  const average = values => Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+  const blend = (pageValue, siteValue) => siteValue === undefined ? pageValue : Math.round((pageValue * 3 + siteValue) / 4);
+
+  const score = blend(average(pageReports.map(r => r.score)), siteApplies ? siteReport.score : undefined);
+  const subscores = {};
+  Object.keys(CATEGORIES).forEach(category => {
+    const values = pageReports.map(r => r.subscores[category]).filter(v => v !== undefined);
+    if (values.length) subscores[category] = blend(average(values), siteReport.subscores[category]);
+    else if (siteReport.subscores[category] !== undefined) subscores[category] = siteReport.subscores[category];
+  });
+
+  return {
+    score,
+    grade: gradeFor(score),
+    subscores,
+    findings: pageReports[0].findings.concat(siteReport.findings),
+    pages: crawl.pages.map((p, i) => ({ url: p.url, score: pageReports[i].score, grade: pageReports[i].grade })),
+    pageReports
+  };
+}
+
+// Machine-readable view of a report for API clients
+function reportPayload(report) {
+  const subscores = {};
+  Object.entries(report.subscores).forEach(([category, score]) => {
+    subscores[category] = { label: CATEGORIES[category].label, icon: CATEGORIES[category].icon, score };
+  });
+  return {
+    score: report.score,
+    grade: report.grade,
+    subscores,
+    findings: report.findings.map(({ id, category, title, status, severity, weight, evidence, elements, remedy, wcag }) => (
+      { id, category, title, status, severity, weight, evidence, elements, remedy, wcag }
+    ))
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  SEVERITY_ORDER,
+  RULES,
+  registerRule,
+  configureRules,
+  gradeFor,
+  resolveMessage,
+  scoreFindings,
+  evaluateRules,
+  evaluateSite,
+  reportPayload
+};
@@ -0,0 +1,128 @@
+const { normalizeSections, defaultSections } = require('./sections');
+const { DEFAULT_LOCALE, LOCALES, localeFor } = require('./catalogs');
+const { resolveDesign } = require('./themes');
+
+// Landing page request schema
+// Every field the generator accepts, with its limits. Validation collects
+// one message per field so the step 3 form can show each next to its input.
+const CTA_OPTIONS = ['Get Started', 'Book a Call', 'Contact Us', 'Sign Up Free', 'Get a Quote'];
+
+const EMAIL = /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+$/;
+const PHONE = /^\+?[\d\s().-]{7,}$/;
+const WEBSITE = /^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?([/?#]\S*)?$/i;
+const HTTP_URL = /^https?:\/\/\S+$/i;
+
+const LANDING_FIELDS = {
+  name: { label: 'Business name', required: true, max: 80 },
+  description: { label: 'Description', required: true, max: 200 },
+  targetCustomer: { label: 'Ideal customer', max: 120, default: 'everyone' },
+  badge: { label: 'Badge', max: 80 },
+  subheadline: { label: 'Subheadline', max: 300 },
+  features: { label: 'Features', max: 1000, default: 'Quality service, Fast delivery, Great support' },
+  cta: { label: 'Call to action', options: CTA_OPTIONS, default: 'Get Started' },
+  contact: { label: 'Contact info', max: 200, default: 'Contact us for more info' },
+  email: { label: 'Email', max: 254, pattern: EMAIL, hint: 'a valid email address' },
+  phone: { label: 'Phone', max: 40, pattern: PHONE, hint: 'a phone number' },
+  logo: { label: 'Logo', max: 2048, pattern: HTTP_URL, hint: 'an http(s) URL' },
+  favicon: { label: 'Favicon', max: 2048, pattern: HTTP_URL, hint: 'an http(s) URL' }
+};
+const SOCIAL_LIMIT = 12;
+
+// What a free-text contact is, and the link it should render as
+function detectContact(value) {
+  const contact = String(value || '').trim();
+  if (EMAIL.test(contact)) return { type: 'email', href: `mailto:${contact}` };
+  if (PHONE.test(contact)) return { type: 'phone', href: `tel:${contact.replace(/[^\d+]/g, '')}` };
+  if (WEBSITE.test(contact)) return { type: 'url', href: /^https?:\/\//i.test(contact) ? contact : `https://${contact}` };
+  return { type: 'text', href: '' };
+}
+
+function checkField(field, value, schema) {
+  if (value === undefined || value === null || value === '') {
+    return schema.required ? { error: `${schema.label} is required` } : { value: schema.default };
+  }
+  if (typeof value !== 'string') return { error: `${schema.label} must be text` };
+  const text = value.trim();
+  if (!text) return schema.required ? { error: `${schema.label} is required` } : { value: schema.default };
+  if (schema.options && !schema.options.includes(text)) return { error: `${schema.label} must be one of: ${schema.options.join(', ')}` };
+  if (schema.max && text.length > schema.max) return { error: `${schema.label} must be at most ${schema.max} characters` };
+  if (schema.pattern && !schema.pattern.test(text)) return { error: `${schema.label} must be ${schema.hint}` };
+  return { value: text };
+}
+
+function checkSocial(social) {
+  if (social === undefined || social === null) return { value: [] };
+  if (!Array.isArray(social)) return { error: 'Social links must be a list' };
+  if (social.length > SOCIAL_LIMIT) return { error: `At most ${SOCIAL_LIMIT} social links` };
+  const invalid = social.findIndex(link => !link || typeof link.url !== 'string' || !HTTP_URL.test(link.url));
+  if (invalid !== -1) return { error: `Social link ${invalid + 1} needs an http(s) URL` };
+  return {
+    value: social.map(link => ({
+      network: String(link.network || '').slice(0, 40),
+      label: String(link.label || link.network || '').slice(0, 40),
+      url: link.url
+    }))
+  };
+}
+
+// The page's language: a catalog code, or a regional variant of one
+function checkLocale(value) {
+  if (value === undefined || value === null || value === '') return { value: DEFAULT_LOCALE };
+  const locale = typeof value === 'string' && localeFor(value.trim());
+  if (!locale) return { error: `Language must be one of: ${Object.keys(LOCALES).join(', ')}` };
+  return { value: locale.id };
+}
+
+// Validate a generate or export request body. Returns { businessInfo, design }
+// or throws a 400 whose `fields` maps each invalid field to its message.
+// Defaults for the free-text fields come in the page's language.
+function validateLandingRequest(body = {}) {
+  const fields = {};
+  const businessInfo = {};
+  const locale = checkLocale(body.locale);
+  if (locale.error) fields.locale = locale.error;
+  else businessInfo.locale = locale.value;
+
+  const defaults = (localeFor(businessInfo.locale) || localeFor()).landing.defaults;
+  Object.entries(LANDING_FIELDS).forEach(([field, schema]) => {
+    const result = checkField(field, body[field], defaults[field] === undefined ? schema : { ...schema, default: defaults[field] });
+    if (result.error) fields[field] = result.error;
+    else if (result.value !== undefined) businessInfo[field] = result.value;
+  });
+
+  const social = checkSocial(body.social);
+  if (social.error) fields.social = social.error;
+  else businessInfo.social = social.value;
+
+  if (body.sections !== undefined) businessInfo.sections = body.sections;
+  try {
+    normalizeSections(businessInfo.sections || defaultSections(businessInfo), { name: '', ...businessInfo });
+  } catch (error) {
+    if (error.code !== 'INVALID_SECTIONS') throw error;
+    fields.sections = error.message;
+  }
+
+  const design = { theme: body.theme, colors: body.colors, fonts: body.fonts, mode: body.mode };
+  try {
+    resolveDesign(design);
+  } catch (error) {
+    if (error.code !== 'INVALID_DESIGN') throw error;
+    fields[error.field || 'theme'] = error.message;
+  }
+
+  if (Object.keys(fields).length) {
+    const error = new Error(Object.values(fields)[0]);
+    error.status = 400;
+    error.code = 'INVALID_REQUEST';
+    error.fields = fields;
+    throw error;
+  }
+  return { businessInfo, design };
+}
+
+module.exports = {
+  CTA_OPTIONS,
+  LANDING_FIELDS,
+  detectContact,
+  validateLandingRequest
+};
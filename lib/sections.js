@@ -0,0 +1,159 @@
+const { html } = require('./html');
+const { landingCopy } = require('./catalogs');
+
+// Landing page sections
+// The body of a generated page is an ordered list of sections the user
+// composes. Each type declares its default title (English; the page's
+// locale may translate it), section-level fields and, for repeating
+// content, which item fields are required. The nav, hero and footer are
+// always built from the business info around this list.
+const SECTION_TYPES = {
+  features: {
+    title: 'Why Choose {name}?',
+    fields: ['subtitle'],
+    item: { required: ['title'], optional: ['icon', 'text'] }
+  },
+  pricing: {
+    title: 'Pricing',
+    fields: ['subtitle'],
+    item: { required: ['name', 'price'], optional: ['period', 'features', 'highlighted'] }
+  },
+  testimonials: {
+    title: 'What Our Customers Say',
+    item: { required: ['quote', 'name'], optional: ['role'] }
+  },
+  faq: {
+    title: 'Frequently Asked Questions',
+    item: { required: ['question', 'answer'] }
+  },
+  team: {
+    title: 'Meet the Team',
+    item: { required: ['name'], optional: ['role', 'photo'] }
+  },
+  gallery: {
+    title: 'Gallery',
+    item: { required: ['src'], optional: ['alt', 'caption'] }
+  },
+  stats: {
+    title: 'By the Numbers',
+    item: { required: ['value', 'label'] }
+  },
+  cta: {
+    title: 'Ready to Get Started?',
+    fields: ['text']
+  },
+  contact: {
+    title: 'Get In Touch'
+  }
+};
+
+const SECTION_LIMITS = { sections: 20, items: 50, text: 2000 };
+const FEATURE_ICONS = ['⭐', '🚀', '💎', '✅', '⚡', '🎯'];
+// Absolute only: an exported site doesn't bundle root-relative images
+const IMAGE_URL = /^https?:\/\//i;
+
+function sectionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_SECTIONS';
+  return error;
+}
+
+// `label` names the field in the error when the value isn't text
+function cleanText(value, label) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw sectionError(`${label} must be text`);
+  return value.trim().slice(0, SECTION_LIMITS.text);
+}
+
+// Pricing tiers list what's included as an array or a comma separated string
+function cleanList(value, label) {
+  const list = Array.isArray(value) ? value : cleanText(value, label).split(',');
+  return list.map(entry => cleanText(entry, label)).filter(Boolean);
+}
+
+function cleanItem(type, raw, label) {
+  const schema = SECTION_TYPES[type].item;
+  const item = {};
+  schema.required.concat(schema.optional || []).forEach(field => {
+    if (field === 'highlighted') item.highlighted = Boolean(raw.highlighted);
+    else if (field === 'features') item.features = cleanList(raw.features, `${label}: features`);
+    else item[field] = cleanText(raw[field], `${label}: ${field}`);
+  });
+  // Rows left blank in the editor are dropped; half-filled ones are an error
+  const missing = schema.required.filter(field => !item[field]);
+  if (missing.length === schema.required.length) return null;
+  if (missing.length) throw sectionError(`${label}: ${missing.join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+  ['src', 'photo'].forEach(field => {
+    if (item[field] && !IMAGE_URL.test(item[field])) throw sectionError(`${label}: ${field} must be an http(s) URL`);
+  });
+  return item;
+}
+
+// Validate and normalize user sections. Sections whose items are all blank
+// are dropped, and every section gets a unique anchor id.
+function normalizeSections(input, businessInfo) {
+  if (!Array.isArray(input)) throw sectionError('sections must be an array');
+  if (input.length > SECTION_LIMITS.sections) throw sectionError(`A page can have at most ${SECTION_LIMITS.sections} sections`);
+
+  const ids = {};
+  return input.map((raw, i) => {
+    const type = raw && raw.type;
+    const schema = Object.hasOwn(SECTION_TYPES, type) && SECTION_TYPES[type];
+    if (!schema) throw sectionError(`Section ${i + 1}: unknown type "${type}". Use one of: ${Object.keys(SECTION_TYPES).join(', ')}`);
+
+    const title = landingCopy(businessInfo.locale).sectionTitles[type] || schema.title;
+    const label = `Section ${i + 1} (${type})`;
+    const section = { type, title: cleanText(raw.title, `${label}: title`) || title.replace('{name}', businessInfo.name) };
+    (schema.fields || []).forEach(field => { section[field] = cleanText(raw[field], `${label}: ${field}`); });
+    if (schema.item) {
+      const items = Array.isArray(raw.items) ? raw.items : [];
+      if (items.length > SECTION_LIMITS.items) throw sectionError(`${label}: at most ${SECTION_LIMITS.items} items`);
+      section.items = items
+        .map((item, j) => cleanItem(type, item || {}, `${label}, item ${j + 1}`))
+        .filter(Boolean);
+      if (!section.items.length) return null;
+    }
+    if (type === 'features') {
+      section.items.forEach((item, j) => { item.icon = item.icon || FEATURE_ICONS[j % FEATURE_ICONS.length]; });
+    }
+
+    ids[type] = (ids[type] || 0) + 1;
+    section.id = ids[type] === 1 ? type : `${type}-${ids[type]}`;
+    return section;
+  }).filter(Boolean);
+}
+
+// Sections for requests that only send the original flat fields: the
+// comma separated benefits become feature cards, then a CTA and contact
+function defaultSections(businessInfo) {
+  return [
+    { type: 'features', subtitle: landingCopy(businessInfo.locale).featuresSubtitle, items: cleanList(businessInfo.features, 'features').map(title => ({ title })) },
+    { type: 'cta' },
+    { type: 'contact' }
+  ];
+}
+
+// Visual editor hooks
+// In the step 4 editor preview every rendered text carries the path of the
+// generator input field it came from (`sections.2.items.0.title`, `cta`).
+// Paths starting with a dot are relative to the section being rendered.
+// Published pages have no `edit` prefix and get no attributes.
+function editable(section, path) {
+  if (section.edit === undefined) return '';
+  return html` data-edit="${path.startsWith('.') ? section.edit + path.slice(1) : path}"`;
+}
+
+// For text that shares its element with other content
+function editableText(section, path, text) {
+  return section.edit === undefined ? text : html`<span${editable(section, path)}>${text}</span>`;
+}
+
+module.exports = {
+  SECTION_TYPES,
+  SECTION_LIMITS,
+  normalizeSections,
+  defaultSections,
+  editable,
+  editableText
+};
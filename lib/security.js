@@ -0,0 +1,307 @@
+const { FETCH_LIMITS, safeFetch } = require('./fetch');
+const { selectorFor } = require('./accessibility');
+
+// Security headers and transport audit
+// Response headers and cookies come from the page fetch; the plain-HTTP
+// redirect is probed once per site with HEAD requests (GET when HEAD is
+// refused). Mixed content and insecure form targets are read from the
+// markup, so pasted HTML and uploads get those too - they are checked as if
+// the page will be served over HTTPS.
+const RECOMMENDED_HEADERS = {
+  hsts: 'Strict-Transport-Security: max-age=31536000; includeSubDomains',
+  csp: 'Content-Security-Policy: default-src \'self\'; script-src \'self\'; object-src \'none\'; base-uri \'self\'; frame-ancestors \'self\'; upgrade-insecure-requests',
+  framing: 'X-Frame-Options: SAMEORIGIN',
+  contentTypeOptions: 'X-Content-Type-Options: nosniff',
+  referrerPolicy: 'Referrer-Policy: strict-origin-when-cross-origin',
+  permissionsPolicy: 'Permissions-Policy: camera=(), microphone=(), geolocation=(), payment=()',
+  upgradeInsecureRequests: 'Content-Security-Policy: upgrade-insecure-requests'
+};
+
+// HSTS shorter than this (180 days) doesn't qualify for browser preload lists
+const HSTS_MIN_AGE = 15552000;
+const REDIRECT_TIMEOUT = 8000;
+const PERMANENT_REDIRECTS = [301, 308];
+const WEAK_REFERRER_POLICIES = ['unsafe-url', 'no-referrer-when-downgrade'];
+
+// Offenders kept per check; counts are exact
+const ELEMENT_LIMIT = 20;
+
+// Subresources browsers block on HTTPS pages, and those they load (or
+// auto-upgrade) with a warning
+const ACTIVE_CONTENT = [
+  ['script[src]', 'src'],
+  ['link[rel~="stylesheet"][href]', 'href'],
+  ['iframe[src]', 'src'],
+  ['frame[src]', 'src'],
+  ['object[data]', 'data'],
+  ['embed[src]', 'src']
+];
+const PASSIVE_CONTENT = [
+  ['img[src]', 'src'],
+  ['img[srcset]', 'srcset'],
+  ['source[src]', 'src'],
+  ['source[srcset]', 'srcset'],
+  ['audio[src]', 'src'],
+  ['video[src]', 'src'],
+  ['video[poster]', 'poster'],
+  ['track[src]', 'src']
+];
+
+function toUrl(value, base) {
+  try {
+    return new URL(String(value).trim(), base || undefined);
+  } catch (error) {
+    return null;
+  }
+}
+
+// One header as a string; repeated headers are joined like browsers do
+function header(headers, name) {
+  const value = headers[name];
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value.join(', ') : String(value).trim();
+}
+
+function collect($, items) {
+  return {
+    count: items.length,
+    elements: items.slice(0, ELEMENT_LIMIT).map(({ el, detail }) => ({ selector: selectorFor($, el), detail }))
+  };
+}
+
+function hstsAudit(value) {
+  if (!value) return { value: null };
+  const maxAge = /max-age\s*=\s*"?(\d+)/i.exec(value);
+  return {
+    value,
+    maxAge: maxAge ? parseInt(maxAge[1], 10) : null,
+    includeSubDomains: /(^|;)\s*includesubdomains\s*(;|$)/i.test(value),
+    preload: /(^|;)\s*preload\s*(;|$)/i.test(value)
+  };
+}
+
+// Directive name -> source list. The first occurrence of a directive wins,
+// as in browsers; multiple policies are read as one.
+function parsePolicy(values) {
+  const directives = {};
+  values.forEach(value => value.split(/[;,]/).forEach(part => {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    const key = (name || '').toLowerCase();
+    if (key && !directives[key]) directives[key] = sources;
+  }));
+  return directives;
+}
+
+function cspWeaknesses(directives) {
+  const scripts = directives['script-src'] || directives['default-src'];
+  if (!scripts) return ['no script-src or default-src, so scripts from anywhere may run'];
+  const sources = scripts.map(s => s.toLowerCase());
+  const weaknesses = [];
+  const vouched = sources.some(s => /^'(nonce-|sha(256|384|512)-)/.test(s) || s === '\'strict-dynamic\'');
+  if (sources.includes('\'unsafe-inline\'') && !vouched) weaknesses.push('\'unsafe-inline\' scripts are allowed');
+  if (sources.includes('\'unsafe-eval\'')) weaknesses.push('\'unsafe-eval\' is allowed');
+  const wildcards = sources.filter(s => s === '*' || s === 'http:' || s === 'https:' || s === 'data:');
+  if (wildcards.length) weaknesses.push(`scripts may load from ${wildcards.join(' ')}`);
+  return weaknesses;
+}
+
+// Content-Security-Policy from headers and <meta http-equiv>. frame-ancestors
+// is ignored in a meta policy, so it only counts from the header.
+function cspAudit($, headers) {
+  const fromHeader = header(headers, 'content-security-policy');
+  const fromMeta = $('meta[http-equiv]')
+    .filter((i, el) => String(el.attribs['http-equiv']).toLowerCase() === 'content-security-policy')
+    .map((i, el) => el.attribs.content || '').get().filter(Boolean);
+  const reportOnly = header(headers, 'content-security-policy-report-only');
+  const values = (fromHeader ? [fromHeader] : []).concat(fromMeta);
+  if (!values.length) return { present: false, reportOnly: Boolean(reportOnly), value: reportOnly };
+
+  const directives = parsePolicy(values);
+  return {
+    present: true,
+    reportOnly: false,
+    value: values.join('; '),
+    source: fromHeader ? 'header' : 'meta',
+    directives: Object.keys(directives),
+    frameAncestors: fromHeader ? parsePolicy([fromHeader])['frame-ancestors'] || null : null,
+    upgradeInsecureRequests: 'upgrade-insecure-requests' in directives,
+    weaknesses: cspWeaknesses(directives)
+  };
+}
+
+function framingAudit(headers, csp) {
+  const frameOptions = header(headers, 'x-frame-options');
+  return {
+    frameOptions: frameOptions ? frameOptions.toUpperCase() : null,
+    frameAncestors: csp.frameAncestors ? csp.frameAncestors.join(' ') : null
+  };
+}
+
+function referrerAudit($, headers) {
+  const fromHeader = header(headers, 'referrer-policy');
+  const fromMeta = $('meta[name="referrer"]').attr('content');
+  const value = fromHeader || (fromMeta ? fromMeta.trim() : null);
+  if (!value) return { value: null, source: null };
+  // The last policy a browser understands wins
+  const policy = value.split(',').map(p => p.trim().toLowerCase()).filter(Boolean).pop();
+  return { value, policy, source: fromHeader ? 'header' : 'meta', weak: WEAK_REFERRER_POLICIES.includes(policy) };
+}
+
+function parseCookie(line) {
+  const [pair, ...attributes] = String(line).split(';');
+  const flags = {};
+  attributes.forEach(attribute => {
+    const [key, ...value] = attribute.split('=');
+    flags[key.trim().toLowerCase()] = value.join('=').trim();
+  });
+  return {
+    name: pair.split('=')[0].trim(),
+    secure: 'secure' in flags,
+    httpOnly: 'httponly' in flags,
+    sameSite: flags.samesite ? flags.samesite.toLowerCase() : null
+  };
+}
+
+// Set-Cookie flags. Secure only matters when the page itself is HTTPS.
+function cookieAudit(headers, secure) {
+  const lines = [].concat(headers['set-cookie'] || []);
+  const cookies = lines.map(parseCookie).filter(c => c.name);
+  const issues = [];
+  cookies.forEach(cookie => {
+    const missing = [];
+    if (secure && !cookie.secure) missing.push('Secure');
+    if (!cookie.httpOnly) missing.push('HttpOnly');
+    if (!cookie.sameSite) missing.push('SameSite');
+    const noneWithoutSecure = cookie.sameSite === 'none' && !cookie.secure;
+    if (!missing.length && !noneWithoutSecure) return;
+    issues.push({
+      name: cookie.name,
+      missing,
+      critical: (secure && !cookie.secure) || noneWithoutSecure,
+      detail: `${cookie.name}: ${noneWithoutSecure ? 'SameSite=None without Secure' : `no ${missing.join(', ')}`}`
+    });
+  });
+  return { total: cookies.length, count: issues.length, critical: issues.filter(i => i.critical).length, issues };
+}
+
+// Absolute http:// URLs in an attribute; srcset lists are split into URLs
+function insecureUrls(value, attribute) {
+  const candidates = attribute === 'srcset'
+    ? String(value).split(',').map(part => part.trim().split(/\s+/)[0])
+    : [String(value).trim()];
+  return candidates.filter(candidate => /^http:\/\//i.test(candidate));
+}
+
+function mixedContent($, pairs) {
+  const items = [];
+  pairs.forEach(([selector, attribute]) => {
+    $(selector).each((i, el) => {
+      const urls = insecureUrls(el.attribs[attribute], attribute);
+      if (urls.length) items.push({ el, detail: `${el.tagName} ${attribute}="${urls[0]}"` });
+    });
+  });
+  return collect($, items);
+}
+
+// Forms whose data leaves over plain HTTP: an explicit http:// action, or
+// any ordinary form on a page that is itself served over HTTP
+function insecureForms($, pageUrl) {
+  const items = [];
+  $('form').each((i, el) => {
+    const action = (el.attribs.action || '').trim();
+    if (/^(mailto|javascript|tel):/i.test(action)) return;
+    const target = toUrl(action, pageUrl);
+    if (!target || target.protocol !== 'http:') return;
+    const password = $(el).find('input[type="password"]').length > 0;
+    items.push({ el, detail: `posts to ${target.href}${password ? ' (includes a password field)' : ''}` });
+  });
+  return collect($, items);
+}
+
+// Request the http:// version of an HTTPS page and follow it hop by hop
+// until it reaches HTTPS; whatever is served there is not our concern.
+// Resolves to null for pages that aren't HTTPS, { url, redirected, location,
+// status, permanent } when plain HTTP answers, or { url, error } when it
+// doesn't. `status` is the first response's.
+async function checkHttpRedirect(pageUrl) {
+  const page = toUrl(pageUrl);
+  if (!page || page.protocol !== 'https:') return null;
+  page.protocol = 'http:';
+  const url = page.href;
+  const probe = (target, method) => safeFetch(target, {
+    method,
+    accept: null,
+    timeout: REDIRECT_TIMEOUT,
+    maxBytes: method === 'HEAD' ? Infinity : undefined,
+    followRedirects: false
+  });
+
+  const hops = [];
+  let current = url;
+  try {
+    while (hops.length <= FETCH_LIMITS.maxRedirects) {
+      const response = await probe(current, 'HEAD').catch(error => {
+        if (error.code === 'HTTP_ERROR') return probe(current, 'GET');
+        throw error;
+      });
+      hops.push(response.status);
+      const location = response.headers.location && response.status >= 300 && response.status < 400
+        ? new URL(response.headers.location, current).href
+        : null;
+      if (!location) return { url, redirected: false, location: null, status: hops[0], permanent: false };
+      if (location.startsWith('https:')) {
+        return { url, redirected: true, location, status: hops[0], permanent: hops.every(status => PERMANENT_REDIRECTS.includes(status)) };
+      }
+      current = location;
+    }
+    return { url, error: 'TOO_MANY_REDIRECTS' };
+  } catch (error) {
+    return { url, error: error.code || 'FETCH_FAILED' };
+  }
+}
+
+// Everything the security rules read. Header-based checks are null when the
+// page wasn't fetched (no headers), HSTS and mixed content are null on HTTP
+// pages, where the whole page is already insecure.
+function auditSecurity($, url, { finalUrl, headers = null, httpRedirect = null } = {}) {
+  const page = toUrl(finalUrl || url);
+  const live = Boolean(page && /^https?:$/.test(page.protocol));
+  const secure = !live || page.protocol === 'https:';
+  const pageUrl = live ? page.href : null;
+
+  const audit = {
+    redirect: httpRedirect,
+    mixedContent: secure ? { active: mixedContent($, ACTIVE_CONTENT), passive: mixedContent($, PASSIVE_CONTENT) } : null,
+    insecureForms: insecureForms($, pageUrl),
+    hsts: null,
+    csp: null,
+    framing: null,
+    contentTypeOptions: null,
+    referrerPolicy: null,
+    permissionsPolicy: null,
+    cookies: null
+  };
+  if (!headers) return audit;
+
+  const csp = cspAudit($, headers);
+  return {
+    ...audit,
+    hsts: secure ? hstsAudit(header(headers, 'strict-transport-security')) : null,
+    csp,
+    framing: framingAudit(headers, csp),
+    contentTypeOptions: { value: header(headers, 'x-content-type-options') },
+    referrerPolicy: referrerAudit($, headers),
+    permissionsPolicy: {
+      value: header(headers, 'permissions-policy'),
+      featurePolicy: header(headers, 'feature-policy')
+    },
+    cookies: cookieAudit(headers, secure)
+  };
+}
+
+module.exports = {
+  RECOMMENDED_HEADERS,
+  HSTS_MIN_AGE,
+  checkHttpRedirect,
+  auditSecurity
+};
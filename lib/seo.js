@@ -0,0 +1,427 @@
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { safeFetch } = require('./fetch');
+const { selectorFor } = require('./accessibility');
+
+// SEO and social metadata audit
+// Reads what search engines and link previews read: canonical, robots
+// directives (meta and X-Robots-Tag), Open Graph, Twitter cards, hreflang
+// alternates and JSON-LD. robots.txt and sitemap.xml are checked once per
+// site and handed in as `siteFiles`; pasted HTML has none, so they stay null.
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+const SITE_FILE_LIMITS = { robotsBytes: 512 * 1024, sitemapBytes: 10 * 1024 * 1024, timeout: 8000, issues: 10 };
+
+// Issues kept per check; counts are always exact
+const ISSUE_LIMIT = 20;
+
+const OPEN_GRAPH_REQUIRED = ['title', 'type', 'image', 'url'];
+const TWITTER_CARDS = ['summary', 'summary_large_image', 'app', 'player'];
+const VALUED_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+const HREFLANG = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+// Properties Google needs before it shows a rich result. An array entry means
+// any one of those properties will do. Types not listed are only checked for
+// @context and @type.
+const SCHEMA_REQUIREMENTS = {
+  Organization: ['name'],
+  LocalBusiness: ['name', 'address'],
+  Person: ['name'],
+  WebSite: ['name', 'url'],
+  Product: ['name', ['offers', 'review', 'aggregateRating']],
+  Offer: [['price', 'priceSpecification']],
+  AggregateRating: ['ratingValue', ['ratingCount', 'reviewCount']],
+  Review: ['author', 'reviewRating'],
+  Article: ['headline'],
+  Event: ['name', 'startDate', 'location'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', ['name', 'item']],
+  Recipe: ['name', 'image'],
+  JobPosting: ['title', 'description', 'datePosted', 'hiringOrganization', ['jobLocation', 'jobLocationType']],
+  VideoObject: ['name', 'thumbnailUrl', 'uploadDate'],
+  SoftwareApplication: ['name', 'offers', ['aggregateRating', 'review']]
+};
+// Subtypes that share their parent's requirements
+const SCHEMA_ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  Restaurant: 'LocalBusiness',
+  CafeOrCoffeeShop: 'LocalBusiness',
+  Bakery: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness',
+  LegalService: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  MedicalBusiness: 'LocalBusiness',
+  HealthAndBeautyBusiness: 'LocalBusiness',
+  BeautySalon: 'LocalBusiness',
+  HomeAndConstructionBusiness: 'LocalBusiness',
+  Plumber: 'LocalBusiness',
+  Electrician: 'LocalBusiness',
+  AutoRepair: 'LocalBusiness',
+  RealEstateAgent: 'LocalBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  MobileApplication: 'SoftwareApplication',
+  WebApplication: 'SoftwareApplication'
+};
+
+function toUrl(value, base) {
+  try {
+    return new URL(value, base || undefined);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Two URLs name the same page if they only differ by fragment or a trailing slash
+function samePage(a, b) {
+  const key = url => url.origin + url.pathname.replace(/\/+$/, '') + url.search;
+  return key(a) === key(b);
+}
+
+function relList(el) {
+  return String(el.attribs.rel || '').toLowerCase().split(/\s+/);
+}
+
+// meta[property] or meta[name] values, keyed without their prefix
+function metaGroup($, prefix) {
+  const values = {};
+  $('meta[property], meta[name]').each((i, el) => {
+    const key = String(el.attribs.property || el.attribs.name || '').toLowerCase();
+    const content = String(el.attribs.content || '').trim();
+    if (key.startsWith(prefix) && content && values[key.slice(prefix.length)] === undefined) {
+      values[key.slice(prefix.length)] = content;
+    }
+  });
+  return values;
+}
+
+function canonicalAudit($, page) {
+  const links = $('link[href]').filter((i, el) => relList(el).includes('canonical')).get();
+  if (!links.length) return { value: null, href: null, count: 0, relative: false, distinct: 0, conflict: null };
+
+  const hrefs = links.map(el => el.attribs.href.trim());
+  const resolved = hrefs.map(href => toUrl(href, page));
+  const distinct = new Set(resolved.map((url, i) => url ? url.href : hrefs[i])).size;
+  const target = resolved[0];
+  return {
+    value: hrefs[0],
+    href: target ? target.href : hrefs[0],
+    count: links.length,
+    relative: !/^https?:\/\//i.test(hrefs[0]),
+    distinct,
+    conflict: page && target && !samePage(page, target) ? target.href : null,
+    elements: links.map(el => ({ selector: selectorFor($, el), detail: `href="${el.attribs.href}"` }))
+  };
+}
+
+// X-Robots-Tag may name a crawler ("googlebot: noindex"); only those aimed
+// at every crawler or at Google count here
+function robotsAudit($, headers) {
+  const directives = [];
+  const sources = [];
+  $('meta[name]').each((i, el) => {
+    if (!['robots', 'googlebot'].includes(el.attribs.name.toLowerCase())) return;
+    directives.push(...String(el.attribs.content || '').toLowerCase().split(',').map(d => d.trim()));
+    if (!sources.includes('meta')) sources.push('meta');
+  });
+  [].concat(headers['x-robots-tag'] || []).forEach(header => {
+    String(header).toLowerCase().split(',').forEach(part => {
+      const prefixed = /^\s*([\w-]+)\s*:\s*(.*)$/.exec(part);
+      if (!prefixed || VALUED_DIRECTIVES.includes(prefixed[1])) directives.push(part.trim());
+      else if (prefixed[1] === 'googlebot') directives.push(prefixed[2].trim());
+    });
+    if (!sources.includes('header')) sources.push('header');
+  });
+
+  const unique = [...new Set(directives.filter(Boolean))];
+  return {
+    directives: unique,
+    noindex: unique.includes('noindex') || unique.includes('none'),
+    nofollow: unique.includes('nofollow') || unique.includes('none'),
+    sources
+  };
+}
+
+function openGraphAudit($, page) {
+  const og = metaGroup($, 'og:');
+  const image = og.image || og['image:url'] || og['image:secure_url'] || null;
+  return {
+    title: og.title || null,
+    type: og.type || null,
+    url: og.url || null,
+    image,
+    imageRelative: Boolean(image && !/^https?:\/\//i.test(image)),
+    imageUrl: image && toUrl(image, page) ? toUrl(image, page).href : null,
+    description: og.description || null,
+    siteName: og.site_name || null,
+    missing: OPEN_GRAPH_REQUIRED.filter(key => !(key === 'image' ? image : og[key]))
+  };
+}
+
+function twitterAudit($) {
+  const twitter = metaGroup($, 'twitter:');
+  return {
+    card: twitter.card || null,
+    validCard: !twitter.card || TWITTER_CARDS.includes(twitter.card.toLowerCase()),
+    title: twitter.title || null,
+    description: twitter.description || null,
+    image: twitter.image || twitter['image:src'] || null,
+    site: twitter.site || null
+  };
+}
+
+function hreflangAudit($, page) {
+  const links = $('link[hreflang][href]').filter((i, el) => relList(el).includes('alternate')).get();
+  const issues = [];
+  const byLang = {};
+  let selfReference = false;
+
+  links.forEach(el => {
+    const lang = el.attribs.hreflang.trim();
+    const href = el.attribs.href.trim();
+    const issue = detail => issues.push({ selector: selectorFor($, el), detail });
+    if (!HREFLANG.test(lang)) issue(`"${lang}" isn't a language code (use ISO 639-1, optionally with a region, or x-default)`);
+    if (!/^https?:\/\//i.test(href)) issue(`hreflang="${lang}" uses a relative URL; alternates must be absolute`);
+    const target = toUrl(href, page);
+    const key = lang.toLowerCase();
+    if (byLang[key] && target && byLang[key] !== target.href) issue(`hreflang="${lang}" is listed twice with different URLs`);
+    if (target) byLang[key] = byLang[key] || target.href;
+    if (page && target && samePage(page, target)) selfReference = true;
+  });
+  if (links.length && page && !selfReference) {
+    issues.push({ selector: 'head', detail: 'No alternate points back to this page; every language version must list itself' });
+  }
+
+  return {
+    links: links.map(el => ({ lang: el.attribs.hreflang.trim(), href: el.attribs.href.trim() })),
+    xDefault: Boolean(byLang['x-default']),
+    count: issues.length,
+    elements: issues.slice(0, ISSUE_LIMIT)
+  };
+}
+
+function typesOf(item) {
+  return [].concat(item['@type'] || []).map(type => String(type).replace(/^(https?:\/\/)?schema\.org\//, ''));
+}
+
+function present(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== '';
+}
+
+function hasSchemaContext(context) {
+  if (!context) return false;
+  if (Array.isArray(context)) return context.some(hasSchemaContext);
+  if (typeof context === 'object') return hasSchemaContext(context['@vocab']);
+  return /^https?:\/\/schema\.org\/?$/i.test(String(context).trim());
+}
+
+// Walk an item and everything nested in it, checking each typed node
+function checkSchemaItem(item, report, trail) {
+  if (!item || typeof item !== 'object') return;
+  if (Array.isArray(item)) {
+    item.forEach(child => checkSchemaItem(child, report, trail));
+    return;
+  }
+  const types = typesOf(item);
+  types.forEach(type => {
+    report.types.add(type);
+    const required = SCHEMA_REQUIREMENTS[SCHEMA_ALIASES[type] || type] || [];
+    required.forEach(property => {
+      const options = [].concat(property);
+      if (!options.some(option => present(item[option]))) {
+        report.missing.push(`${trail}${type} is missing ${options.length > 1 ? `one of ${options.join(', ')}` : options[0]}`);
+      }
+    });
+  });
+  const label = types[0] ? `${trail}${types[0]} > ` : trail;
+  Object.entries(item).forEach(([key, value]) => {
+    if (!key.startsWith('@') && value && typeof value === 'object') checkSchemaItem(value, report, label);
+  });
+}
+
+function structuredDataAudit($) {
+  const blocks = $('script').filter((i, el) => String(el.attribs.type || '').toLowerCase().trim() === 'application/ld+json').get();
+  const types = new Set();
+  const issues = [];
+  let items = 0;
+
+  blocks.forEach(el => {
+    const issue = detail => issues.push({ selector: selectorFor($, el), detail });
+    let data;
+    try {
+      data = JSON.parse($(el).html());
+    } catch (error) {
+      issue(`Invalid JSON: ${error.message}`);
+      return;
+    }
+    const roots = [].concat(data);
+    roots.forEach(root => {
+      if (!root || typeof root !== 'object') return issue('A JSON-LD block must hold an object or an array of objects');
+      const graph = Array.isArray(root['@graph']) ? root['@graph'] : [root];
+      graph.forEach(item => {
+        items++;
+        if (!hasSchemaContext(item['@context'] || root['@context'])) issue(`${typesOf(item)[0] || 'Item'} has no schema.org @context`);
+        if (!typesOf(item).length) issue('An item has no @type');
+        const report = { types, missing: [] };
+        checkSchemaItem(item, report, '');
+        report.missing.forEach(issue);
+      });
+    });
+  });
+
+  return {
+    blocks: blocks.length,
+    items,
+    types: [...types],
+    count: issues.length,
+    elements: issues.slice(0, ISSUE_LIMIT)
+  };
+}
+
+function auditSeo($, url, { finalUrl, headers = {}, siteFiles = null } = {}) {
+  const page = toUrl(finalUrl || url);
+  const base = page && /^https?:$/.test(page.protocol) ? page : null;
+  return {
+    url: base ? base.href : null,
+    canonical: canonicalAudit($, base),
+    robots: robotsAudit($, headers),
+    openGraph: openGraphAudit($, base),
+    twitter: twitterAudit($),
+    hreflang: hreflangAudit($, base),
+    structuredData: structuredDataAudit($),
+    robotsTxt: siteFiles ? siteFiles.robotsTxt : null,
+    sitemap: siteFiles ? siteFiles.sitemap : null
+  };
+}
+
+// robots.txt lines are "field: value"; anything else is ignored by crawlers,
+// which usually means a typo that silently drops a rule
+const ROBOTS_FIELDS = ['user-agent', 'allow', 'disallow', 'sitemap', 'crawl-delay', 'host', 'clean-param'];
+
+function checkRobotsTxt(text) {
+  const issues = [];
+  const sitemaps = [];
+  let agents = [];
+  let inAgentLines = false;
+  const everyone = { disallowRoot: false, allows: 0 };
+
+  if (/^\s*</.test(text)) {
+    return { found: true, valid: false, issues: ['It\'s an HTML page, not a plain-text robots.txt'], blocksAll: false, sitemaps };
+  }
+  text.split(/\r?\n/).forEach((line, i) => {
+    const content = line.replace(/#.*$/, '').trim();
+    if (!content) return;
+    const separator = content.indexOf(':');
+    if (separator === -1) {
+      issues.push(`Line ${i + 1}: "${content.slice(0, 40)}" isn't a "field: value" line`);
+      return;
+    }
+    const field = content.slice(0, separator).trim().toLowerCase();
+    const value = content.slice(separator + 1).trim();
+
+    if (!ROBOTS_FIELDS.includes(field)) {
+      issues.push(`Line ${i + 1}: unknown field "${field}"`);
+    } else if (field === 'user-agent') {
+      if (!inAgentLines) agents = [];
+      agents.push(value.toLowerCase());
+      inAgentLines = true;
+      return;
+    } else if (field === 'allow' || field === 'disallow') {
+      if (!agents.length) issues.push(`Line ${i + 1}: ${field === 'allow' ? 'Allow' : 'Disallow'} comes before any User-agent`);
+      if (agents.includes('*')) {
+        if (field === 'disallow' && value === '/') everyone.disallowRoot = true;
+        if (field === 'allow' && value) everyone.allows++;
+      }
+    } else if (field === 'sitemap') {
+      if (/^https?:\/\//i.test(value)) sitemaps.push(value);
+      else issues.push(`Line ${i + 1}: Sitemap must be an absolute URL`);
+    }
+    inAgentLines = false;
+  });
+
+  return {
+    found: true,
+    valid: issues.length === 0,
+    issues: issues.slice(0, SITE_FILE_LIMITS.issues),
+    blocksAll: everyone.disallowRoot && everyone.allows === 0,
+    sitemaps
+  };
+}
+
+// A sitemap is a <urlset> of <url><loc> or a <sitemapindex> of
+// <sitemap><loc>. `origin` (when known) is the host every URL must be on.
+function checkSitemap(xml, origin) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const root = $.root().children().get(0);
+  const type = root ? root.name.replace(/^.*:/, '') : null;
+  if (type !== 'urlset' && type !== 'sitemapindex') {
+    return { found: true, valid: false, type: null, urlCount: 0, issues: ['The root element must be <urlset> or <sitemapindex>'] };
+  }
+
+  const entryName = type === 'urlset' ? 'url' : 'sitemap';
+  const localName = el => el.name.replace(/^.*:/, '');
+  const entries = $(root).children().filter((i, el) => localName(el) === entryName).get();
+  const locs = entries.map(el => $(el).children().filter((i, child) => localName(child) === 'loc').first().text().trim());
+  const host = origin ? new URL(origin).host : null;
+  const missing = locs.filter(loc => !loc).length;
+  const invalid = locs.filter(loc => loc && !/^https?:\/\/\S+$/i.test(loc));
+  const offHost = host ? locs.filter(loc => /^https?:\/\//i.test(loc) && toUrl(loc) && toUrl(loc).host !== host) : [];
+
+  const issues = [];
+  if (!entries.length) issues.push(`The ${type === 'urlset' ? 'sitemap lists no URLs' : 'index lists no sitemaps'}`);
+  if (missing) issues.push(`${missing} <${entryName}> entr${missing === 1 ? 'y has' : 'ies have'} no <loc>`);
+  if (invalid.length) issues.push(`${invalid.length} <loc> value(s) aren't absolute URLs, e.g. ${invalid[0].slice(0, 80)}`);
+  if (offHost.length) issues.push(`${offHost.length} URL(s) are on another host, e.g. ${offHost[0].slice(0, 80)}`);
+  if (entries.length > 50000) issues.push(`${entries.length} entries; a sitemap may hold at most 50,000`);
+
+  return { found: true, valid: issues.length === 0, type, urlCount: entries.length, issues };
+}
+
+// Fetch a file that might not exist; gzipped sitemaps are inflated
+async function fetchSiteFile(url, maxBytes) {
+  try {
+    const response = await safeFetch(url, { accept: null, binary: true, maxBytes, timeout: SITE_FILE_LIMITS.timeout });
+    let body = response.body;
+    if (body[0] === 0x1f && body[1] === 0x8b) body = zlib.gunzipSync(body, { maxOutputLength: maxBytes });
+    return { url: response.url, text: body.toString('utf8') };
+  } catch (error) {
+    return { url, error: error.status === 404 || error.status === 410 ? null : error.message };
+  }
+}
+
+// robots.txt and the sitemap it names (or /sitemap.xml). A crawl has already
+// fetched robots.txt, so it hands in the text (null when there was none).
+async function fetchSiteFiles(origin, robotsText) {
+  const robotsFile = robotsText === undefined
+    ? await fetchSiteFile(`${origin}/robots.txt`, SITE_FILE_LIMITS.robotsBytes)
+    : { url: `${origin}/robots.txt`, text: robotsText, error: null };
+  const robotsTxt = typeof robotsFile.text === 'string'
+    ? { url: robotsFile.url, ...checkRobotsTxt(robotsFile.text) }
+    : { url: robotsFile.url, found: false, error: robotsFile.error || null };
+
+  const sitemapUrl = (robotsTxt.sitemaps || [])[0] || `${origin}/sitemap.xml`;
+  const sitemapFile = await fetchSiteFile(sitemapUrl, SITE_FILE_LIMITS.sitemapBytes);
+  const sitemap = typeof sitemapFile.text === 'string'
+    ? { url: sitemapFile.url, ...checkSitemap(sitemapFile.text, origin) }
+    : { url: sitemapUrl, found: false, error: sitemapFile.error || null };
+
+  return { robotsTxt, sitemap };
+}
+
+module.exports = {
+  TITLE_LENGTH,
+  DESCRIPTION_LENGTH,
+  SCHEMA_REQUIREMENTS,
+  auditSeo,
+  checkRobotsTxt,
+  checkSitemap,
+  fetchSiteFiles
+};
@@ -0,0 +1,191 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Report store
+// Each analysis is saved as data/reports/<id>.json. index.json keeps one
+// summary line per report so history lookups don't read every file; writes
+// to it are queued so concurrent analyses can't clobber each other.
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, '..', 'data', 'reports');
+const REPORT_ID = /^[A-Za-z0-9_-]{6,32}$/;
+let indexQueue = Promise.resolve();
+
+function reportDomain(analysis) {
+  if (analysis.source && analysis.source !== 'url') return null;
+  try {
+    return new URL(analysis.url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function reportSummary(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    domain: record.domain,
+    url: record.analysis.url,
+    mode: record.mode || 'page',
+    score: record.score,
+    grade: record.grade
+  };
+}
+
+// Rebuilds the index from the report files, skipping any that can't be read
+async function rebuildIndex() {
+  const files = (await fs.promises.readdir(REPORTS_DIR)).filter(name => name !== 'index.json' && name.endsWith('.json'));
+  const index = [];
+  for (const name of files) {
+    try {
+      index.push(reportSummary(JSON.parse(await fs.promises.readFile(path.join(REPORTS_DIR, name), 'utf8'))));
+    } catch (error) {
+      console.error(`Skipping unreadable report ${name}:`, error.message);
+    }
+  }
+  return index;
+}
+
+// A corrupt index.json is rebuilt from the reports rather than failing
+// every history lookup
+async function readIndex() {
+  let text;
+  try {
+    text = await fs.promises.readFile(path.join(REPORTS_DIR, 'index.json'), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.error('Report index is corrupt, rebuilding it:', error.message);
+    return rebuildIndex();
+  }
+}
+
+// index.json is replaced in one rename so a crash can't leave half of it. A
+// failed update is logged and the report stays reachable by its permalink;
+// the queue carries on with the next one.
+function updateIndex(change) {
+  indexQueue = indexQueue.then(async () => {
+    const index = await readIndex();
+    change(index);
+    const file = path.join(REPORTS_DIR, 'index.json');
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(index));
+    await fs.promises.rename(temp, file);
+  }).catch(error => {
+    console.error('Report index update error:', error);
+  });
+  return indexQueue;
+}
+
+// A patch's fixed page is the whole page source: it goes back to whoever
+// ran the analysis but is never saved, so a permalink can't expose it
+function storedRecord(record) {
+  if (!record.patch || !record.patch.html) return record;
+  const { html, ...patch } = record.patch;
+  return { ...record, patch };
+}
+
+async function saveReport(payload) {
+  const record = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    createdAt: new Date().toISOString(),
+    domain: reportDomain(payload.analysis),
+    ...payload
+  };
+  await fs.promises.mkdir(REPORTS_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(REPORTS_DIR, `${record.id}.json`), JSON.stringify(storedRecord(record)));
+  await updateIndex(index => index.push(reportSummary(record)));
+  return record;
+}
+
+async function loadReport(id) {
+  if (!REPORT_ID.test(id)) return null;
+  try {
+    return storedRecord(JSON.parse(await fs.promises.readFile(path.join(REPORTS_DIR, `${id}.json`), 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Newest first, for one domain. Pasted and uploaded reports have no domain
+// and are only reachable through their permalink, so they are never listed.
+async function listReports({ domain, limit = 50 } = {}) {
+  if (!domain) return [];
+  const index = await readIndex();
+  const wanted = String(domain).toLowerCase().replace(/^www\./, '');
+  return index
+    .filter(r => r.domain && r.domain === wanted)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+// Regression diff between two saved reports of the same site
+const DIFF_COUNTS = ['imageCount', 'imagesWithoutAlt', 'scriptCount', 'formCount', 'h1Count', 'linkCount', 'buttonCount'];
+
+function diffReports(before, after) {
+  const failing = f => f.status === 'fail' || f.status === 'warn';
+  const beforeById = {};
+  before.findings.forEach(f => { beforeById[f.id] = f; });
+
+  const newlyFailing = [];
+  const newlyPassing = [];
+  after.findings.forEach(f => {
+    const previous = beforeById[f.id];
+    if (failing(f) && (!previous || !failing(previous))) {
+      newlyFailing.push({ id: f.id, title: f.title, status: f.status, severity: f.severity, evidence: f.evidence });
+    }
+    if (f.status === 'pass' && previous && failing(previous)) {
+      newlyPassing.push({ id: f.id, title: f.title, evidence: f.evidence });
+    }
+  });
+
+  const changedText = field => before.analysis[field] === after.analysis[field]
+    ? null
+    : { before: before.analysis[field], after: after.analysis[field] };
+
+  const counts = {};
+  DIFF_COUNTS.forEach(field => {
+    const from = before.analysis[field];
+    const to = after.analysis[field];
+    if (from === undefined && to === undefined) return;
+    counts[field] = { before: from, after: to, delta: (to || 0) - (from || 0) };
+  });
+
+  return {
+    from: reportSummary(before),
+    to: reportSummary(after),
+    scoreDelta: after.score - before.score,
+    newlyFailing,
+    newlyPassing,
+    changed: {
+      title: changedText('title'),
+      metaDescription: changedText('metaDescription')
+    },
+    counts
+  };
+}
+
+// Save a payload and add its permalink; a storage failure never fails the analysis
+async function withPermalink(payload) {
+  try {
+    const record = await saveReport(payload);
+    return { ...record, permalink: `/r/${record.id}` };
+  } catch (error) {
+    console.error('Report save error:', error);
+    return payload;
+  }
+}
+
+module.exports = {
+  REPORTS_DIR,
+  reportDomain,
+  saveReport,
+  loadReport,
+  listReports,
+  diffReports,
+  withPermalink
+};
@@ -0,0 +1,284 @@
+const { editable, editableText } = require('./sections');
+const { html, join } = require('./html');
+
+// Landing page themes
+// Every theme renders the same section list (see lib/sections.js), so
+// switching themes never loses content. A theme supplies default brand
+// colors and fonts, light and dark palettes, its own CSS on top of the
+// shared base, and optionally its own markup for individual section types.
+const FONT_PAIRINGS = {
+  inter: { label: 'Inter', heading: 'Inter', body: 'Inter' },
+  'space-grotesk': { label: 'Space Grotesk + Inter', heading: 'Space Grotesk', body: 'Inter' },
+  playfair: { label: 'Playfair Display + Source Sans 3', heading: 'Playfair Display', body: 'Source Sans 3' },
+  merriweather: { label: 'Merriweather + Open Sans', heading: 'Merriweather', body: 'Open Sans' },
+  poppins: { label: 'Poppins + Lora', heading: 'Poppins', body: 'Lora' },
+  'dm-serif': { label: 'DM Serif Display + DM Sans', heading: 'DM Serif Display', body: 'DM Sans' }
+};
+
+const MODES = ['light', 'dark', 'auto'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function designError(message, field) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_DESIGN';
+  error.field = field;
+  return error;
+}
+
+// Color helpers
+function toRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function toHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+// Blend `hex` toward `target` by `amount` (0-1)
+function mix(hex, target, amount) {
+  const a = toRgb(hex);
+  const b = toRgb(target);
+  return toHex(a.map((c, i) => c + (b[i] - c) * amount));
+}
+
+function luminance(hex) {
+  const [r, g, b] = toRgb(hex).map(c => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// WCAG contrast ratio between two colors
+function contrast(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Text color that stays readable on a brand-colored background
+function readableOn(hex) {
+  return contrast(hex, '#111827') > contrast(hex, '#ffffff') ? '#111827' : '#ffffff';
+}
+
+// A brand color used as text, darkened or lightened until it reaches 4.5:1
+// against the palette's page and card backgrounds
+function readableText(hex, palette) {
+  const target = luminance(palette.bg) > 0.4 ? '#000000' : '#ffffff';
+  const readable = color => Math.min(contrast(color, palette.bg), contrast(color, palette.surface)) >= 4.5;
+  let amount = 0;
+  while (amount < 1 && !readable(mix(hex, target, amount))) amount += 0.05;
+  return mix(hex, target, Math.min(amount, 1));
+}
+
+// Theme-specific section markup
+const localHero = s => html`<section class="hero">
+    <div class="hero-content">
+      <div class="hero-copy">
+        <div class="badge"${editable(s, 'badge')}>${s.badge}</div>
+        <h1${editable(s, 'description')}>${s.headline}</h1>
+        <p${editable(s, 'subheadline')}>${s.subheadline}</p>
+        <a href="${s.href}" class="cta-btn">${editableText(s, 'cta', s.cta)} →</a>
+      </div>
+      <aside class="hero-card">
+        <h2${editable(s, 'cta')}>${s.cta}</h2>
+        ${s.contactHref ? html`<p><a href="${s.contactHref}"${editable(s, 'contact')}>${s.contact}</a></p>` : html`<p${editable(s, 'contact')}>${s.contact}</p>`}
+        <a href="${s.href}" class="cta-btn">${s.contactCta}</a>
+      </aside>
+    </div>
+  </section>`;
+
+const portfolioFeatures = s => html`<section class="features" id="${s.id}">
+    <div class="section-header">
+      <h2${editable(s, '.title')}>${s.title}</h2>
+      ${s.subtitle ? html`<p${editable(s, '.subtitle')}>${s.subtitle}</p>` : ''}
+    </div>
+    <ol class="feature-list">
+      ${join(s.items.map((item, i) => html`<li><span class="feature-index">${String(i + 1).padStart(2, '0')}</span><div><h3${editable(s, `.items.${i}.title`)}>${item.title}</h3>${item.text ? html`<p${editable(s, `.items.${i}.text`)}>${item.text}</p>` : ''}</div></li>`), '\n      ')}
+    </ol>
+  </section>`;
+
+const THEMES = {
+  minimal: {
+    label: 'Minimal',
+    description: 'Quiet, centered and typographic',
+    colors: { primary: '#2563eb', accent: '#0ea5e9' },
+    fonts: 'inter',
+    palettes: {
+      light: { bg: '#ffffff', surface: '#fafafa', text: '#111827', muted: '#6b7280', border: '#e5e7eb' },
+      dark: { bg: '#0b0b0c', surface: '#141416', text: '#f3f4f6', muted: '#9ca3af', border: '#27272a' }
+    },
+    css: `
+    .hero { padding: 160px 24px 96px; }
+    .hero h1 { font-size: 3rem; font-weight: 700; letter-spacing: -0.03em; }
+    .badge { border: 1px solid var(--border); color: var(--muted); }
+    .cta-btn { background: var(--primary); color: var(--on-primary); border-radius: 6px; }
+    .feature-card { background: transparent; border: none; border-top: 1px solid var(--border); border-radius: 0; text-align: left; padding: 28px 0; }
+    .feature-card:hover { transform: none; box-shadow: none; }
+    .feature-icon { background: none; width: auto; height: auto; margin: 0 0 12px; justify-content: flex-start; }
+    .social-proof, .cta-section { background: var(--surface); color: var(--text); border-top: 1px solid var(--border); border-bottom: 1px solid var(--border); }
+    footer { background: var(--bg); color: var(--muted); border-top: 1px solid var(--border); }
+    footer p, .social-links a { opacity: 1; }`
+  },
+
+  saas: {
+    label: 'Bold SaaS',
+    description: 'Gradient hero, cards and big type',
+    colors: { primary: '#4f46e5', accent: '#a855f7' },
+    fonts: 'inter',
+    palettes: {
+      light: { bg: '#ffffff', surface: '#f8fafc', text: '#1a1a2e', muted: '#64748b', border: '#e2e8f0' },
+      dark: { bg: '#0f0f1a', surface: '#1a1a2e', text: '#f1f5f9', muted: '#94a3b8', border: '#2d2d44' }
+    },
+    css: `
+    .hero { background: linear-gradient(135deg, var(--primary) 0%, var(--accent) 100%); color: var(--on-primary); position: relative; overflow: hidden; }
+    .hero::before { content: ''; position: absolute; top: -50%; left: -50%; width: 200%; height: 200%; background: radial-gradient(circle, rgba(255,255,255,0.1) 0%, transparent 60%); animation: pulse 15s ease-in-out infinite; }
+    @keyframes pulse { 0%, 100% { transform: scale(1); } 50% { transform: scale(1.1); } }
+    .hero-content { position: relative; z-index: 1; }
+    .badge { background: rgba(255,255,255,0.2); backdrop-filter: blur(10px); }
+    .hero .cta-btn { background: #ffffff; color: var(--primary-on-white); box-shadow: 0 4px 15px rgba(0,0,0,0.2); }
+    .feature-icon { background: linear-gradient(135deg, var(--primary) 0%, var(--accent) 100%); }
+    .cta-section { background: linear-gradient(135deg, #1a1a2e 0%, #2d2d44 100%); color: #ffffff; }`
+  },
+
+  local: {
+    label: 'Local Business',
+    description: 'Warm, friendly, contact up front',
+    colors: { primary: '#b45309', accent: '#15803d' },
+    fonts: 'merriweather',
+    palettes: {
+      light: { bg: '#fffdf8', surface: '#fdf6ec', text: '#292524', muted: '#756e69', border: '#e7e0d5' },
+      dark: { bg: '#1c1917', surface: '#292524', text: '#fafaf9', muted: '#a8a29e', border: '#44403c' }
+    },
+    sections: { hero: localHero },
+    css: `
+    .hero { background: var(--surface); text-align: left; padding: 130px 24px 80px; }
+    .hero-content { max-width: 1100px; display: grid; grid-template-columns: 1.4fr 1fr; gap: 48px; align-items: center; }
+    .hero p { margin-left: 0; }
+    .badge { background: var(--accent); color: var(--on-accent); }
+    .hero-card { background: var(--bg); border: 1px solid var(--border); border-radius: 16px; padding: 32px; box-shadow: 0 10px 30px rgba(0,0,0,0.08); }
+    .hero-card h2 { font-size: 1.4rem; margin-bottom: 8px; }
+    .hero-card p { font-size: 1.1rem; color: var(--primary-text); font-weight: 600; margin-bottom: 20px; opacity: 1; }
+    .cta-btn { background: var(--primary); color: var(--on-primary); border-radius: 50px; }
+    .feature-card { border-radius: 12px; border-top: 4px solid var(--accent); }
+    .feature-icon { background: var(--surface); border-radius: 50%; }
+    .cta-section { background: var(--primary); color: var(--on-primary); }
+    .cta-section .cta-btn { background: var(--bg); color: var(--primary-text); }
+    @media (max-width: 768px) { .hero-content { grid-template-columns: 1fr; } }`
+  },
+
+  portfolio: {
+    label: 'Portfolio',
+    description: 'Editorial, left-aligned, numbered work',
+    colors: { primary: '#111827', accent: '#f43f5e' },
+    fonts: 'space-grotesk',
+    palettes: {
+      light: { bg: '#f5f5f4', surface: '#ffffff', text: '#111827', muted: '#57534e', border: '#d6d3d1' },
+      dark: { bg: '#0c0a09', surface: '#1c1917', text: '#fafaf9', muted: '#a8a29e', border: '#292524' }
+    },
+    sections: { features: portfolioFeatures },
+    css: `
+    nav { background: transparent; border-bottom: none; backdrop-filter: none; }
+    .logo, .contact-info { color: var(--text); }
+    .nav-btn { background: var(--text); color: var(--bg); }
+    .stat-number { color: var(--accent-text); }
+    .hero { text-align: left; padding: 180px 24px 100px; }
+    .hero-content { max-width: 1100px; }
+    .hero h1 { font-size: 4.5rem; font-weight: 700; letter-spacing: -0.04em; max-width: 900px; }
+    .hero p { margin-left: 0; }
+    .badge { background: none; padding: 0; color: var(--accent-text); text-transform: uppercase; letter-spacing: 0.15em; font-weight: 700; }
+    .cta-btn { background: none; color: var(--text); border-bottom: 3px solid var(--accent); border-radius: 0; padding: 4px 0; }
+    .section-header { text-align: left; }
+    .feature-list { list-style: none; border-top: 1px solid var(--border); }
+    .feature-list li { display: flex; gap: 32px; padding: 32px 0; border-bottom: 1px solid var(--border); }
+    .feature-index { font-family: var(--font-heading); font-size: 2rem; color: var(--accent-text); font-weight: 700; }
+    .feature-list h3 { font-size: 1.5rem; margin-bottom: 8px; }
+    .feature-list p { color: var(--muted); }
+    .social-proof { background: var(--surface); }
+    .cta-section { background: var(--text); color: var(--bg); text-align: left; }
+    .cta-section .cta-btn { background: none; color: var(--bg); }
+    @media (max-width: 768px) { .hero h1 { font-size: 2.6rem; } }`
+  }
+};
+
+const DEFAULT_THEME = 'saas';
+
+// Resolve a requested design ({ theme, colors, fonts, mode }) against the
+// theme's defaults. Anything that ends up in CSS is validated here.
+function resolveDesign(design = {}) {
+  const themeId = design.theme || DEFAULT_THEME;
+  const theme = Object.hasOwn(THEMES, themeId) && THEMES[themeId];
+  if (!theme) throw designError(`Unknown theme "${themeId}". Choose one of: ${Object.keys(THEMES).join(', ')}`, 'theme');
+
+  const colors = { ...theme.colors };
+  Object.entries(design.colors || {}).forEach(([key, value]) => {
+    if (!(key in colors) || !value) return;
+    if (!HEX_COLOR.test(value)) throw designError(`${key} color must be a hex value like #6366f1`, 'colors');
+    colors[key] = value.toLowerCase();
+  });
+
+  const fontsId = design.fonts || theme.fonts;
+  if (!Object.hasOwn(FONT_PAIRINGS, fontsId)) throw designError(`Unknown font pairing "${fontsId}"`, 'fonts');
+
+  const mode = design.mode || 'light';
+  if (!MODES.includes(mode)) throw designError(`Mode must be one of: ${MODES.join(', ')}`, 'mode');
+
+  return { id: themeId, theme, colors, fonts: FONT_PAIRINGS[fontsId], fontsId, mode };
+}
+
+// Palette colors plus the brand colors adjusted for text on that palette
+function paletteVars(palette, colors) {
+  return Object.entries(palette)
+    .concat([['primary-text', readableText(colors.primary, palette)], ['accent-text', readableText(colors.accent, palette)]])
+    .map(([key, value]) => `--${key}: ${value};`)
+    .join(' ');
+}
+
+// CSS custom properties for the resolved design; 'auto' follows the visitor's OS
+function designVars(design) {
+  const { colors, fonts, theme, mode } = design;
+  const brand = [
+    `--primary: ${colors.primary};`,
+    `--primary-strong: ${mix(colors.primary, '#000000', 0.15)};`,
+    `--on-primary: ${readableOn(colors.primary)};`,
+    `--primary-on-white: ${readableText(colors.primary, { bg: '#ffffff', surface: '#ffffff' })};`,
+    `--accent: ${colors.accent};`,
+    `--on-accent: ${readableOn(colors.accent)};`,
+    `--font-heading: '${fonts.heading}', -apple-system, BlinkMacSystemFont, sans-serif;`,
+    `--font-body: '${fonts.body}', -apple-system, BlinkMacSystemFont, sans-serif;`
+  ].join(' ');
+
+  if (mode === 'auto') {
+    return `:root { ${brand} ${paletteVars(theme.palettes.light, colors)} }
+    @media (prefers-color-scheme: dark) { :root { ${paletteVars(theme.palettes.dark, colors)} } }`;
+  }
+  return `:root { ${brand} ${paletteVars(theme.palettes[mode], colors)} }`;
+}
+
+function fontsHref(fonts) {
+  const families = [...new Set([fonts.heading, fonts.body])]
+    .map(family => `family=${family.replace(/ /g, '+')}:wght@400;600;700;800`);
+  return `https://fonts.googleapis.com/css2?${families.join('&')}&display=swap`;
+}
+
+// What the theme picker needs: ids, labels and defaults, no CSS
+function themeCatalog() {
+  return {
+    themes: Object.entries(THEMES).map(([id, t]) => ({ id, label: t.label, description: t.description, colors: t.colors, fonts: t.fonts })),
+    fonts: Object.entries(FONT_PAIRINGS).map(([id, f]) => ({ id, ...f })),
+    modes: MODES,
+    defaultTheme: DEFAULT_THEME
+  };
+}
+
+module.exports = {
+  THEMES,
+  FONT_PAIRINGS,
+  resolveDesign,
+  designVars,
+  fontsHref,
+  themeCatalog,
+  mix,
+  readableOn
+};
@@ -0,0 +1,118 @@
+const cheerio = require('cheerio');
+const AdmZip = require('adm-zip');
+const { analyzeDocument } = require('./analyze');
+const { CRAWL_LIMITS } = require('./crawl');
+const { checkRobotsTxt, checkSitemap } = require('./seo');
+
+// Uploaded HTML and zipped static sites
+// Nothing is fetched: pasted markup or files go straight through the same
+// extraction and rules. Rules marked requiresUrl report "not applicable".
+const UPLOAD_LIMITS = { fileSize: 10 * 1024 * 1024, unzipped: 50 * 1024 * 1024 };
+
+function uploadError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'UPLOAD_FAILED';
+  return error;
+}
+
+// Stylesheets a page links to that are inside the archive
+function zipStylesheets($, pagePath, files) {
+  const base = new URL(pagePath, 'file:///');
+  return $('link[rel~="stylesheet"][href]').map((i, el) => {
+    let target;
+    try {
+      target = new URL($(el).attr('href'), base);
+    } catch (error) {
+      return null;
+    }
+    if (target.protocol !== 'file:') return null;
+    let filePath;
+    try {
+      filePath = decodeURIComponent(target.pathname);
+    } catch (error) {
+      return null;
+    }
+    const file = files.find(f => f.path === filePath);
+    return file ? file.entry.getData().toString('utf8') : null;
+  }).get();
+}
+
+// robots.txt and sitemap.xml at the archive root. The site's domain isn't
+// known, so sitemap URLs can't be checked against it.
+function zipSiteFiles(files) {
+  const text = path => {
+    const file = files.find(f => f.path === path);
+    return file ? file.entry.getData().toString('utf8') : null;
+  };
+  const robots = text('/robots.txt');
+  const sitemap = text('/sitemap.xml');
+  return {
+    robotsTxt: robots === null ? { found: false } : checkRobotsTxt(robots),
+    sitemap: sitemap === null ? { found: false } : checkSitemap(sitemap, null)
+  };
+}
+
+// Every HTML file in the archive is a page, shallowest index.html first
+function readZipSite(buffer, name) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw uploadError('Couldn\'t read that ZIP file');
+  }
+
+  const entries = zip.getEntries().filter(e => !e.isDirectory && !e.entryName.startsWith('__MACOSX/'));
+  const unzippedSize = entries.reduce((sum, e) => sum + e.header.size, 0);
+  if (unzippedSize > UPLOAD_LIMITS.unzipped) {
+    throw uploadError(`The ZIP expands to more than ${UPLOAD_LIMITS.unzipped / 1024 / 1024} MB`);
+  }
+
+  // Zips of a folder put everything under one top-level directory
+  const roots = new Set(entries.map(e => e.entryName.split('/')[0]));
+  const prefix = roots.size === 1 && entries.every(e => e.entryName.includes('/')) ? [...roots][0] + '/' : '';
+  const files = entries.map(e => ({ entry: e, path: '/' + e.entryName.slice(prefix.length) }));
+
+  const htmlFiles = files
+    .filter(f => /\.html?$/i.test(f.path))
+    .sort((a, b) => {
+      const depthA = a.path.split('/').length;
+      const depthB = b.path.split('/').length;
+      const indexA = /\/index\.html?$/i.test(a.path) ? 0 : 1;
+      const indexB = /\/index\.html?$/i.test(b.path) ? 0 : 1;
+      return (depthA - depthB) || (indexA - indexB) || a.path.localeCompare(b.path);
+    });
+  if (!htmlFiles.length) throw uploadError('No HTML files found in the ZIP');
+
+  const included = htmlFiles.slice(0, CRAWL_LIMITS.maxPages);
+  const siteFiles = zipSiteFiles(files);
+  const pages = included.map((f, i) => {
+    const $ = cheerio.load(f.entry.getData().toString('utf8'));
+    return {
+      url: name + f.path,
+      depth: f.path.split('/').length - 2,
+      analysis: analyzeDocument($, name + f.path, 'upload', zipStylesheets($, f.path, files), { siteFiles: i === 0 ? siteFiles : null })
+    };
+  });
+
+  return {
+    success: true,
+    pages,
+    site: {
+      url: name,
+      source: 'upload',
+      robotsTxt: siteFiles.robotsTxt.found,
+      sitemapUrlCount: siteFiles.sitemap.type === 'urlset' ? siteFiles.sitemap.urlCount : 0,
+      depth: Math.max(...pages.map(p => p.depth)),
+      maxPages: CRAWL_LIMITS.maxPages,
+      pages: pages.map(p => ({ url: p.url, title: p.analysis.title, metaDescription: p.analysis.metaDescription })),
+      skipped: htmlFiles.slice(included.length).map(f => ({ url: name + f.path, code: 'PAGE_BUDGET', reason: 'Over the page limit' }))
+    }
+  };
+}
+
+module.exports = {
+  UPLOAD_LIMITS,
+  uploadError,
+  readZipSite
+};
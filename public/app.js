@@ -1,14 +1,24 @@
 // State
 let analysisResults = null;
 let generatedHTML = null;
-let currentFeedbackMode = 'roast';
+let generatedRequest = null;
+let currentView = 'feedback';
+const feedbackChoice = { tone: 'roast', locale: 'en' };
+let activePageIndex = null;
+let currentDiff = null;
+let comparisonResults = null;
+let currentCompareMode = 'table';
+let batchJob = null;
+let batchSort = { key: 'score', desc: true };
 
 // Elements
 const steps = {
   1: document.getElementById('step-1'),
   2: document.getElementById('step-2'),
   3: document.getElementById('step-3'),
-  4: document.getElementById('step-4')
+  4: document.getElementById('step-4'),
+  compare: document.getElementById('step-compare'),
+  batch: document.getElementById('step-batch')
 };
 
 // Navigation
@@ -16,6 +26,10 @@ function showStep(stepNum) {
   Object.values(steps).forEach(step => step.classList.remove('active'));
   steps[stepNum].classList.add('active');
   window.scrollTo({ top: 0, behavior: 'smooth' });
+  if (stepNum === 3) {
+    scaleThumbnails();
+    scheduleThumbnails();
+  }
 }
 
 // Toast notification
@@ -26,9 +40,10 @@ function showToast(message, duration = 3000) {
   setTimeout(() => toast.classList.remove('show'), duration);
 }
 
-// Parse markdown-ish text to HTML
+// Parse markdown-ish text to HTML. The text is escaped first: it quotes
+// page content and may come from an LLM.
 function formatFeedback(text) {
-  return text
+  return escapeHtml(text)
     .replace(/^## (.*$)/gim, '<h2>$1</h2>')
     .replace(/^### (.*$)/gim, '<h3>$1</h3>')
     .replace(/^\* (.*$)/gim, '<li>$1</li>')
@@ -40,51 +55,8 @@ function formatFeedback(text) {
     .replace(/\n/g, '<br>');
 }
 
-// Extract score from feedback
-function extractScore(feedback) {
-  // Look for patterns like "Score: 65" or "65/100" or "Grade: C"
-  const scoreMatch = feedback.match(/(?:score|rating)[:\s]*(\d{1,3})/i) ||
-                     feedback.match(/(\d{1,3})\/100/) ||
-                     feedback.match(/Overall[:\s]*(\d{1,3})/i);
-  
-  if (scoreMatch) {
-    return Math.min(100, Math.max(0, parseInt(scoreMatch[1])));
-  }
-  
-  // Try to extract from grade
-  const gradeMatch = feedback.match(/Grade[:\s]*([A-F][+-]?)/i);
-  if (gradeMatch) {
-    const gradeScores = {
-      'A+': 97, 'A': 94, 'A-': 90,
-      'B+': 87, 'B': 84, 'B-': 80,
-      'C+': 77, 'C': 74, 'C-': 70,
-      'D+': 67, 'D': 64, 'D-': 60,
-      'F': 50
-    };
-    return gradeScores[gradeMatch[1].toUpperCase()] || 70;
-  }
-  
-  return 65; // Default score
-}
-
-// Get grade from score
-function getGrade(score) {
-  if (score >= 93) return 'A';
-  if (score >= 90) return 'A-';
-  if (score >= 87) return 'B+';
-  if (score >= 83) return 'B';
-  if (score >= 80) return 'B-';
-  if (score >= 77) return 'C+';
-  if (score >= 73) return 'C';
-  if (score >= 70) return 'C-';
-  if (score >= 67) return 'D+';
-  if (score >= 63) return 'D';
-  if (score >= 60) return 'D-';
-  return 'F';
-}
-
-// Animate score
-function animateScore(targetScore) {
+// Animate score up to the server's value
+function animateScore(targetScore, grade) {
   const scoreNumber = document.getElementById('score-number');
   const gradeSpan = document.getElementById('grade-letter');
   let current = 0;
@@ -93,6 +65,7 @@ function animateScore(targetScore) {
   const increment = targetScore / steps;
   const stepTime = duration / steps;
   
+  gradeSpan.textContent = grade;
   const timer = setInterval(() => {
     current += increment;
     if (current >= targetScore) {
@@ -100,21 +73,604 @@ function animateScore(targetScore) {
       clearInterval(timer);
     }
     scoreNumber.textContent = Math.round(current);
-    gradeSpan.textContent = getGrade(Math.round(current));
   }, stepTime);
 }
 
+// Escape text before injecting it as HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Per-category subscores from the analysis payload
+function renderSubscores(subscores) {
+  document.getElementById('subscores').innerHTML = Object.values(subscores)
+    .map(s => `<div class="subscore" title="${escapeHtml(s.label)}">
+      <span class="subscore-label">${s.icon} ${escapeHtml(s.label)}</span>
+      <div class="subscore-bar"><div style="width: ${s.score}%"></div></div>
+      <span class="subscore-value">${s.score}</span>
+    </div>`)
+    .join('');
+}
+
+// Findings checklist, grouped by category
+const STATUS_ICONS = { pass: '✅', warn: '⚠️', fail: '❌', na: '➖' };
+
+// Selectors of the offending elements, to paste into devtools
+function renderFindingElements(elements) {
+  return `<details class="finding-elements">
+    <summary>${elements.length} element${elements.length === 1 ? '' : 's'}</summary>
+    <ul>${elements.map(e => `<li><code>${escapeHtml(e.selector)}</code>${e.detail ? ` ${escapeHtml(e.detail)}` : ''}</li>`).join('')}</ul>
+  </details>`;
+}
+
+function renderFindings(result) {
+  return Object.entries(result.subscores)
+    .map(([category, { label, icon }]) => {
+      const rows = result.findings
+        .filter(f => f.category === category)
+        .map(f => `<li class="finding finding-${f.status}">
+          <span class="finding-status">${STATUS_ICONS[f.status]}</span>
+          <span class="finding-title">${escapeHtml(f.title)}</span>
+          <span class="finding-severity severity-${f.severity}">${f.severity}</span>
+          ${f.wcag ? `<a class="finding-wcag" href="${escapeHtml(f.wcag.url)}" target="_blank" rel="noopener" title="${escapeHtml(f.wcag.name)}">WCAG ${escapeHtml(f.wcag.criterion)} ${escapeHtml(f.wcag.level)}</a>` : ''}
+          ${f.evidence ? `<span class="finding-evidence">${escapeHtml(f.evidence)}</span>` : ''}
+          ${f.remedy ? `<code class="finding-remedy" title="Add this">${escapeHtml(f.remedy)}</code>` : ''}
+          ${f.elements ? renderFindingElements(f.elements) : ''}
+        </li>`)
+        .join('');
+      return `<h3>${icon} ${escapeHtml(label)}</h3><ul class="findings">${rows}</ul>`;
+    })
+    .join('');
+}
+
+function clipText(text, max) {
+  return text.length > max ? text.slice(0, max - 1).trimEnd() + '…' : text;
+}
+
+// How the page shows up as a search result and as a shared link, from the
+// same tags search engines and social networks read
+function renderPreviews(analysis) {
+  const seo = analysis.seo;
+  if (!seo) return '<p class="preview-note">This report was saved before search and share previews were added. Analyze the site again to see them.</p>';
+
+  const title = analysis.title === 'No title found' ? '' : analysis.title.trim();
+  const description = analysis.metaDescription === 'No meta description' ? '' : analysis.metaDescription.trim();
+  let host = analysis.url;
+  let crumbs = '';
+  try {
+    const url = new URL(seo.canonical.href || seo.url || analysis.url);
+    host = url.hostname;
+    crumbs = url.pathname.split('/').filter(Boolean).map(part => ` › ${decodeURIComponent(part)}`).join('');
+  } catch (error) {
+    // Pasted HTML and uploads have no address to show
+  }
+
+  const og = seo.openGraph;
+  const twitter = seo.twitter;
+  const shareTitle = og.title || twitter.title || title;
+  const shareDescription = og.description || twitter.description || description;
+  const image = [og.imageUrl, twitter.image].find(src => src && /^https?:\/\//i.test(src));
+  const large = image && twitter.card !== 'summary';
+
+  return `<div class="previews">
+    <section>
+      <h3>🔎 Search result</h3>
+      <div class="serp-preview">
+        <div class="serp-site"><span class="serp-favicon">🌐</span><span><strong>${escapeHtml(og.siteName || host)}</strong><cite>${escapeHtml(host + crumbs)}</cite></span></div>
+        <div class="serp-title">${escapeHtml(clipText(title || host, 60))}</div>
+        <div class="serp-description">${escapeHtml(clipText(description || 'No meta description - search engines will pick some text from the page instead.', 160))}</div>
+      </div>
+      <p class="preview-note">Title ${title.length} characters, description ${description.length} characters${seo.robots.noindex ? ' · <strong>noindex: this page won\'t appear in search results at all</strong>' : ''}</p>
+    </section>
+    <section>
+      <h3>💬 Shared link</h3>
+      <div class="share-preview${large ? ' share-large' : ''}">
+        ${image ? `<img class="share-image" src="${escapeHtml(image)}" alt="" referrerpolicy="no-referrer" loading="lazy">` : '<div class="share-image share-image-missing">No og:image</div>'}
+        <div class="share-text">
+          <span class="share-domain">${escapeHtml(host)}</span>
+          <strong class="share-title">${escapeHtml(clipText(shareTitle || host, 90))}</strong>
+          ${shareDescription ? `<span class="share-description">${escapeHtml(clipText(shareDescription, 140))}</span>` : ''}
+        </div>
+      </div>
+      <p class="preview-note">${og.missing.length ? `Missing ${og.missing.map(key => `og:${key}`).join(', ')}` : 'Open Graph complete'} · ${twitter.card ? `twitter:card ${escapeHtml(twitter.card)}` : 'no twitter:card'}</p>
+    </section>
+  </div>`;
+}
+
+// The auto-fix patch: what it changes, its downloads and the diff itself
+function renderPatch(patch) {
+  if (!patch) {
+    return '<p class="preview-note">Fix patches are made when a single page up to 1 MB is analyzed, not for crawls or zipped sites. Reports saved before patches were added don\'t have one; analyze the page again to get it.</p>';
+  }
+  if (!patch.fixes.length) {
+    return '<p class="preview-note">Nothing to patch: the viewport, meta description, alt text, H1, favicon and Open Graph checks all pass.</p>';
+  }
+  
+  return `<h2>🩹 Fix patch for ${escapeHtml(patch.file)}</h2>
+    <ul class="patch-fixes">${patch.fixes.map(f => `<li><strong>${escapeHtml(f.title)}</strong> - ${escapeHtml(f.change)}</li>`).join('')}</ul>
+    <div class="patch-actions">
+      ${patch.html ? `<button class="btn btn-primary" data-download="html">⬇️ Fixed ${escapeHtml(patch.file)}</button>` : ''}
+      <button class="btn btn-secondary" data-download="diff">⬇️ Patch file</button>
+    </div>
+    ${patch.html ? '' : '<p class="preview-note">Saved reports keep the patch but not the fixed page, which holds your whole page source. Apply the patch file to your page, or analyze it again to download the fixed copy.</p>'}
+    <p class="preview-note">Search the fixed page for "TODO" and finish the placeholders before you ship it. Apply the patch from your site's folder with <code>git apply</code> or <code>patch -p1</code>.</p>
+    ${renderUnifiedDiff(patch.diff)}`;
+}
+
+// A unified diff as a table with old and new line numbers
+function renderUnifiedDiff(diff) {
+  let oldLine = 0;
+  let newLine = 0;
+  const rows = diff.split('\n').slice(2).filter(Boolean).map(line => {
+    const hunk = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (hunk) {
+      oldLine = parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+      return `<tr class="patch-hunk"><td colspan="3">${escapeHtml(line)}</td></tr>`;
+    }
+    if (line.startsWith('\\')) {
+      return `<tr class="patch-note"><td></td><td></td><td>${escapeHtml(line)}</td></tr>`;
+    }
+    const type = line[0] === '+' ? 'add' : line[0] === '-' ? 'del' : 'ctx';
+    const numbers = type === 'add' ? ['', newLine++] : type === 'del' ? [oldLine++, ''] : [oldLine++, newLine++];
+    return `<tr class="patch-${type}"><td class="patch-num">${numbers[0]}</td><td class="patch-num">${numbers[1]}</td><td class="patch-code">${escapeHtml(line)}</td></tr>`;
+  });
+  return `<div class="patch-diff"><table>${rows.join('')}</table></div>`;
+}
+
+// The site overview, or the crawled page currently drilled into
+function activeResult() {
+  if (activePageIndex === null || !analysisResults.site) return analysisResults;
+  return analysisResults.site.pages[activePageIndex];
+}
+
+// Feedback written on request, by report, page, tone and language
+const feedbackCache = new Map();
+
+// The roast and professional narratives saved with the report, when they
+// match the chosen tone and language
+function savedFeedback(result) {
+  if (feedbackChoice.locale !== 'en') return null;
+  const text = { roast: result.roastFeedback, professional: result.professionalFeedback }[feedbackChoice.tone];
+  if (!text) return null;
+  return { feedback: text, provider: result.feedbackProvider && result.feedbackProvider[feedbackChoice.tone] };
+}
+
+function feedbackKey() {
+  return [analysisResults.id, activePageIndex === null ? '' : activePageIndex, feedbackChoice.tone, feedbackChoice.locale].join('|');
+}
+
+async function fetchFeedback(key) {
+  const params = new URLSearchParams({ tone: feedbackChoice.tone, locale: feedbackChoice.locale });
+  if (activePageIndex !== null) params.set('page', activePageIndex);
+  const response = await fetch(`/api/reports/${analysisResults.id}/feedback?${params}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to write feedback');
+  }
+  feedbackCache.set(key, data);
+  return data;
+}
+
+function renderFeedback({ feedback, provider }) {
+  return formatFeedback(feedback) +
+    (provider && provider !== 'template' ? `<p class="feedback-source">✨ Written by an AI model (${escapeHtml(provider)}); the score and checks come from the rules</p>` : '');
+}
+
+async function showFeedback(result) {
+  const content = document.getElementById('results-content');
+  const saved = savedFeedback(result);
+  if (saved) {
+    content.innerHTML = renderFeedback(saved);
+    return;
+  }
+  if (!analysisResults.id) {
+    content.innerHTML = '<p class="feedback-status">This report wasn\'t saved, so only the roast and professional feedback in English are available.</p>';
+    return;
+  }
+  const key = feedbackKey();
+  if (feedbackCache.has(key)) {
+    content.innerHTML = renderFeedback(feedbackCache.get(key));
+    return;
+  }
+  content.innerHTML = '<p class="feedback-status">Writing feedback…</p>';
+  try {
+    const data = await fetchFeedback(key);
+    if (currentView === 'feedback' && feedbackKey() === key) {
+      content.innerHTML = renderFeedback(data);
+    }
+  } catch (error) {
+    if (currentView === 'feedback' && feedbackKey() === key) {
+      content.innerHTML = `<p class="feedback-status">${escapeHtml(error.message)}</p>`;
+    }
+  }
+}
+
+// Switch between the feedback in the chosen tone and language, the
+// checklist, the previews, the fix patch and a report diff
+function setResultsView(view) {
+  if (!analysisResults) return;
+  currentView = view;
+  const result = activeResult();
+  const content = document.getElementById('results-content');
+  if (view === 'diff') {
+    content.innerHTML = renderDiff(currentDiff);
+  } else if (view === 'checks') {
+    content.innerHTML = renderFindings(result);
+  } else if (view === 'previews') {
+    content.innerHTML = renderPreviews(result.analysis);
+  } else if (view === 'patch') {
+    content.innerHTML = renderPatch(result.patch);
+  } else {
+    showFeedback(result);
+  }
+  document.getElementById('btn-feedback-mode').classList.toggle('active', view === 'feedback');
+  document.getElementById('btn-checks-mode').classList.toggle('active', view === 'checks');
+  document.getElementById('btn-previews-mode').classList.toggle('active', view === 'previews');
+  document.getElementById('btn-patch-mode').classList.toggle('active', view === 'patch');
+}
+
+// Crawled pages, with the site overview first
+function renderPageList() {
+  const list = document.getElementById('page-list');
+  const site = analysisResults && analysisResults.site;
+  if (!site) {
+    list.hidden = true;
+    list.innerHTML = '';
+    return;
+  }
+  
+  const entries = [{ label: `🌐 Site overview (${site.pages.length} pages)`, score: analysisResults.score, index: '' }]
+    .concat(site.pages.map((page, i) => ({ label: page.url.replace(/^https?:\/\/[^/]+/, ''), score: page.score, index: i })));
+  const skipped = site.skipped.length
+    ? `<span class="page-list-note" title="${escapeHtml(site.skipped.map(s => `${s.url}: ${s.reason}`).join('\n'))}">${site.skipped.length} skipped</span>`
+    : '';
+  
+  const activeIndex = activePageIndex === null ? '' : activePageIndex;
+  list.hidden = false;
+  list.innerHTML = entries.map(e => `<button class="page-item${e.index === activeIndex ? ' active' : ''}" data-index="${e.index}">
+      <span class="page-item-path">${escapeHtml(e.label)}</span>
+      <span class="page-item-score">${e.score}</span>
+    </button>`).join('') + skipped;
+}
+
+// Show the active result: header, subscores, page list and feedback
+function renderActiveResult() {
+  const result = activeResult();
+  document.getElementById('analyzed-url').textContent = result.analysis.url.replace(/^https?:\/\//, '');
+  renderSubscores(result.subscores);
+  renderPageList();
+  setResultsView(currentView);
+}
+
+// What to do about each fetch error code the server can return
+const FETCH_ERROR_HINTS = {
+  INVALID_URL: 'Enter a domain like example.com or a full http(s) address.',
+  BLOCKED_ADDRESS: 'Only public websites can be analyzed - localhost, private IPs and internal hostnames are off limits.',
+  DNS_FAILURE: 'The domain doesn\'t resolve. Check for typos or whether the site has launched.',
+  TIMEOUT: 'The server didn\'t answer within 10 seconds. Try again in a moment.',
+  TOO_LARGE: 'Pages over 5 MB aren\'t analyzed.',
+  NOT_HTML: 'Point us at a web page rather than a file or API endpoint.',
+  TOO_MANY_REDIRECTS: 'The URL redirects in a loop or bounces through too many hops.',
+  HTTP_ERROR: 'Make sure the page is publicly reachable without logging in.',
+  FETCH_FAILED: 'The server refused or dropped the connection.'
+};
+
+// Score-over-time line for one domain, oldest point first
+function timelineChart(points) {
+  const width = 600;
+  const height = 120;
+  const pad = 12;
+  const x = i => pad + (i * (width - 2 * pad)) / Math.max(points.length - 1, 1);
+  const y = score => height - pad - (score / 100) * (height - 2 * pad);
+  const line = points.map((p, i) => `${x(i)},${y(p.score)}`).join(' ');
+  
+  return `<svg class="timeline" viewBox="0 0 ${width} ${height}" role="img" aria-label="Score over time">
+    <line x1="${pad}" x2="${width - pad}" y1="${y(50)}" y2="${y(50)}" class="timeline-mid"/>
+    <polyline points="${line}" class="timeline-line"/>
+    ${points.map((p, i) => `<circle cx="${x(i)}" cy="${y(p.score)}" r="5" class="${p.id === analysisResults.id ? 'current' : ''}">
+      <title>${new Date(p.createdAt).toLocaleString()}: ${p.score} (${p.grade})</title>
+    </circle>`).join('')}
+  </svg>`;
+}
+
+// Past analyses of the same domain: timeline chart plus a list, newest first
+async function renderHistory() {
+  const panel = document.getElementById('history');
+  const domain = analysisResults && analysisResults.domain;
+  if (!domain) {
+    panel.hidden = true;
+    return;
+  }
+  
+  try {
+    const response = await fetch(`/api/timeline/${encodeURIComponent(domain)}`);
+    const { points } = await response.json();
+    panel.hidden = points.length < 2;
+    panel.innerHTML = `<h4>📚 History for ${escapeHtml(domain)}</h4>
+      ${timelineChart(points)}
+      <ul>${points.slice().reverse().map(r => `<li class="${r.id === analysisResults.id ? 'current' : ''}">
+        <a href="/r/${r.id}">${new Date(r.createdAt).toLocaleString()}</a>
+        <span class="history-mode">${r.mode === 'crawl' ? 'site' : 'page'}</span>
+        <span class="history-score">${r.score} · ${r.grade}</span>
+        ${r.id === analysisResults.id ? '' : `<button class="btn-compare" data-id="${r.id}">🔀 Compare</button>`}
+      </li>`).join('')}</ul>`;
+  } catch (error) {
+    panel.hidden = true;
+  }
+}
+
+// What changed between an earlier report and the one on screen
+const COUNT_LABELS = {
+  imageCount: 'Images',
+  imagesWithoutAlt: 'Images without alt',
+  scriptCount: 'Scripts',
+  formCount: 'Forms',
+  h1Count: 'H1 tags',
+  linkCount: 'Links',
+  buttonCount: 'Buttons'
+};
+
+function renderDiff(diff) {
+  const signed = n => n > 0 ? `+${n}` : String(n);
+  const list = (items, empty) => items.length
+    ? `<ul>${items.map(f => `<li><strong>${escapeHtml(f.title)}</strong>${f.evidence ? ` - ${escapeHtml(f.evidence)}` : ''}</li>`).join('')}</ul>`
+    : `<p>${empty}</p>`;
+  const textChange = (label, change) => change
+    ? `<li><strong>${label}</strong><div class="diff-before">${escapeHtml(change.before)}</div><div class="diff-after">${escapeHtml(change.after)}</div></li>`
+    : '';
+  const textChanges = textChange('Title', diff.changed.title) + textChange('Meta description', diff.changed.metaDescription);
+  
+  return `<h2>🔀 Changes since ${new Date(diff.from.createdAt).toLocaleString()}</h2>
+    <p class="diff-score ${diff.scoreDelta > 0 ? 'up' : diff.scoreDelta < 0 ? 'down' : ''}">
+      Score ${diff.from.score} → ${diff.to.score} <strong>(${signed(diff.scoreDelta)})</strong>
+    </p>
+    <h3>❌ Newly failing</h3>${list(diff.newlyFailing, 'Nothing new broke 🎉')}
+    <h3>✅ Newly passing</h3>${list(diff.newlyPassing, 'No fixes landed yet')}
+    <h3>📝 Content changes</h3>${textChanges ? `<ul class="diff-text">${textChanges}</ul>` : '<p>Title and meta description unchanged</p>'}
+    <h3>🔢 Element counts</h3>
+    <table class="diff-counts">
+      ${Object.entries(diff.counts).map(([field, c]) => `<tr class="${c.delta ? 'changed' : ''}">
+        <td>${COUNT_LABELS[field] || field}</td><td>${c.before}</td><td>→</td><td>${c.after}</td><td>${c.delta ? signed(c.delta) : ''}</td>
+      </tr>`).join('')}
+    </table>`;
+}
+
+async function showDiff(fromId) {
+  try {
+    const response = await fetch(`/api/reports/${analysisResults.id}/diff?from=${encodeURIComponent(fromId)}`);
+    const diff = await response.json();
+    if (!response.ok) {
+      throw new Error(diff.error);
+    }
+    currentDiff = diff;
+    activePageIndex = null;
+    renderActiveResult();
+    setResultsView('diff');
+  } catch (error) {
+    showToast(error.message || 'Failed to compare reports');
+  }
+}
+
+// Open a saved or fresh report on the results step
+function openReport(report, animate = true) {
+  analysisResults = report;
+  activePageIndex = null;
+  currentDiff = null;
+  currentView = 'feedback';
+  renderActiveResult();
+  renderHistory();
+  showStep(2);
+  if (animate) {
+    setTimeout(() => animateScore(analysisResults.score, analysisResults.grade), 300);
+  } else {
+    document.getElementById('score-number').textContent = report.score;
+    document.getElementById('grade-letter').textContent = report.grade;
+  }
+}
+
+// Side-by-side table: ranking, every analysis metric and every scored check.
+// Cells where the client loses to a competitor are highlighted.
+function formatMetric(value) {
+  if (value === null || value === undefined) return '–';
+  if (typeof value === 'boolean') return value ? '✅' : '❌';
+  const text = String(value);
+  return escapeHtml(text.length > 40 ? text.slice(0, 40) + '…' : text);
+}
+
+function renderComparisonTable(result) {
+  const head = result.sites.map(s => `<th class="${s.role}">${escapeHtml(s.domain)}${s.role === 'client' ? ' <span class="you">you</span>' : ''}</th>`).join('');
+  const scoreRow = result.sites.map(s => s.success
+    ? `<td class="${s.role === 'client' ? '' : s.score > result.sites[0].score ? 'loses' : ''}"><strong>${s.score}</strong> ${s.grade}</td>`
+    : `<td class="error" title="${escapeHtml(s.error)}">⚠️ failed</td>`).join('');
+  const metricRows = result.metrics.map(m => `<tr><th>${escapeHtml(m.label)}</th>${m.values.map(v => `<td>${formatMetric(v)}</td>`).join('')}</tr>`).join('');
+  const checkRows = result.checks.map(c => {
+    const mine = c.statuses[0];
+    const cells = c.statuses.map((status, i) => {
+      const loses = i > 0 && status === 'pass' && (mine === 'fail' || mine === 'warn');
+      return `<td class="${loses ? 'loses' : ''}">${status ? STATUS_ICONS[status] : '–'}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(c.title)}</th>${cells}</tr>`;
+  }).join('');
+  
+  return `<div class="compare-table-wrap"><table class="compare-table">
+    <thead><tr><th></th>${head}</tr></thead>
+    <tbody>
+      <tr class="compare-score"><th>Score</th>${scoreRow}</tr>
+      <tr class="compare-section"><th colspan="${result.sites.length + 1}">Scored checks</th></tr>
+      ${checkRows}
+      <tr class="compare-section"><th colspan="${result.sites.length + 1}">Metrics</th></tr>
+      ${metricRows}
+    </tbody>
+  </table></div>`;
+}
+
+function setCompareMode(mode) {
+  if (!comparisonResults) return;
+  currentCompareMode = mode;
+  const content = document.getElementById('compare-content');
+  content.innerHTML = mode === 'table'
+    ? renderComparisonTable(comparisonResults)
+    : formatFeedback(mode === 'roast' ? comparisonResults.roastFeedback : comparisonResults.professionalFeedback);
+  document.getElementById('btn-compare-table').classList.toggle('active', mode === 'table');
+  document.getElementById('btn-compare-roast').classList.toggle('active', mode === 'roast');
+  document.getElementById('btn-compare-pro').classList.toggle('active', mode === 'professional');
+}
+
+// Batch table: one row per URL, updated as progress streams in. Finished
+// rows sort by the chosen column; rows still running keep their place below.
+const BATCH_COLUMNS = [['url', 'Site'], ['score', 'Score'], ['failing', 'Failing'], ['warnings', 'Warnings']];
+
+function sortedBatchItems() {
+  const { key, desc } = batchSort;
+  const rank = item => (item.status === 'done' ? 0 : item.status === 'failed' ? 1 : 2);
+  return [...batchJob.items].sort((a, b) => {
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (rank(a) !== 0) return a.index - b.index;
+    const order = key === 'url' ? a.url.localeCompare(b.url) : a[key] - b[key];
+    return (desc ? -order : order) || a.index - b.index;
+  });
+}
+
+function batchStatus(item) {
+  if (item.status === 'done') return `<strong>${item.grade}</strong>`;
+  if (item.status === 'failed') return `<span class="batch-error" title="${escapeHtml(item.error || '')}">⚠️ ${escapeHtml(item.error || 'Failed')}</span>`;
+  return `<span class="batch-stage" title="${escapeHtml(item.detail || '')}">${item.status === 'running' ? '<span class="stage-dot"></span>' : ''}${escapeHtml(item.stageLabel || 'Queued')}</span>`;
+}
+
+function renderBatch() {
+  const finished = batchJob.done + batchJob.failed;
+  document.getElementById('batch-count').textContent = `${finished}/${batchJob.total}`;
+  document.getElementById('batch-bar').style.width = `${Math.round(finished / batchJob.total * 100)}%`;
+  document.getElementById('batch-status').textContent = batchJob.status === 'done'
+    ? `${batchJob.done} analyzed${batchJob.failed ? `, ${batchJob.failed} failed` : ''}`
+    : `Analyzing ${batchJob.total} site${batchJob.total === 1 ? '' : 's'}…`;
+  ['csv', 'json'].forEach(format => {
+    document.getElementById(`btn-batch-${format}`).disabled = batchJob.status !== 'done';
+  });
+  
+  const head = BATCH_COLUMNS.map(([key, label]) => {
+    const arrow = batchSort.key === key ? (batchSort.desc ? ' ↓' : ' ↑') : '';
+    return `<th><button class="batch-sort" data-key="${key}">${label}${arrow}</button></th>`;
+  }).join('');
+  const rows = sortedBatchItems().map(item => `<tr class="batch-${item.status}">
+      <th>${item.permalink ? `<a href="${escapeHtml(item.permalink)}" target="_blank" rel="noopener">${escapeHtml(item.url)}</a>` : escapeHtml(item.url)}
+        ${item.title ? `<span class="batch-title">${escapeHtml(item.title)}</span>` : ''}</th>
+      <td>${item.status === 'done' ? item.score : '–'}</td>
+      <td>${item.status === 'done' ? item.failing : '–'}</td>
+      <td>${item.status === 'done' ? item.warnings : '–'}</td>
+      <td>${batchStatus(item)}</td>
+    </tr>`).join('');
+  document.getElementById('batch-content').innerHTML = `<div class="compare-table-wrap"><table class="compare-table batch-table">
+    <thead><tr>${head}<th>Result</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
 // API calls
-async function analyzeWebsite(url) {
+// `body` is a JSON payload ({ url, crawl } or { html }) or FormData with a file
+async function analyzeWebsite(body) {
+  const isUpload = body instanceof FormData;
   const response = await fetch('/api/analyze', {
+    method: 'POST',
+    headers: isUpload ? {} : { 'Content-Type': 'application/json' },
+    body: isUpload ? body : JSON.stringify(body)
+  });
+  
+  if (!response.ok) {
+    const error = await response.json();
+    throw Object.assign(new Error(error.error || 'Failed to analyze website'), { code: error.code });
+  }
+  
+  return response.json();
+}
+
+// `body` is { urls, crawl, interactive } as JSON, or FormData with a CSV or text file
+async function startJob(body) {
+  const isUpload = body instanceof FormData;
+  const response = await fetch('/api/jobs', {
+    method: 'POST',
+    headers: isUpload ? {} : { 'Content-Type': 'application/json' },
+    body: isUpload ? body : JSON.stringify(body)
+  });
+  
+  if (!response.ok) {
+    const error = await response.json();
+    throw Object.assign(new Error(error.error || 'Failed to start the analysis'), { code: error.code });
+  }
+  
+  return response.json();
+}
+
+// Stream a job's events to `onEvent(type, data)`; resolves with the finished
+// job. The browser reconnects on its own after a dropped connection and the
+// server starts again with a snapshot.
+function followJob(id, onEvent) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${id}/events`);
+    ['snapshot', 'progress', 'item'].forEach(type => {
+      source.addEventListener(type, e => onEvent(type, JSON.parse(e.data)));
+    });
+    source.addEventListener('done', e => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+    source.addEventListener('error', () => {
+      if (source.readyState === EventSource.CLOSED) reject(new Error('Lost the connection to the server'));
+    });
+  });
+}
+
+async function fetchReport(id) {
+  const response = await fetch(`/api/reports/${id}`);
+  if (!response.ok) {
+    throw new Error((await response.json()).error || 'Failed to load report');
+  }
+  return response.json();
+}
+
+// A URL runs as a one-item job so `onStage` can show what's happening
+async function analyzeUrl(url, crawl, onStage) {
+  const job = await startJob({ urls: [url], crawl, interactive: true });
+  const done = await followJob(job.id, (type, data) => {
+    const item = type === 'snapshot' ? data.items[0] : data;
+    if (item.stageLabel) onStage(item.detail ? `${item.stageLabel} · ${item.detail}` : item.stageLabel);
+  });
+  const item = done.items[0];
+  if (item.status === 'failed') {
+    throw Object.assign(new Error(item.error), { code: item.code });
+  }
+  const report = await fetchReport(item.reportId);
+  if (report.patch && item.patchHtml) report.patch.html = item.patchHtml;
+  return report;
+}
+
+async function downloadJobResults(id, format) {
+  const response = await fetch(`/api/jobs/${id}/results?format=${format}`);
+  
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to download results');
+  }
+  
+  const disposition = response.headers.get('Content-Disposition') || '';
+  return { blob: await response.blob(), fileName: (disposition.match(/filename="([^"]+)"/) || [])[1] || `results.${format}` };
+}
+
+async function compareWebsites(url, competitors) {
+  const response = await fetch('/api/compare', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ url })
+    body: JSON.stringify({ url, competitors })
   });
   
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.error || 'Failed to analyze website');
+    throw Object.assign(new Error(error.error || 'Failed to compare websites'), { code: error.code });
   }
   
   return response.json();
@@ -129,16 +685,75 @@ async function generateLandingPage(businessInfo) {
   
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.error || 'Failed to generate landing page');
+    throw Object.assign(new Error(error.error || 'Failed to generate landing page'), { fields: error.fields });
   }
   
   return response.json();
 }
 
+// Deployable ZIP of the page; same body as generate-landing plus export options
+async function exportSite(body) {
+  const response = await fetch('/api/export', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to export site');
+  }
+  
+  const disposition = response.headers.get('Content-Disposition') || '';
+  return { blob: await response.blob(), fileName: (disposition.match(/filename="([^"]+)"/) || [])[1] || 'site.zip' };
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 // Event Listeners
 
-// Step 1: Analyze button
-document.getElementById('btn-analyze').addEventListener('click', async () => {
+// Step 1: Run an analysis and show the results step. `analyze` resolves
+// with the saved report.
+async function runAnalysis(btn, analyze) {
+  btn.disabled = true;
+  btn.classList.add('loading');
+  
+  try {
+    const report = await analyze();
+    if (report.permalink) {
+      history.pushState(null, '', report.permalink);
+    }
+    openReport(report);
+    
+  } catch (error) {
+    const hint = FETCH_ERROR_HINTS[error.code];
+    showToast(hint ? `${error.message}. ${hint}` : error.message || 'Failed to analyze website', hint ? 6000 : 3000);
+  } finally {
+    btn.disabled = false;
+    btn.classList.remove('loading');
+  }
+}
+
+// Source tabs: URL, pasted HTML or an uploaded file
+document.querySelectorAll('.source-tab').forEach(tab => {
+  tab.addEventListener('click', () => {
+    document.querySelectorAll('.source-tab').forEach(t => t.classList.toggle('active', t === tab));
+    document.querySelectorAll('.source-panel').forEach(panel => {
+      panel.classList.toggle('active', panel.dataset.source === tab.dataset.source);
+    });
+  });
+});
+
+document.getElementById('btn-analyze').addEventListener('click', () => {
   const urlInput = document.getElementById('url-input');
   const btn = document.getElementById('btn-analyze');
   let url = urlInput.value.trim();
@@ -154,39 +769,216 @@ document.getElementById('btn-analyze').addEventListener('click', async () => {
     url = 'https://' + url;
   }
   
+  const crawl = document.getElementById('crawl-toggle').checked
+    ? {
+        depth: parseInt(document.getElementById('crawl-depth').value, 10),
+        maxPages: parseInt(document.getElementById('crawl-pages').value, 10)
+      }
+    : undefined;
+  
+  const stage = document.getElementById('analysis-stage');
+  const showStage = text => {
+    stage.textContent = text;
+    stage.hidden = false;
+  };
+  runAnalysis(btn, () => analyzeUrl(url, crawl, showStage)).finally(() => { stage.hidden = true; });
+});
+
+document.getElementById('btn-analyze-html').addEventListener('click', () => {
+  const htmlInput = document.getElementById('html-input');
+  const html = htmlInput.value.trim();
+  
+  if (!html) {
+    showToast('Paste some HTML first');
+    htmlInput.focus();
+    return;
+  }
+  
+  runAnalysis(document.getElementById('btn-analyze-html'), () => analyzeWebsite({ html }));
+});
+
+document.getElementById('file-input').addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  document.getElementById('file-name').textContent = file ? file.name : 'Choose an .html file or a .zip of a static site';
+});
+
+document.getElementById('btn-analyze-file').addEventListener('click', () => {
+  const file = document.getElementById('file-input').files[0];
+  
+  if (!file) {
+    showToast('Choose a file to upload');
+    return;
+  }
+  
+  const form = new FormData();
+  form.append('file', file);
+  runAnalysis(document.getElementById('btn-analyze-file'), () => analyzeWebsite(form));
+});
+
+// Enter key on URL input
+document.getElementById('url-input').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    document.getElementById('btn-analyze').click();
+  }
+});
+
+document.getElementById('crawl-toggle').addEventListener('change', (e) => {
+  document.getElementById('crawl-depth').disabled = !e.target.checked;
+  document.getElementById('crawl-pages').disabled = !e.target.checked;
+});
+
+// Competitor comparison
+document.getElementById('btn-add-competitor').addEventListener('click', () => {
+  const inputs = document.getElementById('competitor-inputs');
+  if (inputs.children.length >= 5) {
+    showToast('Up to 5 competitors');
+    return;
+  }
+  const wrapper = inputs.firstElementChild.cloneNode(true);
+  const input = wrapper.querySelector('input');
+  input.value = '';
+  input.placeholder = 'another-competitor.com';
+  inputs.appendChild(wrapper);
+  input.focus();
+});
+
+document.getElementById('btn-compare').addEventListener('click', async () => {
+  const btn = document.getElementById('btn-compare');
+  const url = document.getElementById('compare-url').value.trim();
+  const competitors = [...document.querySelectorAll('.competitor-input')].map(i => i.value.trim()).filter(Boolean);
+  
+  if (!url) {
+    showToast('Enter your own URL first');
+    document.getElementById('compare-url').focus();
+    return;
+  }
+  if (competitors.length < 2) {
+    showToast('Add at least 2 competitors');
+    return;
+  }
+  
   btn.disabled = true;
   btn.classList.add('loading');
   
   try {
-    analysisResults = await analyzeWebsite(url);
-    
-    // Update URL display
-    document.getElementById('analyzed-url').textContent = url.replace(/^https?:\/\//, '');
-    
-    // Show roast by default
-    document.getElementById('results-content').innerHTML = formatFeedback(analysisResults.roastFeedback);
-    currentFeedbackMode = 'roast';
-    document.getElementById('btn-roast-mode').classList.add('active');
-    document.getElementById('btn-pro-mode').classList.remove('active');
-    
-    // Animate score
-    const score = extractScore(analysisResults.professionalFeedback);
-    showStep(2);
-    setTimeout(() => animateScore(score), 300);
+    comparisonResults = await compareWebsites(url, competitors);
+    const client = comparisonResults.sites[0];
+    const rank = comparisonResults.ranking.find(r => r.role === 'client').rank;
+    document.getElementById('compare-client').textContent = client.domain;
+    document.getElementById('compare-rank').textContent = `#${rank}`;
+    document.getElementById('compare-score').textContent = `${client.score}/100 (${client.grade}) · ${comparisonResults.ranking.length} sites`;
+    setCompareMode('table');
+    showStep('compare');
     
+    const failed = comparisonResults.sites.filter(s => !s.success);
+    if (failed.length) {
+      showToast(`Couldn't analyze ${failed.map(s => s.domain).join(', ')}`, 5000);
+    }
   } catch (error) {
-    showToast(error.message || 'Failed to analyze website');
+    const hint = FETCH_ERROR_HINTS[error.code];
+    showToast(hint ? `${error.message}. ${hint}` : error.message || 'Failed to compare websites', hint ? 6000 : 3000);
   } finally {
     btn.disabled = false;
     btn.classList.remove('loading');
   }
 });
 
-// Enter key on URL input
-document.getElementById('url-input').addEventListener('keypress', (e) => {
-  if (e.key === 'Enter') {
-    document.getElementById('btn-analyze').click();
+document.getElementById('btn-compare-table').addEventListener('click', () => setCompareMode('table'));
+document.getElementById('btn-compare-roast').addEventListener('click', () => setCompareMode('roast'));
+document.getElementById('btn-compare-pro').addEventListener('click', () => setCompareMode('professional'));
+
+document.getElementById('btn-compare-build').addEventListener('click', () => {
+  showStep(3);
+});
+
+document.getElementById('btn-compare-again').addEventListener('click', () => {
+  showStep(1);
+});
+
+// Batch analysis: pasted URLs or a CSV, followed live on the batch step
+document.getElementById('batch-file').addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  document.getElementById('batch-file-name').textContent = file ? file.name : '…or choose a CSV with a url column';
+});
+
+document.getElementById('btn-batch').addEventListener('click', async () => {
+  const btn = document.getElementById('btn-batch');
+  const file = document.getElementById('batch-file').files[0];
+  const text = document.getElementById('batch-input').value.trim();
+  
+  if (!file && !text) {
+    showToast('Paste some URLs or choose a CSV file');
+    document.getElementById('batch-input').focus();
+    return;
+  }
+  
+  let body = { urls: text };
+  if (file) {
+    body = new FormData();
+    body.append('file', file);
   }
+  
+  btn.disabled = true;
+  btn.classList.add('loading');
+  
+  try {
+    const job = await startJob(body);
+    batchJob = job;
+    batchSort = { key: 'score', desc: true };
+    renderBatch();
+    showStep('batch');
+    if (job.rejected.length) {
+      showToast(`Skipped ${job.rejected.length} entr${job.rejected.length === 1 ? 'y' : 'ies'} that ${job.rejected.length === 1 ? 'isn\'t a URL' : 'aren\'t URLs'}: ${job.rejected.slice(0, 3).join(', ')}${job.rejected.length > 3 ? '…' : ''}`, 5000);
+    }
+    
+    // Events of an earlier job are ignored once a new one has started
+    const update = (type, data) => {
+      if (batchJob.id !== job.id) return;
+      if (type === 'snapshot') {
+        batchJob = data;
+      } else {
+        batchJob.items[data.index] = data;
+        if (type === 'item') batchJob[data.status]++;
+      }
+      renderBatch();
+    };
+    followJob(job.id, update)
+      .then(done => {
+        if (batchJob.id !== job.id) return;
+        batchJob = done;
+        renderBatch();
+      })
+      .catch(error => showToast(error.message));
+  } catch (error) {
+    showToast(error.message || 'Failed to start the analysis');
+  } finally {
+    btn.disabled = false;
+    btn.classList.remove('loading');
+  }
+});
+
+document.getElementById('batch-content').addEventListener('click', (e) => {
+  const button = e.target.closest('.batch-sort');
+  if (!button) return;
+  const key = button.dataset.key;
+  batchSort = { key, desc: batchSort.key === key ? !batchSort.desc : key !== 'url' };
+  renderBatch();
+});
+
+['csv', 'json'].forEach(format => {
+  document.getElementById(`btn-batch-${format}`).addEventListener('click', async () => {
+    if (!batchJob) return;
+    try {
+      const { blob, fileName } = await downloadJobResults(batchJob.id, format);
+      saveBlob(blob, fileName);
+    } catch (error) {
+      showToast(error.message);
+    }
+  });
+});
+
+document.getElementById('btn-batch-again').addEventListener('click', () => {
+  showStep(1);
 });
 
 // No website button
@@ -195,33 +987,754 @@ document.getElementById('btn-no-website').addEventListener('click', () => {
 });
 
 // Step 2: Results toggle
-document.getElementById('btn-roast-mode').addEventListener('click', () => {
-  if (currentFeedbackMode !== 'roast' && analysisResults) {
-    document.getElementById('results-content').innerHTML = formatFeedback(analysisResults.roastFeedback);
-    currentFeedbackMode = 'roast';
-    document.getElementById('btn-roast-mode').classList.add('active');
-    document.getElementById('btn-pro-mode').classList.remove('active');
+document.getElementById('btn-feedback-mode').addEventListener('click', () => setResultsView('feedback'));
+document.getElementById('btn-checks-mode').addEventListener('click', () => setResultsView('checks'));
+document.getElementById('btn-previews-mode').addEventListener('click', () => setResultsView('previews'));
+document.getElementById('btn-patch-mode').addEventListener('click', () => setResultsView('patch'));
+
+// Fix patch downloads
+document.getElementById('results-content').addEventListener('click', (e) => {
+  const button = e.target.closest('[data-download]');
+  const patch = analysisResults && activeResult().patch;
+  if (!button || !patch) return;
+  if (button.dataset.download === 'html') {
+    saveBlob(new Blob([patch.html], { type: 'text/html' }), patch.file);
+  } else {
+    saveBlob(new Blob([patch.diff], { type: 'text/x-diff' }), patch.file.replace(/\.html?$/i, '') + '.patch');
+  }
+  showToast('Downloaded! 🎉');
+});
+
+// Picking a tone or language shows the feedback in it
+['feedback-tone', 'feedback-locale'].forEach(id => {
+  document.getElementById(id).addEventListener('change', () => {
+    feedbackChoice.tone = document.getElementById('feedback-tone').value;
+    feedbackChoice.locale = document.getElementById('feedback-locale').value;
+    setResultsView('feedback');
+  });
+});
+
+document.getElementById('history').addEventListener('click', (e) => {
+  const button = e.target.closest('.btn-compare');
+  if (button) {
+    showDiff(button.dataset.id);
   }
 });
 
-document.getElementById('btn-pro-mode').addEventListener('click', () => {
-  if (currentFeedbackMode !== 'professional' && analysisResults) {
-    document.getElementById('results-content').innerHTML = formatFeedback(analysisResults.professionalFeedback);
-    currentFeedbackMode = 'professional';
-    document.getElementById('btn-pro-mode').classList.add('active');
-    document.getElementById('btn-roast-mode').classList.remove('active');
+// Drill into a crawled page, or back to the site overview
+document.getElementById('page-list').addEventListener('click', (e) => {
+  const item = e.target.closest('.page-item');
+  if (!item) return;
+  activePageIndex = item.dataset.index === '' ? null : parseInt(item.dataset.index, 10);
+  if (currentView === 'diff') {
+    currentView = 'feedback';
   }
+  renderActiveResult();
+  const result = activeResult();
+  animateScore(result.score, result.grade);
 });
 
 document.getElementById('btn-build-landing').addEventListener('click', () => {
+  applyPrefill(analysisResults);
+  document.getElementById('locale').value = feedbackChoice.locale;
   showStep(3);
 });
 
+document.getElementById('btn-copy-link').addEventListener('click', async () => {
+  if (!analysisResults || !analysisResults.permalink) {
+    showToast('This report wasn\'t saved, so there\'s no link to share');
+    return;
+  }
+  
+  try {
+    await navigator.clipboard.writeText(location.origin + analysisResults.permalink);
+    showToast('Report link copied! 🔗');
+  } catch (err) {
+    showToast('Failed to copy');
+  }
+});
+
 document.getElementById('btn-try-another').addEventListener('click', () => {
   document.getElementById('url-input').value = '';
+  document.getElementById('html-input').value = '';
+  history.pushState(null, '', '/');
   showStep(1);
 });
 
+// Step 3: Section editor
+// The page body is a list of sections, each with optional section-level
+// fields and a list of repeating items. Field specs are [key, placeholder, kind].
+const SECTION_TYPES = {
+  features: { label: '⭐ Features', fields: [['subtitle', 'Subtitle (optional)']], item: [['title', 'Benefit'], ['text', 'One-line explanation (optional)']], addLabel: 'feature' },
+  pricing: { label: '💳 Pricing', fields: [['subtitle', 'Subtitle (optional)']], item: [['name', 'Plan name'], ['price', '$29'], ['period', 'month (optional)'], ['features', 'What\'s included, comma separated'], ['highlighted', 'Highlight this plan', 'checkbox']], addLabel: 'plan' },
+  testimonials: { label: '💬 Testimonials', item: [['quote', 'What the customer said', 'textarea'], ['name', 'Customer name'], ['role', 'Role or company (optional)']], addLabel: 'testimonial' },
+  faq: { label: '❓ FAQ', item: [['question', 'Question'], ['answer', 'Answer', 'textarea']], addLabel: 'question' },
+  team: { label: '👥 Team', item: [['name', 'Name'], ['role', 'Role (optional)'], ['photo', 'Photo URL (optional)']], addLabel: 'person' },
+  gallery: { label: '🖼️ Gallery', item: [['src', 'Image URL (https://...)'], ['alt', 'Describe the image'], ['caption', 'Caption (optional)']], addLabel: 'image' },
+  stats: { label: '📈 Stats', hint: 'Only numbers you can back up', item: [['value', '1,200'], ['label', 'Orders shipped']], addLabel: 'stat' },
+  cta: { label: '📣 Call to Action', fields: [['text', 'Supporting line (optional)']] },
+  contact: { label: '✉️ Contact' }
+};
+
+function defaultSectionDrafts() {
+  return [
+    { type: 'features', title: '', items: [{}, {}, {}] },
+    { type: 'cta', title: '' },
+    { type: 'contact', title: '' }
+  ];
+}
+
+let sectionDrafts = defaultSectionDrafts();
+
+function fieldInput(spec, value, attrs) {
+  const [key, placeholder, kind] = spec;
+  if (kind === 'checkbox') {
+    return `<label class="checkbox"><input type="checkbox" ${attrs} data-field="${key}" ${value ? 'checked' : ''}> ${escapeHtml(placeholder)}</label>`;
+  }
+  if (kind === 'textarea') {
+    return `<textarea ${attrs} data-field="${key}" rows="2" placeholder="${escapeHtml(placeholder)}">${escapeHtml(value || '')}</textarea>`;
+  }
+  return `<input type="text" ${attrs} data-field="${key}" placeholder="${escapeHtml(placeholder)}" value="${escapeHtml(value || '')}">`;
+}
+
+function renderSectionEditor() {
+  const last = sectionDrafts.length - 1;
+  document.getElementById('section-editor').innerHTML = sectionDrafts.map((section, i) => {
+    const type = SECTION_TYPES[section.type];
+    const attrs = `data-section="${i}"`;
+    const items = type.item ? `
+      <div class="section-items">
+        ${section.items.map((item, j) => `
+          <div class="section-item">
+            ${type.item.map(spec => fieldInput(spec, item[spec[0]], `${attrs} data-item="${j}"`)).join('')}
+            <button type="button" class="icon-btn" data-action="remove-item" ${attrs} data-item="${j}" title="Remove">✕</button>
+          </div>`).join('')}
+        <button type="button" class="btn btn-ghost add-item" data-action="add-item" ${attrs}>+ Add ${type.addLabel}</button>
+      </div>` : '';
+    return `
+      <div class="section-card">
+        <div class="section-card-header">
+          <strong>${type.label}</strong>
+          ${type.hint ? `<span class="hint">${type.hint}</span>` : ''}
+          <div class="section-card-actions">
+            <button type="button" class="icon-btn" data-action="up" ${attrs} title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="icon-btn" data-action="down" ${attrs} title="Move down" ${i === last ? 'disabled' : ''}>↓</button>
+            <button type="button" class="icon-btn" data-action="remove" ${attrs} title="Remove section">✕</button>
+          </div>
+        </div>
+        ${fieldInput(['title', 'Section title (optional)'], section.title, attrs)}
+        ${(type.fields || []).map(spec => fieldInput(spec, section[spec[0]], attrs)).join('')}
+        ${items}
+      </div>`;
+  }).join('');
+}
+
+// What /api/generate-landing expects: pricing features become a list
+function sectionsPayload() {
+  return sectionDrafts.map(section => ({
+    ...section,
+    items: section.items && section.items.map(item => (item.features === undefined ? item : {
+      ...item,
+      features: item.features.split(',').map(f => f.trim()).filter(Boolean)
+    }))
+  }));
+}
+
+document.getElementById('section-type').innerHTML = Object.entries(SECTION_TYPES)
+  .map(([id, type]) => `<option value="${id}">${type.label}</option>`).join('');
+
+document.getElementById('btn-add-section').addEventListener('click', () => {
+  const type = document.getElementById('section-type').value;
+  sectionDrafts.push(SECTION_TYPES[type].item ? { type, title: '', items: [{}] } : { type, title: '' });
+  renderSectionEditor();
+  scheduleThumbnails();
+});
+
+document.getElementById('section-editor').addEventListener('input', (e) => {
+  const { section, item, field } = e.target.dataset;
+  if (section === undefined || !field) return;
+  const target = item === undefined ? sectionDrafts[section] : sectionDrafts[section].items[item];
+  target[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+});
+
+document.getElementById('section-editor').addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  const i = Number(btn.dataset.section);
+  const section = sectionDrafts[i];
+  
+  switch (btn.dataset.action) {
+    case 'up':
+    case 'down': {
+      const j = btn.dataset.action === 'up' ? i - 1 : i + 1;
+      [sectionDrafts[i], sectionDrafts[j]] = [sectionDrafts[j], sectionDrafts[i]];
+      break;
+    }
+    case 'remove':
+      sectionDrafts.splice(i, 1);
+      break;
+    case 'add-item':
+      section.items.push({});
+      break;
+    case 'remove-item':
+      section.items.splice(Number(btn.dataset.item), 1);
+      break;
+  }
+  renderSectionEditor();
+  scheduleThumbnails();
+});
+
+renderSectionEditor();
+
+// Step 3: Prefill from the analyzed site
+// Runs once per report so edits survive going back and forth between steps
+function applyPrefill(result) {
+  const prefill = result && result.prefill;
+  const key = result && (result.id || result.analysis.url);
+  if (!prefill || prefilledFrom === key) return;
+  prefilledFrom = key;
+  
+  document.getElementById('business-name').value = prefill.name || '';
+  document.getElementById('business-description').value = prefill.description || '';
+  document.getElementById('contact-info').value = prefill.contact || '';
+  prefillExtras = {
+    email: prefill.email,
+    phone: prefill.phone,
+    logo: prefill.logo,
+    favicon: prefill.favicon,
+    social: prefill.social
+  };
+  sectionDrafts = prefill.sections.map(section => JSON.parse(JSON.stringify(section)));
+  renderSectionEditor();
+  
+  if (prefill.colors && themeCatalog) {
+    designChoice.customColors = true;
+    designChoice.colors = {
+      primary: prefill.colors.primary,
+      accent: prefill.colors.accent || designChoice.colors.accent
+    };
+    applyThemeDefaults();
+  }
+  
+  const imported = [
+    prefill.logo && `<img src="${escapeHtml(prefill.logo)}" alt="" class="rebuild-logo">`,
+    prefill.email && `✉️ ${escapeHtml(prefill.email)}`,
+    prefill.phone && `📞 ${escapeHtml(prefill.phone)}`,
+    prefill.social.length && `🔗 ${prefill.social.map(s => escapeHtml(s.label)).join(', ')}`
+  ].filter(Boolean);
+  const notes = document.getElementById('rebuild-notes');
+  notes.innerHTML = `
+    <p><strong>Prefilled from ${escapeHtml(prefill.source)}</strong></p>
+    ${imported.length ? `<p class="rebuild-imported">${imported.join('<span>·</span>')}</p>` : ''}
+    ${prefill.fixes.length ? `<p>Your new page fixes:</p><ul>${prefill.fixes.map(f => `<li>✅ <strong>${escapeHtml(f.title)}</strong> - ${escapeHtml(f.fix)}</li>`).join('')}</ul>` : ''}
+    ${prefill.unresolved.length ? `<ul>${prefill.unresolved.map(f => `<li>⚠️ <strong>${escapeHtml(f.title)}</strong> - ${escapeHtml(f.fix)}</li>`).join('')}</ul>` : ''}
+  `;
+  notes.hidden = false;
+}
+
+function clearPrefill() {
+  prefillExtras = {};
+  prefilledFrom = null;
+  document.getElementById('rebuild-notes').hidden = true;
+}
+
+// Step 3: Theme picker
+// Colors and fonts follow the selected theme's defaults until the user
+// changes them; after that their choice sticks across theme switches.
+let themeCatalog = null;
+const designChoice = { theme: null, colors: null, fonts: null, mode: 'light', customColors: false, customFonts: false };
+let thumbnailTimer = null;
+
+// Details imported from an analyzed site that have no form field
+let prefillExtras = {};
+let prefilledFrom = null;
+
+function readBusinessInfo() {
+  return {
+    ...prefillExtras,
+    name: document.getElementById('business-name').value,
+    description: document.getElementById('business-description').value,
+    targetCustomer: document.getElementById('target-customer').value,
+    sections: sectionsPayload(),
+    cta: document.getElementById('cta').value,
+    contact: document.getElementById('contact-info').value,
+    locale: document.getElementById('locale').value
+  };
+}
+
+// Server-side validation errors, shown under the input they belong to
+const FIELD_INPUTS = {
+  name: 'business-name',
+  description: 'business-description',
+  targetCustomer: 'target-customer',
+  cta: 'cta',
+  contact: 'contact-info',
+  locale: 'locale',
+  sections: 'section-editor',
+  theme: 'theme-picker',
+  colors: 'color-primary',
+  fonts: 'font-pairing',
+  mode: 'color-mode'
+};
+
+function clearFieldErrors() {
+  document.querySelectorAll('#landing-form .field-error').forEach(el => el.remove());
+  document.querySelectorAll('#landing-form .invalid').forEach(el => {
+    el.classList.remove('invalid');
+    el.removeAttribute('aria-invalid');
+    el.removeAttribute('aria-describedby');
+  });
+}
+
+// Returns the messages that have no input to show them on
+function showFieldErrors(fields = {}) {
+  clearFieldErrors();
+  const unplaced = [];
+  Object.entries(fields).forEach(([field, message]) => {
+    const input = document.getElementById(FIELD_INPUTS[field]);
+    if (!input) {
+      unplaced.push(message);
+      return;
+    }
+    input.classList.add('invalid');
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', `${input.id}-error`);
+    const error = document.createElement('p');
+    error.className = 'field-error';
+    error.id = `${input.id}-error`;
+    error.textContent = message;
+    input.closest('.form-group').appendChild(error);
+  });
+  const first = document.querySelector('#landing-form .invalid');
+  if (first) first.focus();
+  return unplaced;
+}
+
+document.getElementById('landing-form').addEventListener('input', e => {
+  const group = e.target.closest('.form-group');
+  if (!group || !group.querySelector('.field-error')) return;
+  group.querySelectorAll('.field-error').forEach(el => el.remove());
+  group.querySelectorAll('.invalid').forEach(el => {
+    el.classList.remove('invalid');
+    el.removeAttribute('aria-invalid');
+    el.removeAttribute('aria-describedby');
+  });
+});
+
+function designFor(themeId) {
+  return {
+    theme: themeId,
+    colors: designChoice.customColors ? designChoice.colors : undefined,
+    fonts: designChoice.customFonts ? designChoice.fonts : undefined,
+    mode: designChoice.mode
+  };
+}
+
+function applyThemeDefaults() {
+  const theme = themeCatalog.themes.find(t => t.id === designChoice.theme);
+  if (!designChoice.customColors) designChoice.colors = { ...theme.colors };
+  if (!designChoice.customFonts) designChoice.fonts = theme.fonts;
+  document.getElementById('color-primary').value = designChoice.colors.primary;
+  document.getElementById('color-accent').value = designChoice.colors.accent;
+  document.getElementById('font-pairing').value = designChoice.fonts;
+  document.querySelectorAll('.theme-card').forEach(card => {
+    card.classList.toggle('active', card.dataset.theme === designChoice.theme);
+  });
+}
+
+// Every thumbnail renders the real page with the current form content
+async function refreshThumbnails() {
+  if (!themeCatalog) return;
+  const info = readBusinessInfo();
+  const sample = {
+    ...info,
+    name: info.name || 'Your Business',
+    description: info.description || 'We help businesses grow online'
+  };
+  await Promise.all(themeCatalog.themes.map(async theme => {
+    const frame = document.querySelector(`.theme-card[data-theme="${theme.id}"] iframe`);
+    try {
+      const result = await generateLandingPage({ ...sample, ...designFor(theme.id) });
+      frame.srcdoc = result.html;
+    } catch (error) {
+      // A bad color or font shows up on submit; keep the last good thumbnail
+    }
+  }));
+}
+
+function scheduleThumbnails() {
+  clearTimeout(thumbnailTimer);
+  thumbnailTimer = setTimeout(refreshThumbnails, 500);
+}
+
+function scaleThumbnails() {
+  document.querySelectorAll('.theme-thumb').forEach(thumb => {
+    thumb.style.setProperty('--thumb-scale', thumb.clientWidth / 1200);
+  });
+}
+
+// Tones and languages for the step 2 selector and the step 3 page language
+async function loadFeedbackCatalog() {
+  let catalog;
+  try {
+    const response = await fetch('/api/feedback');
+    catalog = await response.json();
+  } catch (error) {
+    return;
+  }
+  if (!catalog.success) return;
+  
+  document.getElementById('feedback-tone').innerHTML = catalog.tones
+    .map(t => `<option value="${t.id}" title="${escapeHtml(t.description)}">${t.icon} ${escapeHtml(t.label)}</option>`).join('');
+  const locales = catalog.locales.map(l => `<option value="${l.code}">${escapeHtml(l.name)}</option>`).join('');
+  document.getElementById('feedback-locale').innerHTML = locales;
+  document.getElementById('locale').innerHTML = locales;
+  document.getElementById('feedback-tone').value = feedbackChoice.tone;
+  document.getElementById('feedback-locale').value = feedbackChoice.locale;
+}
+
+async function loadThemes() {
+  try {
+    const response = await fetch('/api/themes');
+    themeCatalog = await response.json();
+  } catch (error) {
+    return;
+  }
+  
+  designChoice.theme = themeCatalog.defaultTheme;
+  document.getElementById('theme-picker').innerHTML = themeCatalog.themes.map(t => `
+    <button type="button" class="theme-card" data-theme="${t.id}">
+      <div class="theme-thumb"><iframe tabindex="-1" sandbox="" title="${escapeHtml(t.label)} preview"></iframe></div>
+      <strong>${escapeHtml(t.label)}</strong>
+      <span>${escapeHtml(t.description)}</span>
+    </button>`).join('');
+  document.getElementById('font-pairing').innerHTML = themeCatalog.fonts
+    .map(f => `<option value="${f.id}">${escapeHtml(f.label)}</option>`).join('');
+  applyThemeDefaults();
+}
+
+document.getElementById('theme-picker').addEventListener('click', (e) => {
+  const card = e.target.closest('.theme-card');
+  if (!card) return;
+  designChoice.theme = card.dataset.theme;
+  applyThemeDefaults();
+});
+
+['color-primary', 'color-accent'].forEach(id => {
+  document.getElementById(id).addEventListener('input', () => {
+    designChoice.customColors = true;
+    designChoice.colors = {
+      primary: document.getElementById('color-primary').value,
+      accent: document.getElementById('color-accent').value
+    };
+    scheduleThumbnails();
+  });
+});
+
+document.getElementById('btn-reset-colors').addEventListener('click', () => {
+  designChoice.customColors = false;
+  designChoice.customFonts = false;
+  applyThemeDefaults();
+  scheduleThumbnails();
+});
+
+document.getElementById('font-pairing').addEventListener('change', (e) => {
+  designChoice.customFonts = true;
+  designChoice.fonts = e.target.value;
+  scheduleThumbnails();
+});
+
+document.getElementById('color-mode').addEventListener('change', (e) => {
+  designChoice.mode = e.target.value;
+  scheduleThumbnails();
+});
+
+document.getElementById('landing-form').addEventListener('input', scheduleThumbnails);
+window.addEventListener('resize', scaleThumbnails);
+
+// Step 4: The generated page's own analysis, shown beside the preview
+function renderLandingAudit(audit) {
+  const issues = audit.findings.filter(f => f.status === 'fail' || f.status === 'warn');
+  document.getElementById('landing-audit').innerHTML = `
+    <div class="landing-audit-score">
+      <span class="landing-audit-number">${audit.score}</span>
+      <div>
+        <strong>Self-audit: ${escapeHtml(audit.grade)}</strong>
+        <p>${issues.length ? `${issues.length} check${issues.length === 1 ? '' : 's'} to review` : 'Every applicable check passes'}</p>
+      </div>
+    </div>
+    ${issues.length ? `<ul class="findings">${issues.map(f => `<li class="finding finding-${f.status}">
+      <span class="finding-status">${STATUS_ICONS[f.status]}</span>
+      <span class="finding-title">${escapeHtml(f.title)}</span>
+      <span class="finding-severity severity-${f.severity}">${f.severity}</span>
+    </li>`).join('')}</ul>` : ''}
+    <details>
+      <summary>All checks</summary>
+      ${renderFindings(audit)}
+    </details>
+  `;
+}
+
+// Step 4: Visual editor
+// The preview is rendered with data-edit paths into `landingDocument`, the
+// generator input the server hands back. Edits change the document, never
+// the HTML: each one is re-rendered and re-audited server-side, which keeps
+// Download, Copy Code and the site export in sync with what's on screen.
+let landingDocument = null;
+let renderSequence = 0;
+const editHistory = { undo: [], redo: [] };
+const EDITOR_ICONS = ['⭐', '🚀', '💎', '✅', '⚡', '🎯', '💡', '🔒', '📈', '🤝', '🎨', '⏱️', '💬', '📦', '🌱', '❤️', '🏆', '🛠️'];
+
+const EDITOR_CSS = `
+  [data-edit] { cursor: text; border-radius: 4px; }
+  [data-edit]:hover { outline: 2px dashed rgba(99, 102, 241, 0.6); outline-offset: 2px; }
+  [data-edit]:focus { outline: 2px solid #6366f1; outline-offset: 2px; }
+  [data-edit$=".icon"], [data-edit="cta"] { cursor: pointer; }
+  [data-editor-section] { position: relative; }
+  [data-editor-section].editor-drop { box-shadow: inset 0 4px 0 #6366f1; }
+  .editor-handle { position: absolute; top: 8px; right: 8px; z-index: 50; display: flex; gap: 2px; padding: 3px; background: #1f2937; border-radius: 8px; opacity: 0; transition: opacity 0.15s; font: 13px/1 system-ui, sans-serif; }
+  [data-editor-section]:hover > .editor-handle { opacity: 1; }
+  .editor-handle button { width: 26px; height: 26px; border: none; border-radius: 6px; background: transparent; color: #fff; cursor: pointer; }
+  .editor-handle button:hover { background: #4b5563; }
+  .editor-handle button:disabled { opacity: 0.35; cursor: default; }
+  .editor-handle [draggable] { cursor: grab; }
+`;
+
+function getPath(target, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), target);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((value, key) => value[key], target)[last] = value;
+}
+
+function updateUndoButtons() {
+  document.getElementById('btn-undo').disabled = !editHistory.undo.length;
+  document.getElementById('btn-redo').disabled = !editHistory.redo.length;
+}
+
+function openEditor(result) {
+  landingDocument = result.document;
+  generatedHTML = result.html;
+  editHistory.undo = [];
+  editHistory.redo = [];
+  updateUndoButtons();
+  showEditorResult(result, true);
+  document.getElementById('preview-frame').dataset.scroll = 0;
+}
+
+function showEditorResult(result, reload) {
+  generatedHTML = result.html;
+  generatedRequest = landingDocument;
+  renderLandingAudit(result.audit);
+  document.getElementById('edit-primary').value = landingDocument.colors.primary;
+  document.getElementById('edit-accent').value = landingDocument.colors.accent;
+  if (reload) {
+    const frame = document.getElementById('preview-frame');
+    const doc = frame.contentDocument;
+    frame.dataset.scroll = doc && doc.scrollingElement ? doc.scrollingElement.scrollTop : 0;
+    frame.srcdoc = result.preview;
+  }
+}
+
+// Re-render the document. Text edits are already on screen, so the preview
+// only reloads for structural changes or when the server normalized the
+// sections (a cleared item is dropped). A rejected edit is rolled back.
+async function renderDocument(reload) {
+  const sequence = ++renderSequence;
+  try {
+    const result = await generateLandingPage({ ...landingDocument, editor: true });
+    if (sequence !== renderSequence) return;
+    const normalized = JSON.stringify(result.document.sections) !== JSON.stringify(landingDocument.sections);
+    landingDocument = result.document;
+    showEditorResult(result, reload || normalized);
+  } catch (error) {
+    if (sequence !== renderSequence) return;
+    showToast(error.message || 'That edit couldn\'t be applied');
+    if (editHistory.undo.length) {
+      landingDocument = JSON.parse(editHistory.undo.pop());
+      updateUndoButtons();
+      renderDocument(true);
+    }
+  }
+}
+
+function commitEdit(change, reload = true) {
+  editHistory.undo.push(JSON.stringify(landingDocument));
+  editHistory.redo = [];
+  change(landingDocument);
+  updateUndoButtons();
+  renderDocument(reload);
+}
+
+function stepHistory(from, to) {
+  if (!editHistory[from].length) return;
+  editHistory[to].push(JSON.stringify(landingDocument));
+  landingDocument = JSON.parse(editHistory[from].pop());
+  updateUndoButtons();
+  renderDocument(true);
+}
+
+function moveSection(from, to) {
+  if (from === to || to < 0 || to >= landingDocument.sections.length) return;
+  commitEdit(draft => {
+    const [section] = draft.sections.splice(from, 1);
+    draft.sections.splice(to, 0, section);
+  });
+}
+
+// Icons and the call to action are picked from a list rather than typed
+function openPicker(el, path, choices) {
+  const picker = document.getElementById('icon-picker');
+  const frameRect = document.getElementById('preview-frame').getBoundingClientRect();
+  const rect = el.getBoundingClientRect();
+  const scale = frameRect.width / el.ownerDocument.documentElement.clientWidth || 1;
+  picker.classList.toggle('text-options', choices !== EDITOR_ICONS);
+  picker.innerHTML = choices.map(choice => `<button type="button" data-value="${escapeHtml(choice)}">${escapeHtml(choice)}</button>`).join('');
+  picker.style.left = `${Math.max(8, Math.min(frameRect.left + rect.left * scale, window.innerWidth - 260))}px`;
+  picker.style.top = `${frameRect.top + rect.bottom * scale + 6}px`;
+  picker.dataset.path = path;
+  picker.hidden = false;
+}
+
+function closeIconPicker() {
+  document.getElementById('icon-picker').hidden = true;
+}
+
+function handleEditorShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || !steps[4].classList.contains('active')) return false;
+  e.preventDefault();
+  stepHistory(e.shiftKey ? 'redo' : 'undo', e.shiftKey ? 'undo' : 'redo');
+  return true;
+}
+
+// Wire a freshly loaded preview: editable text, icon swaps and section handles
+function attachEditor() {
+  const frame = document.getElementById('preview-frame');
+  const doc = frame.contentDocument;
+  if (!doc || !landingDocument || !doc.querySelector('[data-edit]')) return;
+
+  const style = doc.createElement('style');
+  style.textContent = EDITOR_CSS;
+  doc.head.appendChild(style);
+
+  doc.querySelectorAll('[data-edit]').forEach(el => {
+    const path = el.dataset.edit;
+    if (path.endsWith('.icon') || path === 'cta') {
+      const choices = path === 'cta' ? [...document.getElementById('cta').options].map(option => option.value) : EDITOR_ICONS;
+      el.addEventListener('click', () => openPicker(el, path, choices));
+      return;
+    }
+    try {
+      el.contentEditable = 'plaintext-only';
+    } catch (err) {
+      el.contentEditable = 'true';
+    }
+    el.spellcheck = true;
+    el.addEventListener('focus', () => { el.dataset.original = el.textContent; });
+    el.addEventListener('input', () => {
+      doc.querySelectorAll(`[data-edit="${path}"]`).forEach(other => {
+        if (other !== el) other.textContent = el.textContent;
+      });
+    });
+    el.addEventListener('keydown', e => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        el.blur();
+      } else if (e.key === 'Escape') {
+        el.textContent = el.dataset.original;
+        el.blur();
+      }
+    });
+    el.addEventListener('blur', () => {
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+      if (text === el.dataset.original.replace(/\s+/g, ' ').trim()) return;
+      commitEdit(draft => setPath(draft, path, text), false);
+    });
+  });
+
+  // Links, buttons and FAQ toggles are for editing here, not following
+  doc.addEventListener('click', e => {
+    if (e.target.closest('a, button, summary')) e.preventDefault();
+    if (!e.target.closest('[data-edit$=".icon"], [data-edit="cta"]')) closeIconPicker();
+  });
+  doc.addEventListener('submit', e => e.preventDefault());
+  doc.addEventListener('keydown', e => {
+    if (!e.target.isContentEditable) handleEditorShortcut(e);
+  });
+
+  // Body sections sit between the nav and hero and the footer
+  const sectionEls = [...doc.body.children].slice(2, -1);
+  let dragging = null;
+  sectionEls.forEach((sectionEl, index) => {
+    sectionEl.dataset.editorSection = index;
+    const handle = doc.createElement('div');
+    handle.className = 'editor-handle';
+    handle.contentEditable = 'false';
+    handle.innerHTML = `<button type="button" draggable="true" title="Drag to reorder" aria-label="Drag to reorder">⠿</button>
+      <button type="button" data-move="-1" title="Move up" aria-label="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+      <button type="button" data-move="1" title="Move down" aria-label="Move down"${index === sectionEls.length - 1 ? ' disabled' : ''}>↓</button>`;
+    handle.addEventListener('click', e => {
+      const button = e.target.closest('[data-move]');
+      if (button) moveSection(index, index + Number(button.dataset.move));
+    });
+    handle.querySelector('[draggable]').addEventListener('dragstart', e => {
+      dragging = index;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(index));
+    });
+    sectionEl.appendChild(handle);
+
+    sectionEl.addEventListener('dragover', e => {
+      if (dragging === null) return;
+      e.preventDefault();
+      sectionEl.classList.add('editor-drop');
+    });
+    sectionEl.addEventListener('dragleave', () => sectionEl.classList.remove('editor-drop'));
+    sectionEl.addEventListener('drop', e => {
+      e.preventDefault();
+      sectionEl.classList.remove('editor-drop');
+      const from = dragging;
+      dragging = null;
+      if (from !== null) moveSection(from, index);
+    });
+  });
+  doc.addEventListener('dragend', () => { dragging = null; });
+
+  doc.scrollingElement.scrollTop = Number(frame.dataset.scroll) || 0;
+}
+
+document.getElementById('preview-frame').addEventListener('load', attachEditor);
+
+document.getElementById('icon-picker').addEventListener('click', e => {
+  const button = e.target.closest('[data-value]');
+  if (!button) return;
+  const path = document.getElementById('icon-picker').dataset.path;
+  closeIconPicker();
+  if (getPath(landingDocument, path) !== button.dataset.value) commitEdit(draft => setPath(draft, path, button.dataset.value));
+});
+
+['primary', 'accent'].forEach(key => {
+  document.getElementById(`edit-${key}`).addEventListener('change', e => {
+    if (!landingDocument || landingDocument.colors[key] === e.target.value) return;
+    commitEdit(draft => { draft.colors[key] = e.target.value; });
+  });
+});
+
+document.getElementById('btn-undo').addEventListener('click', () => stepHistory('undo', 'redo'));
+document.getElementById('btn-redo').addEventListener('click', () => stepHistory('redo', 'undo'));
+
+document.addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeIconPicker();
+  if (!e.target.isContentEditable && !/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) handleEditorShortcut(e);
+});
+
+document.addEventListener('click', e => {
+  if (!e.target.closest('#icon-picker')) closeIconPicker();
+});
+
 // Step 3: Landing page form
 document.getElementById('landing-form').addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -230,30 +1743,23 @@ document.getElementById('landing-form').addEventListener('submit', async (e) =>
   btn.disabled = true;
   btn.classList.add('loading');
   
-  const businessInfo = {
-    name: document.getElementById('business-name').value,
-    description: document.getElementById('business-description').value,
-    targetCustomer: document.getElementById('target-customer').value,
-    features: document.getElementById('features').value,
-    cta: document.getElementById('cta').value,
-    contact: document.getElementById('contact-info').value
-  };
+  const businessInfo = readBusinessInfo();
+  clearFieldErrors();
   
   try {
-    const result = await generateLandingPage(businessInfo);
-    generatedHTML = result.html;
+    const result = await generateLandingPage({ ...businessInfo, ...designFor(designChoice.theme), editor: true });
     
     // Update preview URL
     const fileName = businessInfo.name.toLowerCase().replace(/[^a-z0-9]/g, '-') + '.html';
     document.getElementById('preview-url').textContent = fileName;
     
-    // Show preview
-    const frame = document.getElementById('preview-frame');
-    frame.srcdoc = generatedHTML;
+    // Show the editable preview
+    openEditor(result);
     
     showStep(4);
   } catch (error) {
-    showToast(error.message || 'Failed to generate landing page');
+    const unplaced = error.fields ? showFieldErrors(error.fields) : [];
+    if (!error.fields || unplaced.length) showToast(unplaced[0] || error.message || 'Failed to generate landing page');
   } finally {
     btn.disabled = false;
     btn.classList.remove('loading');
@@ -275,19 +1781,33 @@ document.getElementById('btn-download').addEventListener('click', () => {
   const businessName = document.getElementById('business-name').value || 'landing-page';
   const fileName = businessName.toLowerCase().replace(/[^a-z0-9]/g, '-') + '.html';
   
-  const blob = new Blob([generatedHTML], { type: 'text/html' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = fileName;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  saveBlob(new Blob([generatedHTML], { type: 'text/html' }), fileName);
   
   showToast('Downloaded! 🎉');
 });
 
+document.getElementById('btn-export').addEventListener('click', async (e) => {
+  if (!generatedRequest) return;
+  
+  const btn = e.currentTarget;
+  btn.disabled = true;
+  btn.classList.add('loading');
+  
+  const hosts = ['netlify', 'docker'].filter(host => document.getElementById(`export-${host}`).checked);
+  const siteUrl = document.getElementById('export-domain').value.trim();
+  
+  try {
+    const { blob, fileName } = await exportSite({ ...generatedRequest, siteUrl: siteUrl || undefined, hosts });
+    saveBlob(blob, fileName);
+    showToast(siteUrl ? 'Site downloaded! 📦' : 'Site downloaded - add your domain before publishing 📦');
+  } catch (error) {
+    showToast(error.message || 'Failed to export site');
+  } finally {
+    btn.disabled = false;
+    btn.classList.remove('loading');
+  }
+});
+
 document.getElementById('btn-copy-code').addEventListener('click', async () => {
   if (!generatedHTML) return;
   
@@ -303,21 +1823,62 @@ document.getElementById('btn-start-over').addEventListener('click', () => {
   // Reset everything
   analysisResults = null;
   generatedHTML = null;
+  generatedRequest = null;
+  landingDocument = null;
+  closeIconPicker();
   document.getElementById('url-input').value = '';
+  document.getElementById('html-input').value = '';
   document.getElementById('landing-form').reset();
+  clearPrefill();
+  sectionDrafts = defaultSectionDrafts();
+  renderSectionEditor();
+  if (themeCatalog) {
+    Object.assign(designChoice, { theme: themeCatalog.defaultTheme, mode: 'light', customColors: false, customFonts: false });
+    applyThemeDefaults();
+  }
   document.getElementById('score-number').textContent = '--';
   document.getElementById('grade-letter').textContent = '-';
+  document.getElementById('subscores').innerHTML = '';
+  renderPageList();
+  document.getElementById('history').hidden = true;
+  history.pushState(null, '', '/');
   showStep(1);
 });
 
+// Permalinks: /r/:id opens a saved report straight on the results step
+async function loadPermalink() {
+  const match = location.pathname.match(/^\/r\/([A-Za-z0-9_-]+)/);
+  if (!match) return;
+  
+  try {
+    openReport(await fetchReport(match[1]), false);
+  } catch (error) {
+    showToast(error.message || 'Failed to load report');
+    history.replaceState(null, '', '/');
+    showStep(1);
+  }
+}
+
+window.addEventListener('popstate', () => {
+  if (location.pathname.startsWith('/r/')) {
+    loadPermalink();
+  } else {
+    showStep(1);
+  }
+});
+
+loadPermalink();
+loadFeedbackCatalog();
+loadThemes();
+
 // Check API status on load
 fetch('/api/health')
   .then(r => r.json())
   .then(data => {
-    if (data.mode === 'demo') {
-      console.log('🔶 Running in demo mode - connect API key for full AI analysis');
+    if (data.mode === 'llm') {
+      console.log(`🟢 Feedback by ${data.name} (${data.model})${data.lastError ? ` - last call failed: ${data.lastError}` : ''}`);
     } else {
-      console.log('🟢 Connected to Claude AI');
+      console.log(`🔶 Template feedback${data.error ? ` - ${data.error}` : ' - set GEMINI_API_KEY or LLM_BASE_URL for LLM feedback'}`);
     }
   })
   .catch(() => {